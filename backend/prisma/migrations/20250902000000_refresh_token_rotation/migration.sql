@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `refresh_tokens` ADD COLUMN `familyId` VARCHAR(191) NULL,
+    ADD COLUMN `parentId` VARCHAR(191) NULL,
+    ADD COLUMN `revokedAt` DATETIME(3) NULL,
+    ADD COLUMN `revokedReason` VARCHAR(191) NULL;
+
+-- 기존 토큰은 각자 독립된 패밀리로 취급
+UPDATE `refresh_tokens` SET `familyId` = `id` WHERE `familyId` IS NULL;
+
+-- AlterTable
+ALTER TABLE `refresh_tokens` MODIFY `familyId` VARCHAR(191) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `refresh_tokens_familyId_idx` ON `refresh_tokens`(`familyId`);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `refresh_tokens` ADD COLUMN `userAgent` VARCHAR(512) NULL,
+    ADD COLUMN `ipAddress` VARCHAR(191) NULL,
+    ADD COLUMN `deviceLabel` VARCHAR(191) NULL,
+    ADD COLUMN `lastUsedAt` DATETIME(3) NULL;
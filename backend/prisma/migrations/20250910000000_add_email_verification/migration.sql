@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `emailVerified` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `emailVerifiedAt` DATETIME(3) NULL;
+
+-- 기능 도입 이전에 가입한 사용자는 인증된 것으로 간주
+UPDATE `users` SET `emailVerified` = true, `emailVerifiedAt` = `createdAt`;
+
+-- CreateTable
+CREATE TABLE `email_verification_tokens` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `email_verification_tokens_tokenHash_key`(`tokenHash`),
+    INDEX `email_verification_tokens_userId_createdAt_idx`(`userId`, `createdAt`),
+    INDEX `email_verification_tokens_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `email_verification_tokens` ADD CONSTRAINT `email_verification_tokens_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
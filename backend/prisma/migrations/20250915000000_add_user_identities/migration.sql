@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `hasPassword` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `user_identities` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `lastLoginAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `user_identities_userId_idx`(`userId`),
+    UNIQUE INDEX `user_identities_provider_subject_key`(`provider`, `subject`),
+    UNIQUE INDEX `user_identities_userId_provider_key`(`userId`, `provider`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `user_identities` ADD CONSTRAINT `user_identities_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `deletionRequestedAt` DATETIME(3) NULL,
+    ADD COLUMN `deletionScheduledAt` DATETIME(3) NULL,
+    ADD COLUMN `deletionPlan` JSON NULL;
+
+-- CreateIndex
+CREATE INDEX `users_deletionScheduledAt_idx` ON `users`(`deletionScheduledAt`);
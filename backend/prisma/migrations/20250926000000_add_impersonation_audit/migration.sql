@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE `impersonation_sessions` (
+    `id` VARCHAR(191) NOT NULL,
+    `adminId` VARCHAR(191) NULL,
+    `adminEmail` VARCHAR(191) NOT NULL,
+    `targetUserId` VARCHAR(191) NOT NULL,
+    `reason` VARCHAR(500) NOT NULL,
+    `readOnly` BOOLEAN NOT NULL DEFAULT true,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `endedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `impersonation_sessions_adminId_idx`(`adminId`),
+    INDEX `impersonation_sessions_targetUserId_createdAt_idx`(`targetUserId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `impersonation_audit_logs` (
+    `id` VARCHAR(191) NOT NULL,
+    `sessionId` VARCHAR(191) NOT NULL,
+    `method` VARCHAR(191) NOT NULL,
+    `path` VARCHAR(2048) NOT NULL,
+    `statusCode` INTEGER NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(512) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `impersonation_audit_logs_sessionId_createdAt_idx`(`sessionId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_sessions` ADD CONSTRAINT `impersonation_sessions_adminId_fkey` FOREIGN KEY (`adminId`) REFERENCES `users`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_sessions` ADD CONSTRAINT `impersonation_sessions_targetUserId_fkey` FOREIGN KEY (`targetUserId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `impersonation_audit_logs` ADD CONSTRAINT `impersonation_audit_logs_sessionId_fkey` FOREIGN KEY (`sessionId`) REFERENCES `impersonation_sessions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
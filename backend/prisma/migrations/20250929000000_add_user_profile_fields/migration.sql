@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `timezone` VARCHAR(191) NULL,
+    ADD COLUMN `locale` VARCHAR(191) NULL,
+    ADD COLUMN `bio` VARCHAR(500) NULL,
+    ADD COLUMN `jobTitle` VARCHAR(191) NULL,
+    ADD COLUMN `department` VARCHAR(191) NULL,
+    ADD COLUMN `statusText` VARCHAR(191) NULL,
+    ADD COLUMN `statusEmoji` VARCHAR(191) NULL,
+    ADD COLUMN `statusExpiresAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `users_statusExpiresAt_idx` ON `users`(`statusExpiresAt`);
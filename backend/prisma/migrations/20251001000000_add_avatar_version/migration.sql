@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `avatarVersion` VARCHAR(191) NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `nicknameJamo` VARCHAR(768) NULL,
+    ADD COLUMN `nicknameChosung` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `friends` ADD COLUMN `blockedById` VARCHAR(191) NULL;
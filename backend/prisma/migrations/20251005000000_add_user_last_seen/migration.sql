@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `lastSeenAt` DATETIME(3) NULL;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `friend_suggestion_dismissals` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `dismissedUserId` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `friend_suggestion_dismissals_userId_dismissedUserId_key`(`userId`, `dismissedUserId`),
+    INDEX `friend_suggestion_dismissals_dismissedUserId_idx`(`dismissedUserId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `friend_suggestion_dismissals` ADD CONSTRAINT `friend_suggestion_dismissals_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `friend_suggestion_dismissals` ADD CONSTRAINT `friend_suggestion_dismissals_dismissedUserId_fkey` FOREIGN KEY (`dismissedUserId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `activityVisibility` VARCHAR(191) NOT NULL DEFAULT 'friends';
+
+-- CreateTable
+CREATE TABLE `activity_events` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(50) NOT NULL,
+    `todoId` VARCHAR(191) NULL,
+    `workspaceId` VARCHAR(191) NULL,
+    `data` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `activity_events_userId_createdAt_idx`(`userId`, `createdAt`),
+    INDEX `activity_events_todoId_idx`(`todoId`),
+    INDEX `activity_events_workspaceId_idx`(`workspaceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `activity_events` ADD CONSTRAINT `activity_events_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `activity_events` ADD CONSTRAINT `activity_events_todoId_fkey` FOREIGN KEY (`todoId`) REFERENCES `personal_todos`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `activity_events` ADD CONSTRAINT `activity_events_workspaceId_fkey` FOREIGN KEY (`workspaceId`) REFERENCES `workspaces`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE `users` ADD COLUMN `defaultTodoVisibility` VARCHAR(191) NOT NULL DEFAULT 'friends';
+
+-- AlterTable
+ALTER TABLE `personal_todos` ADD COLUMN `visibility` VARCHAR(191) NOT NULL DEFAULT 'friends';
+
+-- CreateTable
+CREATE TABLE `personal_todo_shares` (
+    `id` VARCHAR(191) NOT NULL,
+    `todoId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NULL,
+    `groupId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `personal_todo_shares_todoId_userId_key`(`todoId`, `userId`),
+    UNIQUE INDEX `personal_todo_shares_todoId_groupId_key`(`todoId`, `groupId`),
+    INDEX `personal_todo_shares_userId_idx`(`userId`),
+    INDEX `personal_todo_shares_groupId_idx`(`groupId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `personal_todo_shares` ADD CONSTRAINT `personal_todo_shares_todoId_fkey` FOREIGN KEY (`todoId`) REFERENCES `personal_todos`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `personal_todo_shares` ADD CONSTRAINT `personal_todo_shares_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `personal_todo_shares` ADD CONSTRAINT `personal_todo_shares_groupId_fkey` FOREIGN KEY (`groupId`) REFERENCES `friend_groups`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `personal_todos` ADD COLUMN `seriesId` VARCHAR(191) NULL,
+    ADD COLUMN `occurrenceDate` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `personal_todo_series` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `rrule` VARCHAR(500) NOT NULL,
+    `dtstart` DATETIME(3) NOT NULL,
+    `timezone` VARCHAR(191) NOT NULL,
+    `startOffsetMinutes` INTEGER NULL,
+    `dueOffsetMinutes` INTEGER NULL,
+    `title` VARCHAR(191) NOT NULL,
+    `description` TEXT NULL,
+    `priority` VARCHAR(191) NOT NULL DEFAULT 'medium',
+    `visibility` VARCHAR(191) NOT NULL DEFAULT 'friends',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `personal_todo_series_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `personal_todos_seriesId_occurrenceDate_key` ON `personal_todos`(`seriesId`, `occurrenceDate`);
+
+-- AddForeignKey
+ALTER TABLE `personal_todos` ADD CONSTRAINT `personal_todos_seriesId_fkey` FOREIGN KEY (`seriesId`) REFERENCES `personal_todo_series`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `personal_todo_series` ADD CONSTRAINT `personal_todo_series_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
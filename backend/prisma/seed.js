@@ -18,6 +18,7 @@ async function main() {
         password: hashedPassword,
         nickname: "관리자",
         role: "admin", // 관리자 역할 부여
+        emailVerified: true,
       },
     }),
     prisma.user.upsert({
@@ -27,6 +28,7 @@ async function main() {
         email: "user1@example.com",
         password: hashedPassword,
         nickname: "김개발",
+        emailVerified: true,
       },
     }),
     prisma.user.upsert({
@@ -36,6 +38,7 @@ async function main() {
         email: "user2@example.com",
         password: hashedPassword,
         nickname: "이디자인",
+        emailVerified: true,
       },
     }),
   ]);
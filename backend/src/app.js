@@ -2,6 +2,9 @@
 const express = require("express");
 const cors = require("cors");
 const { checkDatabaseHealth } = require("./config/database");
+const { config } = require("./config/env");
+const { getJwks } = require("./services/jwtKeys");
+const { getAvatarStorage } = require("./services/avatarStorage");
 
 // 라우터 가져오기
 const authRouter = require("./routes/auth");
@@ -33,6 +36,19 @@ if (process.env.NODE_ENV === "development") {
   });
 }
 
+// 업로드한 프로필 이미지 (로컬 저장소를 쓰는 경우 API 서버가 직접 제공)
+// 파일 이름에 버전이 들어가므로 오래 캐시해도 됨
+if (config.avatar.storage === "local") {
+  app.use(
+    "/uploads/avatars",
+    express.static(getAvatarStorage().directory, {
+      maxAge: "30d",
+      immutable: true,
+      index: false,
+    })
+  );
+}
+
 // 루트 경로
 app.get("/", (req, res) => {
   res.json({
@@ -61,6 +77,17 @@ app.use("/workspaces/:wsId/tasks", tasksRouter); // 워크스페이스별 Task
 app.use("/chat", chatRouter);
 app.use("/admin", adminRouter);
 
+// 액세스 토큰 검증용 공개키 (다른 내부 서비스용, HS256 모드에서는 빈 목록)
+app.get("/.well-known/jwks.json", (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(getJwks());
+  } catch (error) {
+    console.error("JWKS 조회 오류:", error);
+    res.status(500).json({ error: "서명 키를 불러올 수 없습니다" });
+  }
+});
+
 // 간단한 헬스체크 (Docker 헬스체크용)
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -103,29 +130,95 @@ app.get("/docs", (req, res) => {
       auth: {
         "POST /auth/signup": "회원가입",
         "POST /auth/login": "로그인",
-        "POST /auth/refresh": "토큰 갱신",
-        "POST /auth/logout": "로그아웃",
+        "POST /auth/login/2fa": "로그인 2단계 인증",
+        "POST /auth/refresh": "토큰 갱신 (리프레시 토큰 회전)",
+        "POST /auth/verify-email": "이메일 인증",
+        "POST /auth/verify-email/resend": "인증 메일 재발송",
+        "POST /auth/forgot-password": "비밀번호 재설정 메일 요청",
+        "POST /auth/reset-password": "비밀번호 재설정",
+        "POST /auth/logout": "로그아웃 (현재 세션)",
+        "GET /auth/sessions": "로그인 세션 목록",
+        "DELETE /auth/sessions": "다른 모든 세션 종료",
+        "DELETE /auth/sessions/:id": "특정 세션 종료",
+        "GET /auth/2fa": "2단계 인증 상태",
+        "POST /auth/2fa/setup": "2단계 인증 등록 시작",
+        "POST /auth/2fa/verify": "2단계 인증 활성화",
+        "POST /auth/2fa/recovery-codes": "복구 코드 재발급",
+        "POST /auth/2fa/disable": "2단계 인증 해제",
+        "GET /auth/oidc/providers": "SSO 로그인 공급자 목록",
+        "GET /auth/oidc/:provider/authorize": "SSO 로그인 시작 (IdP로 이동)",
+        "GET /auth/oidc/:provider/callback": "SSO 로그인 콜백",
+        "POST /auth/oidc/exchange": "SSO 로그인 티켓을 토큰으로 교환",
+        "POST /auth/magic-link": "로그인 링크 메일 요청 (비밀번호 없이 로그인)",
+        "POST /auth/magic-link/verify": "로그인 링크로 로그인",
       },
       users: {
         "GET /users/me": "내 정보 조회",
-        "PATCH /users/me": "내 정보 수정",
-        "GET /users/search": "사용자 검색",
+        "PATCH /users/me":
+          "내 정보 수정 (닉네임, 시간대, 언어, 소개, 직함/부서, 상태 메시지, 활동/기본 Todo 공개 범위)",
+        "POST /users/me/password": "비밀번호 변경 (다른 세션 종료)",
+        "GET /users/me/export": "개인 데이터 내보내기 (?format=json|zip)",
+        "GET /users/me/deletion": "탈퇴 상태 및 소유 워크스페이스 조회",
+        "DELETE /users/me": "회원 탈퇴 요청 (유예 기간 후 삭제)",
+        "POST /users/me/deletion/cancel": "회원 탈퇴 취소",
+        "GET /users/me/tokens": "개인 액세스 토큰 목록",
+        "POST /users/me/tokens": "개인 액세스 토큰 발급",
+        "DELETE /users/me/tokens/:tokenId": "개인 액세스 토큰 폐기",
+        "GET /users/me/identities": "연결된 외부 계정 목록",
+        "GET /users/me/impersonations": "내 계정에 대한 관리자 대리 접속 기록",
+        "POST /users/me/avatar":
+          "프로필 이미지 업로드 (multipart, avatar 필드, 썸네일 생성)",
+        "DELETE /users/me/avatar": "프로필 이미지 삭제",
+        "POST /users/me/identities/:provider": "외부 계정 연결 시작",
+        "DELETE /users/me/identities/:identityId": "외부 계정 연결 해제",
+        "GET /users/search":
+          "사용자 검색 (q, limit, cursor - 순위 정렬, 초성 검색, 관계 정보)",
         "GET /users/:userId": "사용자 정보 조회",
+        "GET /users/:userId/presence": "접속 상태 조회 (online/away/offline)",
+        "GET /users/:userId/todos": "친구가 공개한 Todo 목록",
       },
       friends: {
         "POST /friends": "친구 요청",
-        "GET /friends": "친구 목록",
+        "GET /friends": "친구 목록 (status, group 필터)",
         "PATCH /friends/:friendId": "친구 관계 변경",
         "DELETE /friends/:friendId": "친구 관계 삭제",
         "GET /friends/requests/received": "받은 친구 요청",
         "GET /friends/requests/sent": "보낸 친구 요청",
+        "GET /friends/suggestions":
+          "친구 추천 (함께 아는 친구, 같은 워크스페이스)",
+        "DELETE /friends/suggestions/:userId": "친구 추천에서 숨기기",
+        "GET /friends/activity":
+          "친구 활동 피드 (Todo 완료, 새 워크스페이스, 마일스톤 / cursor 페이지)",
+        "GET /friends/blocked": "차단한 사용자 목록",
+        "POST /friends/blocked": "사용자 차단",
+        "DELETE /friends/blocked/:userId": "차단 해제",
+        "GET /friends/groups": "친구 그룹 목록",
+        "POST /friends/groups": "친구 그룹 생성",
+        "GET /friends/groups/:groupId": "친구 그룹 상세 (멤버 포함)",
+        "PATCH /friends/groups/:groupId": "친구 그룹 수정",
+        "DELETE /friends/groups/:groupId": "친구 그룹 삭제",
+        "POST /friends/groups/:groupId/members": "친구 그룹에 친구 추가",
+        "DELETE /friends/groups/:groupId/members/:userId":
+          "친구 그룹에서 친구 제외",
+      },
+      directMessages: {
+        "GET /chat/direct": "1:1 대화 목록 (읽지 않은 메시지 수 포함)",
+        "POST /chat/direct": "친구와의 1:1 대화 시작",
+        "GET /chat/direct/unread-count": "1:1 메시지 전체 읽지 않은 개수",
+        "GET /chat/direct/:conversationId/messages":
+          "1:1 대화 메시지 조회 (before 커서)",
+        "POST /chat/direct/:conversationId/messages": "1:1 메시지 전송",
+        "POST /chat/direct/:conversationId/read": "1:1 대화 읽음 처리",
       },
       todos: {
-        "GET /me/todos": "개인 Todo 목록",
-        "POST /me/todos": "개인 Todo 생성",
+        "GET /me/todos":
+          "개인 Todo 목록 (from, to를 모두 지정하면 반복 Todo 회차 occurrences 포함)",
+        "POST /me/todos":
+          "개인 Todo 생성 (visibility: private/friends/custom, sharedWith, recurrence: RRULE)",
         "GET /me/todos/:id": "개인 Todo 상세",
-        "PATCH /me/todos/:id": "개인 Todo 수정",
-        "DELETE /me/todos/:id": "개인 Todo 삭제",
+        "PATCH /me/todos/:id":
+          "개인 Todo 수정 (?scope=occurrence|series, recurrence: RRULE 또는 null)",
+        "DELETE /me/todos/:id": "개인 Todo 삭제 (?scope=occurrence|series)",
         "GET /me/todos/stats/summary": "개인 Todo 통계",
       },
       workspaces: {
@@ -135,7 +228,9 @@ app.get("/docs", (req, res) => {
         "PATCH /workspaces/:wsId": "워크스페이스 수정",
         "DELETE /workspaces/:wsId": "워크스페이스 삭제",
         "GET /workspaces/:wsId/members": "멤버 목록",
+        "GET /workspaces/:wsId/members/presence": "멤버 접속 상태 일괄 조회",
         "POST /workspaces/:wsId/members": "멤버 초대",
+        "POST /workspaces/:wsId/members/invite-group": "친구 그룹 전체 초대",
         "GET /workspaces/invitations/received": "받은 초대 목록",
       },
       tasks: {
@@ -150,14 +245,28 @@ app.get("/docs", (req, res) => {
         "GET /admin/stats": "시스템 통계",
         "GET /admin/users": "전체 사용자 목록",
         "PATCH /admin/users/:userId/status": "사용자 상태 변경",
+        "GET /admin/users/lockouts": "로그인 잠금 목록",
+        "DELETE /admin/users/:userId/lockout": "계정 로그인 잠금 해제",
+        "DELETE /admin/users/lockouts/ip/:ip": "IP 로그인 잠금 해제",
+        "POST /admin/users/:userId/impersonate":
+          "사용자 대리 접속 토큰 발급 (기본 읽기 전용)",
+        "GET /admin/impersonations": "대리 접속 기록 목록",
+        "GET /admin/impersonations/:sessionId":
+          "대리 접속 상세 (요청 감사 로그)",
+        "DELETE /admin/impersonations/:sessionId": "대리 접속 종료",
         "GET /admin/workspaces": "전체 워크스페이스 목록",
+        "GET /admin/settings": "보안 설정 조회",
+        "PATCH /admin/settings": "보안 설정 변경",
         "POST /admin/cleanup": "시스템 정리",
       },
     },
     authentication: {
       type: "Bearer Token",
       header: "Authorization: Bearer <access_token>",
+      jwks: "GET /.well-known/jwks.json (RS256/ES256 모드의 액세스 토큰 검증용 공개키)",
       note: "대부분의 API는 인증이 필요합니다.",
+      personalAccessToken:
+        "스크립트/CI는 /users/me/tokens에서 발급한 pat_ 토큰을 같은 헤더로 사용할 수 있습니다 (스코프가 지정된 API만 허용)",
     },
   });
 });
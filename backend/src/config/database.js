@@ -153,7 +153,45 @@ async function cleanupExpiredData() {
 
     console.log(`🧹 만료된 리프레시 토큰 ${deletedTokens.count}개 삭제`);
 
-    return { success: true, deletedTokens: deletedTokens.count };
+    // 만료되었거나 이미 사용된 비밀번호 재설정 토큰 삭제
+    const deletedResetTokens = await prisma.passwordResetToken.deleteMany({
+      where: {
+        OR: [{ expiresAt: { lt: new Date() } }, { usedAt: { not: null } }],
+      },
+    });
+
+    console.log(
+      `🧹 만료된 비밀번호 재설정 토큰 ${deletedResetTokens.count}개 삭제`
+    );
+
+    // 만료된 이메일 인증 토큰 삭제
+    const deletedVerificationTokens =
+      await prisma.emailVerificationToken.deleteMany({
+        where: { expiresAt: { lt: new Date() } },
+      });
+
+    console.log(
+      `🧹 만료된 이메일 인증 토큰 ${deletedVerificationTokens.count}개 삭제`
+    );
+
+    // 만료되었거나 이미 사용된 로그인 링크 토큰 삭제
+    const deletedMagicLinkTokens = await prisma.magicLinkToken.deleteMany({
+      where: {
+        OR: [{ expiresAt: { lt: new Date() } }, { usedAt: { not: null } }],
+      },
+    });
+
+    console.log(
+      `🧹 만료된 로그인 링크 토큰 ${deletedMagicLinkTokens.count}개 삭제`
+    );
+
+    return {
+      success: true,
+      deletedTokens: deletedTokens.count,
+      deletedResetTokens: deletedResetTokens.count,
+      deletedVerificationTokens: deletedVerificationTokens.count,
+      deletedMagicLinkTokens: deletedMagicLinkTokens.count,
+    };
   } catch (error) {
     console.error("데이터 정리 작업 오류:", error);
     return { success: false, error: error.message };
@@ -26,6 +26,29 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// OIDC 공급자 설정 읽기
+// OIDC_PROVIDERS=company,google 처럼 ID를 나열하고 ID별로 OIDC_<ID>_* 변수를 지정
+function loadOidcProviders() {
+  const ids = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return ids.map((id) => {
+    const prefix = `OIDC_${id.toUpperCase()}_`;
+    return {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer: process.env[`${prefix}ISSUER`],
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+      // IdP가 이메일 소유를 보장하는 경우에만 같은 이메일의 기존 계정에 자동 연결
+      trustEmail: process.env[`${prefix}TRUST_EMAIL`] === "true",
+    };
+  });
+}
+
 // 환경 변수 기본값 설정
 const config = {
   // 데이터베이스
@@ -44,6 +67,13 @@ const config = {
     refreshSecret: process.env.REFRESH_TOKEN_SECRET,
     accessTokenExpiry: process.env.ACCESS_TOKEN_EXPIRY || "15m",
     refreshTokenExpiry: process.env.REFRESH_TOKEN_EXPIRY || "7d",
+    // 액세스 토큰 서명 방식: HS256(공유 비밀키) | RS256 | ES256
+    algorithm: process.env.JWT_ALGORITHM || "HS256",
+    // RS256/ES256 키 파일 디렉터리와 서명에 사용할 키 ID
+    keysDir: process.env.JWT_KEYS_DIR || "keys/jwt",
+    activeKid: process.env.JWT_ACTIVE_KID,
+    // HS256 → RS256/ES256 전환 기간 동안 기존 HS256 액세스 토큰도 허용
+    acceptHs256: process.env.JWT_ACCEPT_HS256 === "true",
   },
 
   // 서버
@@ -53,6 +83,152 @@ const config = {
     nodeEnv: process.env.NODE_ENV || "development",
   },
 
+  // 보안 (2단계 인증 등)
+  security: {
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || "Team Collaboration",
+    // 관리자 2단계 인증 의무화 기본값 (관리자 API로 변경 가능)
+    requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === "true",
+    passwordResetTokenExpiryMinutes:
+      parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30,
+  },
+
+  // 로그인 무차별 대입 방지
+  loginProtection: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5, // 계정당
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20, // IP당
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    // 마지막 실패 후 이 시간 동안 추가 실패가 없으면 기록 초기화
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    backoffBaseMs: parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000,
+    backoffMaxMs: parseInt(process.env.LOGIN_BACKOFF_MAX_MS) || 30000,
+  },
+
+  // 이메일 인증
+  emailVerification: {
+    // 미인증 계정 처리 방식
+    // - allow: 로그인/워크스페이스 초대 모두 허용 (응답에 emailVerified: false 표시)
+    // - block: 로그인 거부, 워크스페이스 초대 대상에서 제외
+    unverifiedPolicy: process.env.UNVERIFIED_EMAIL_POLICY || "allow",
+    tokenExpiryHours:
+      parseInt(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24,
+    // 재발송 제한: 최소 간격(초)과 시간당 최대 횟수
+    resendIntervalSeconds:
+      parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS) || 60,
+    maxResendsPerHour:
+      parseInt(process.env.EMAIL_VERIFICATION_MAX_RESENDS_PER_HOUR) || 5,
+  },
+
+  // 매직 링크 (비밀번호 없이 이메일 링크로 로그인)
+  magicLink: {
+    enabled: process.env.MAGIC_LINK_ENABLED !== "false",
+    tokenExpiryMinutes:
+      parseInt(process.env.MAGIC_LINK_TOKEN_EXPIRY_MINUTES) || 15,
+    // 이메일당 요청 제한: 최소 간격(초)과 시간당 최대 횟수
+    requestIntervalSeconds:
+      parseInt(process.env.MAGIC_LINK_REQUEST_INTERVAL_SECONDS) || 60,
+    maxRequestsPerHour:
+      parseInt(process.env.MAGIC_LINK_MAX_REQUESTS_PER_HOUR) || 5,
+  },
+
+  // OIDC / OAuth2 소셜 로그인
+  oidc: {
+    providers: loadOidcProviders(),
+    // IdP에 등록할 콜백 주소의 기준 URL (API 서버 주소)
+    callbackBaseUrl:
+      process.env.OIDC_CALLBACK_BASE_URL ||
+      `http://localhost:${parseInt(process.env.API_PORT) || 4000}`,
+    // 처음 로그인한 외부 계정으로 사용자 자동 생성 여부
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== "false",
+  },
+
+  // 비밀번호 정책 (회원가입, 비밀번호 변경/재설정에 공통 적용)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === "true",
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== "false",
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+    // 유출/흔한 비밀번호 목록(src/data/common-passwords.txt) 검사
+    denylistEnabled: process.env.PASSWORD_DENYLIST_ENABLED !== "false",
+    // 최근 N개 비밀번호 재사용 금지 (현재 비밀번호 포함, 0이면 검사 안 함)
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE ?? "5"),
+  },
+
+  // 회원 탈퇴: 요청 후 실제 삭제까지 유예 기간(일), 처리 주기(분)
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+    sweepIntervalMinutes:
+      parseInt(process.env.ACCOUNT_DELETION_SWEEP_INTERVAL_MINUTES) || 60,
+  },
+
+  // 개인 액세스 토큰 (스크립트/CI용)
+  personalAccessToken: {
+    maxPerUser: parseInt(process.env.PAT_MAX_PER_USER) || 20,
+    // 만료 기간(일): 생성 시 지정하지 않으면 기본값, 최대값을 넘을 수 없음
+    defaultExpiryDays: parseInt(process.env.PAT_DEFAULT_EXPIRY_DAYS) || 90,
+    maxExpiryDays: parseInt(process.env.PAT_MAX_EXPIRY_DAYS) || 365,
+  },
+
+  // 관리자 대리 접속 (지원용 단기 토큰)
+  impersonation: {
+    // 토큰 유효 시간(분): 요청 시 지정하지 않으면 기본값, 최대값을 넘을 수 없음
+    defaultExpiryMinutes:
+      parseInt(process.env.IMPERSONATION_DEFAULT_EXPIRY_MINUTES) || 15,
+    maxExpiryMinutes:
+      parseInt(process.env.IMPERSONATION_MAX_EXPIRY_MINUTES) || 60,
+  },
+
+  // 접속 상태 (online / away / offline)
+  presence: {
+    // 마지막 활동 후 이 시간이 지나면 자리 비움(away)
+    awayAfterMinutes: parseInt(process.env.PRESENCE_AWAY_AFTER_MINUTES) || 5,
+    // 연결 정보 갱신 주기(초)와 갱신이 멈춘 연결을 offline으로 볼 시간(초)
+    sweepIntervalSeconds:
+      parseInt(process.env.PRESENCE_SWEEP_INTERVAL_SECONDS) || 30,
+    connectionTtlSeconds:
+      parseInt(process.env.PRESENCE_CONNECTION_TTL_SECONDS) || 90,
+  },
+
+  // 프론트엔드 (메일 링크 생성용)
+  app: {
+    frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+  },
+
+  // 프로필 이미지 업로드
+  avatar: {
+    // 저장소: local (기본값, API 서버가 /uploads/avatars 로 직접 제공)
+    storage: process.env.AVATAR_STORAGE || "local",
+    localDir: process.env.AVATAR_LOCAL_DIR || "uploads/avatars",
+    // 클라이언트에 돌려줄 이미지 주소의 기준 URL
+    publicBaseUrl:
+      process.env.AVATAR_PUBLIC_BASE_URL ||
+      `http://localhost:${parseInt(process.env.API_PORT) || 4000}/uploads/avatars`,
+    maxFileSizeMb: parseInt(process.env.AVATAR_MAX_FILE_SIZE_MB) || 5,
+    // 생성할 정사각형 썸네일 크기(px), 첫 번째 값이 기본 프로필 이미지
+    sizes: (process.env.AVATAR_SIZES || "256,128,64")
+      .split(",")
+      .map((size) => parseInt(size.trim()))
+      .filter((size) => size > 0),
+  },
+
+  // 메일 발송
+  mail: {
+    // smtp | file | console (기본값: 운영 환경은 smtp, 그 외는 console)
+    transport:
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console"),
+    from: process.env.MAIL_FROM || "Team Collaboration <no-reply@localhost>",
+    fileDir: process.env.MAIL_FILE_DIR || "tmp/mail",
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+
   // CORS
   cors: {
     origin: process.env.FRONTEND_URL || "http://localhost:5173",
@@ -89,6 +265,42 @@ function validateConfig() {
     );
   }
 
+  if (!["allow", "block"].includes(config.emailVerification.unverifiedPolicy)) {
+    console.error(
+      "❌ UNVERIFIED_EMAIL_POLICY는 allow 또는 block 이어야 합니다."
+    );
+    process.exit(1);
+  }
+
+  if (config.avatar.sizes.length === 0) {
+    console.error(
+      "❌ AVATAR_SIZES에 썸네일 크기(px)를 하나 이상 지정해야 합니다."
+    );
+    process.exit(1);
+  }
+
+  if (!["HS256", "RS256", "ES256"].includes(config.jwt.algorithm)) {
+    console.error("❌ JWT_ALGORITHM은 HS256, RS256, ES256 중 하나여야 합니다.");
+    process.exit(1);
+  }
+
+  const { minLength, maxLength, historySize } = config.passwordPolicy;
+  if (minLength > maxLength || !(historySize >= 0)) {
+    console.error(
+      "❌ 비밀번호 정책 설정이 올바르지 않습니다. (PASSWORD_MIN_LENGTH ≤ PASSWORD_MAX_LENGTH, PASSWORD_HISTORY_SIZE ≥ 0)"
+    );
+    process.exit(1);
+  }
+
+  config.oidc.providers.forEach((provider) => {
+    if (!provider.issuer || !provider.clientId) {
+      console.error(
+        `❌ OIDC 공급자 '${provider.id}'의 ISSUER 또는 CLIENT_ID가 누락되었습니다.`
+      );
+      process.exit(1);
+    }
+  });
+
   // 데이터베이스 URL 형식 검증
   if (config.database.url && !config.database.url.includes("mysql://")) {
     console.error("❌ DATABASE_URL이 올바른 MySQL 형식이 아닙니다.");
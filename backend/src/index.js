@@ -4,6 +4,11 @@ const { config, validateConfig } = require("./config/env");
 const app = require("./app");
 const http = require("http");
 const { initializeSocket } = require("./socket");
+const { initializeKeys } = require("./services/jwtKeys");
+const { processScheduledDeletions } = require("./services/account");
+const { clearExpiredStatuses } = require("./services/profile");
+const { backfillNicknameSearchFields } = require("./services/userSearch");
+const { refreshPresence } = require("./services/presence");
 const { PrismaClient } = require("@prisma/client");
 const bcrypt = require("bcrypt");
 
@@ -11,6 +16,14 @@ const bcrypt = require("bcrypt");
 console.log("🔍 환경 변수 검증 중...");
 validateConfig();
 
+// JWT 서명 키 로드 (RS256/ES256 키 설정 오류 시 시작 중단)
+try {
+  initializeKeys();
+} catch (error) {
+  console.error("❌ JWT 서명 키 로드 실패:", error.message);
+  process.exit(1);
+}
+
 const prisma = new PrismaClient();
 
 // HTTP 서버들 생성
@@ -20,6 +33,13 @@ const socketServer = http.createServer();
 // Socket.IO 초기화
 const io = initializeSocket(socketServer);
 
+let deletionSweepTimer = null;
+let statusSweepTimer = null;
+let presenceSweepTimer = null;
+
+// 만료된 상태 메시지 정리 주기
+const STATUS_SWEEP_INTERVAL_MS = 60 * 1000;
+
 const API_PORT = config.server.apiPort;
 const SOCKET_PORT = config.server.socketPort;
 
@@ -41,6 +61,7 @@ async function createDefaultData() {
           password: hashedPassword,
           nickname: "관리자",
           role: "admin",
+          emailVerified: true,
         },
       });
       console.log("✅ 관리자 계정 생성 완료");
@@ -61,6 +82,7 @@ async function createDefaultData() {
           password: hashedPassword,
           nickname: "테스트유저",
           role: "member",
+          emailVerified: true,
         },
       });
       console.log("✅ 테스트 사용자 생성 완료");
@@ -88,6 +110,16 @@ async function startServer() {
     // 기본 데이터 생성
     await createDefaultData();
 
+    // 검색용 닉네임 필드가 비어 있는 사용자 채우기 (기존 데이터, 시드 데이터)
+    try {
+      const backfilled = await backfillNicknameSearchFields();
+      if (backfilled > 0) {
+        console.log(`✅ 사용자 검색 필드 ${backfilled}건 갱신`);
+      }
+    } catch (error) {
+      console.error("❌ 사용자 검색 필드 갱신 오류:", error);
+    }
+
     // API 서버 시작
     apiServer.listen(API_PORT, () => {
       console.log(`🚀 API 서버: http://localhost:${API_PORT}`);
@@ -98,6 +130,33 @@ async function startServer() {
       console.log(`💬 Socket.IO 서버: http://localhost:${SOCKET_PORT}`);
     });
 
+    // 유예 기간이 끝난 탈퇴 계정 주기적 삭제
+    deletionSweepTimer = setInterval(async () => {
+      try {
+        await processScheduledDeletions();
+      } catch (error) {
+        console.error("❌ 탈퇴 계정 정리 오류:", error);
+      }
+    }, config.accountDeletion.sweepIntervalMinutes * 60 * 1000);
+
+    // 만료된 상태 메시지 자동 삭제 (친구/워크스페이스에 알림)
+    statusSweepTimer = setInterval(async () => {
+      try {
+        await clearExpiredStatuses();
+      } catch (error) {
+        console.error("❌ 상태 메시지 정리 오류:", error);
+      }
+    }, STATUS_SWEEP_INTERVAL_MS);
+
+    // 접속 상태 갱신 (연결 정보 유지, 자리 비움 전환 알림)
+    presenceSweepTimer = setInterval(async () => {
+      try {
+        await refreshPresence();
+      } catch (error) {
+        console.error("❌ 접속 상태 갱신 오류:", error);
+      }
+    }, config.presence.sweepIntervalSeconds * 1000);
+
     console.log("🎉 모든 서버가 성공적으로 시작되었습니다!");
     
     // 서버 정보 출력
@@ -136,6 +195,10 @@ async function gracefulShutdown(signal) {
   console.log(`\n🛑 ${signal} 신호를 받았습니다. 서버를 안전하게 종료합니다...`);
   
   try {
+    clearInterval(deletionSweepTimer);
+    clearInterval(statusSweepTimer);
+    clearInterval(presenceSweepTimer);
+
     // HTTP 서버 종료
     apiServer.close(() => {
       console.log("✅ API 서버 종료 완료");
@@ -1,42 +1,37 @@
 // src/middleware/auth.js - 인증 미들웨어 강화 (설정 호환성 개선)
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { prisma } = require("../config/database"); // 🔥 수정: PrismaClient 직접 생성 대신 database.js에서 가져오기
-
-// 설정 호환성을 위한 함수
-const getJWTSecret = () => {
-  // config 객체를 사용하려면 먼저 import해야 하지만,
-  // 호환성을 위해 환경변수를 직접 사용하는 방식도 지원
-  try {
-    const { config } = require("../config/env");
-    return {
-      accessSecret:
-        config?.jwt?.secret ||
-        process.env.ACCESS_TOKEN_SECRET ||
-        process.env.JWT_SECRET,
-      refreshSecret:
-        config?.jwt?.refreshSecret || process.env.REFRESH_TOKEN_SECRET,
-      accessExpiry: config?.jwt?.accessTokenExpiry || "15m",
-      refreshExpiry: config?.jwt?.refreshTokenExpiry || "7d",
-    };
-  } catch (error) {
-    console.log("config/env 파일을 찾을 수 없음, 환경변수 직접 사용");
-    return {
-      accessSecret: process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET,
-      refreshSecret: process.env.REFRESH_TOKEN_SECRET,
-      accessExpiry: process.env.ACCESS_TOKEN_EXPIRY || "15m", // 🔥 수정: 환경변수에서 가져오기
-      refreshExpiry: process.env.REFRESH_TOKEN_EXPIRY || "7d", // 🔥 수정: 환경변수에서 가져오기
-    };
-  }
-};
+const {
+  getJWTSecret,
+  signAccessToken,
+  verifyAccessToken,
+} = require("../services/jwtKeys");
+const {
+  isPersonalAccessToken,
+  hasScope,
+  findActivePersonalAccessToken,
+  touchPersonalAccessToken,
+} = require("../services/personalAccessToken");
+const {
+  READ_ONLY_METHODS,
+  findActiveImpersonation,
+  recordImpersonatedRequest,
+} = require("../services/impersonation");
 
 /**
  * 액세스 토큰과 리프레시 토큰을 생성합니다.
  * 환경 변수 검증 후 안전하게 토큰을 생성합니다.
+ * options.familyId를 넘기면 기존 토큰 패밀리에 이어서 리프레시 토큰을 발급합니다 (토큰 회전).
+ * options.mfa가 true이면 2단계 인증을 거친 세션으로 표시합니다.
  */
-const generateTokens = (userId, email, role) => {
+const generateTokens = (userId, email, role, options = {}) => {
   try {
     console.log("토큰 생성 함수 호출됨:", { userId, email, role });
 
+    // 리프레시 토큰 패밀리 ID (로그인 시 새로 생성, 갱신 시 유지)
+    const familyId = options.familyId || crypto.randomUUID();
+
     const jwtConfig = getJWTSecret();
     console.log("JWT 설정 확인:", {
       hasAccessSecret: !!jwtConfig.accessSecret,
@@ -61,19 +56,18 @@ const generateTokens = (userId, email, role) => {
 
     console.log("액세스 토큰 생성 시작...");
     // 액세스 토큰 생성
-    const accessToken = jwt.sign(
+    // (JWT_ALGORITHM에 따라 HS256 또는 RS256/ES256 + kid 헤더)
+    const accessToken = signAccessToken(
       {
         userId,
         email,
         role,
         type: "access",
+        sessionId: familyId, // 세션 관리 API에서 현재 세션 식별용
+        mfa: !!options.mfa,
         iat: currentTime,
       },
-      jwtConfig.accessSecret,
-      {
-        expiresIn: jwtConfig.accessExpiry,
-        algorithm: "HS256",
-      }
+      { expiresIn: jwtConfig.accessExpiry }
     );
 
     console.log("리프레시 토큰 생성 시작...");
@@ -84,6 +78,9 @@ const generateTokens = (userId, email, role) => {
         email,
         role,
         type: "refresh",
+        familyId,
+        mfa: !!options.mfa, // 토큰 갱신 시에도 2단계 인증 여부 유지
+        jti: crypto.randomUUID(), // 같은 초에 발급되어도 토큰이 겹치지 않도록
         iat: currentTime,
       },
       jwtConfig.refreshSecret,
@@ -98,7 +95,7 @@ const generateTokens = (userId, email, role) => {
       refreshTokenLength: refreshToken?.length,
     });
 
-    return { accessToken, refreshToken };
+    return { accessToken, refreshToken, familyId };
   } catch (error) {
     console.error("=== 토큰 생성 오류 상세 ===");
     console.error("오류 타입:", error.constructor.name);
@@ -110,6 +107,185 @@ const generateTokens = (userId, email, role) => {
   }
 };
 
+/**
+ * 관리자 대리 접속용 액세스 토큰을 생성합니다.
+ * generateTokens와 같은 클레임에 대상 사용자 정보를 담고, 관리자 정보는
+ * act(행위자) 클레임에, 대리 접속 세션 정보는 impersonation 클레임에 넣습니다.
+ * 리프레시 토큰은 발급하지 않으므로 만료되면 다시 발급받아야 합니다.
+ */
+const generateImpersonationToken = (targetUser, admin, session) => {
+  const expiresIn = Math.max(
+    1,
+    Math.floor((session.expiresAt.getTime() - Date.now()) / 1000)
+  );
+
+  return signAccessToken(
+    {
+      userId: targetUser.id,
+      email: targetUser.email,
+      role: targetUser.role,
+      type: "access",
+      mfa: false,
+      act: { userId: admin.userId, email: admin.email },
+      impersonation: { sessionId: session.id, readOnly: session.readOnly },
+      iat: Math.floor(Date.now() / 1000),
+    },
+    { expiresIn }
+  );
+};
+
+// 현재 라우트에 requireScope로 선언된 스코프 목록 (선언이 없으면 null)
+const getRouteScopes = (req) => {
+  const layer = req.route?.stack.find((item) => item.handle.requiredScopes);
+  return layer ? layer.handle.requiredScopes : null;
+};
+
+/**
+ * 개인 액세스 토큰 인증
+ * requireScope로 스코프를 선언한 라우트에서만 사용할 수 있습니다.
+ * (계정/보안 설정 등 스코프가 없는 API는 로그인 세션으로만 접근 가능)
+ */
+const authenticatePersonalAccessToken = async (token, req, res, next) => {
+  try {
+    const pat = await findActivePersonalAccessToken(token);
+
+    if (!pat || !pat.user.isActive) {
+      console.log("개인 액세스 토큰 인증 실패");
+      return res.status(401).json({
+        error: "유효하지 않거나 만료된 액세스 토큰입니다",
+        code: "INVALID_PERSONAL_ACCESS_TOKEN",
+      });
+    }
+
+    if (!getRouteScopes(req)) {
+      return res.status(403).json({
+        error: "개인 액세스 토큰으로 사용할 수 없는 API입니다",
+        code: "PERSONAL_ACCESS_TOKEN_NOT_ALLOWED",
+      });
+    }
+
+    await touchPersonalAccessToken(
+      pat,
+      req.ip || req.socket?.remoteAddress || null
+    );
+
+    req.user = {
+      userId: pat.user.id,
+      email: pat.user.email,
+      role: pat.user.role,
+      type: "pat",
+      tokenId: pat.id,
+      scopes: pat.scopes,
+      mfa: false,
+    };
+
+    console.log("개인 액세스 토큰 인증 성공:", {
+      userId: pat.user.id,
+      tokenId: pat.id,
+    });
+    next();
+  } catch (error) {
+    console.error("개인 액세스 토큰 인증 오류:", error);
+    return res.status(500).json({
+      error: "인증 처리 중 오류가 발생했습니다",
+      code: "AUTHENTICATION_ERROR",
+    });
+  }
+};
+
+/**
+ * 관리자 대리 접속 토큰 인증
+ * 모든 요청을 감사 로그에 남기고, 세션이 종료/만료되었으면 거부합니다.
+ * 읽기 전용 세션은 조회 요청만 허용합니다.
+ */
+const authenticateImpersonation = async (decoded, req, res, next) => {
+  try {
+    const { sessionId } = decoded.impersonation;
+    const session = await findActiveImpersonation(sessionId);
+
+    if (!session || session.targetUserId !== decoded.userId) {
+      return res.status(401).json({
+        error: "종료되었거나 만료된 대리 접속 세션입니다",
+        code: "IMPERSONATION_ENDED",
+      });
+    }
+
+    // 거부되는 요청도 포함해 모든 요청 기록 (기록하지 못하면 요청을 처리하지 않음)
+    try {
+      await recordImpersonatedRequest(session.id, req, res);
+    } catch (error) {
+      console.error("대리 접속 감사 로그 저장 실패:", error.message);
+      return res.status(503).json({
+        error: "감사 로그를 기록할 수 없어 요청을 처리하지 않았습니다",
+        code: "IMPERSONATION_AUDIT_FAILED",
+      });
+    }
+    res.set("X-Impersonated-By", decoded.act?.email || "admin");
+
+    if (session.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        error: "읽기 전용 대리 접속에서는 변경 요청을 할 수 없습니다",
+        code: "IMPERSONATION_READ_ONLY",
+      });
+    }
+
+    req.user = {
+      ...decoded,
+      impersonation: {
+        sessionId: session.id,
+        adminId: session.adminId,
+        readOnly: session.readOnly,
+      },
+    };
+    next();
+  } catch (error) {
+    console.error("대리 접속 토큰 인증 오류:", error);
+    return res.status(500).json({
+      error: "인증 처리 중 오류가 발생했습니다",
+      code: "AUTHENTICATION_ERROR",
+    });
+  }
+};
+
+// 대리 접속으로 사용할 수 없는 라우트 (비밀번호, 세션, 토큰 등 계정 보안 관련)
+const denyImpersonation = (req, res, next) => {
+  if (req.user?.impersonation) {
+    return res.status(403).json({
+      error: "대리 접속 중에는 사용할 수 없는 기능입니다",
+      code: "IMPERSONATION_NOT_ALLOWED",
+    });
+  }
+  next();
+};
+
+/**
+ * 라우트별 개인 액세스 토큰 스코프 검사 (authenticateToken 뒤에 사용)
+ * 로그인 세션(JWT)은 사용자 권한 그대로 통과합니다.
+ */
+const requireScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    if (req.user?.type !== "pat") {
+      return next();
+    }
+
+    const missingScopes = scopes.filter(
+      (scope) => !hasScope(req.user.scopes, scope)
+    );
+    if (missingScopes.length > 0) {
+      return res.status(403).json({
+        error: "액세스 토큰에 필요한 권한이 없습니다",
+        code: "INSUFFICIENT_SCOPE",
+        requiredScopes: missingScopes,
+      });
+    }
+
+    next();
+  };
+
+  middleware.requiredScopes = scopes;
+  return middleware;
+};
+
 /**
  * JWT 인증 미들웨어
  * 토큰 만료 오류를 명확하게 구분하여 처리하도록 개선했습니다.
@@ -139,6 +315,11 @@ const authenticateToken = (req, res, next) => {
 
     console.log("토큰 길이:", token.length);
 
+    // 개인 액세스 토큰 (pat_ 접두사)
+    if (isPersonalAccessToken(token)) {
+      return authenticatePersonalAccessToken(token, req, res, next);
+    }
+
     const jwtConfig = getJWTSecret();
 
     // JWT 시크릿 검증
@@ -154,44 +335,50 @@ const authenticateToken = (req, res, next) => {
 
     console.log("JWT 검증 시작...");
 
-    // 액세스 토큰은 ACCESS_TOKEN_SECRET 또는 JWT_SECRET으로 검증합니다.
-    jwt.verify(token, jwtConfig.accessSecret, (err, user) => {
-      if (err) {
-        console.log("JWT 검증 실패:", err.message);
-
-        if (err instanceof jwt.TokenExpiredError) {
-          return res.status(401).json({
-            error: "토큰이 만료되었습니다",
-            code: "TOKEN_EXPIRED",
-          });
-        }
-
-        if (err instanceof jwt.JsonWebTokenError) {
-          return res.status(403).json({
-            error: "유효하지 않은 토큰입니다",
-            code: "INVALID_TOKEN",
-          });
-        }
-
-        return res.status(403).json({
-          error: "토큰 검증 실패",
-          code: "TOKEN_VERIFICATION_FAILED",
+    // 액세스 토큰은 JWT_ALGORITHM 설정에 따라 공유 비밀키 또는 kid의 공개키로 검증합니다.
+    let user;
+    try {
+      user = verifyAccessToken(token);
+    } catch (err) {
+      console.log("JWT 검증 실패:", err.message);
+
+      if (err instanceof jwt.TokenExpiredError) {
+        return res.status(401).json({
+          error: "토큰이 만료되었습니다",
+          code: "TOKEN_EXPIRED",
         });
       }
 
-      console.log("JWT 검증 성공:", { userId: user.userId, email: user.email });
-
-      // 토큰 타입 검증 (선택적)
-      if (user.type && user.type !== "access") {
+      if (err instanceof jwt.JsonWebTokenError) {
         return res.status(403).json({
-          error: "잘못된 토큰 타입입니다",
-          code: "INVALID_TOKEN_TYPE",
+          error: "유효하지 않은 토큰입니다",
+          code: "INVALID_TOKEN",
         });
       }
 
-      req.user = user;
-      next();
-    });
+      return res.status(403).json({
+        error: "토큰 검증 실패",
+        code: "TOKEN_VERIFICATION_FAILED",
+      });
+    }
+
+    console.log("JWT 검증 성공:", { userId: user.userId, email: user.email });
+
+    // 토큰 타입 검증 (선택적)
+    if (user.type && user.type !== "access") {
+      return res.status(403).json({
+        error: "잘못된 토큰 타입입니다",
+        code: "INVALID_TOKEN_TYPE",
+      });
+    }
+
+    // 관리자 대리 접속 토큰
+    if (user.impersonation) {
+      return authenticateImpersonation(user, req, res, next);
+    }
+
+    req.user = user;
+    next();
   } catch (error) {
     console.error("=== 인증 미들웨어 오류 ===");
     console.error("오류:", error);
@@ -334,8 +521,12 @@ const checkWorkspaceOwner = async (req, res, next) => {
 };
 
 module.exports = {
+  getJWTSecret,
   generateTokens,
+  generateImpersonationToken,
   authenticateToken,
+  requireScope,
+  denyImpersonation,
   checkWorkspaceMember,
   checkWorkspaceOwner,
 };
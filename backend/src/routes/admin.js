@@ -5,21 +5,60 @@ const {
   getDatabaseStats,
   cleanupExpiredData,
 } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { config } = require("../config/env");
+const {
+  authenticateToken,
+  denyImpersonation,
+  generateImpersonationToken,
+} = require("../middleware/auth");
+const {
+  getSetting,
+  setSetting,
+  getAllSettings,
+} = require("../services/settings");
+const {
+  getAccountLockout,
+  listLockouts,
+  clearAccountLockout,
+  clearIpLockout,
+} = require("../services/loginProtection");
+const { processScheduledDeletions } = require("../services/account");
+const { disconnectUserSockets } = require("../services/socketSessions");
+const {
+  IMPERSONATION_PUBLIC_SELECT,
+  resolveImpersonationExpiry,
+  startImpersonation,
+  endImpersonation,
+  endAdminImpersonations,
+} = require("../services/impersonation");
 
 const router = express.Router();
 
-// 모든 관리자 라우트에 인증 적용
-router.use(authenticateToken);
+// 모든 관리자 라우트에 인증 적용 (대리 접속 토큰으로는 사용 불가)
+router.use(authenticateToken, denyImpersonation);
 
 // 관리자 권한 확인 미들웨어
-const requireAdmin = (req, res, next) => {
+const requireAdmin = async (req, res, next) => {
   if (req.user.role !== "admin") {
     return res.status(403).json({ 
       error: "관리자 권한이 필요합니다",
       code: "ADMIN_ACCESS_REQUIRED"
     });
   }
+
+  // 관리자 2단계 인증이 의무인 경우 2단계 인증을 거친 세션만 허용
+  try {
+    if (!req.user.mfa && (await getSetting("requireAdminTwoFactor"))) {
+      return res.status(403).json({
+        error: "관리자 기능을 사용하려면 2단계 인증으로 로그인해야 합니다",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+  } catch (error) {
+    console.error("관리자 2단계 인증 설정 조회 오류:", error);
+    return res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+
   next();
 };
 
@@ -124,8 +163,16 @@ router.get("/users", async (req, res) => {
       prisma.user.count({ where: whereClause }),
     ]);
 
+    // 로그인 실패 누적/잠금 상태 표시
+    const usersWithLockout = await Promise.all(
+      users.map(async (user) => ({
+        ...user,
+        lockout: await getAccountLockout(user.email),
+      }))
+    );
+
     res.json({
-      users,
+      users: usersWithLockout,
       pagination: {
         total: totalCount,
         page: parseInt(page),
@@ -139,6 +186,54 @@ router.get("/users", async (req, res) => {
   }
 });
 
+// 로그인 실패 기록/잠금 목록 (계정 및 IP)
+router.get("/users/lockouts", async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    res.json({
+      lockouts: lockouts.sort(
+        (a, b) => new Date(b.lastFailureAt) - new Date(a.lastFailureAt)
+      ),
+    });
+  } catch (error) {
+    console.error("로그인 잠금 목록 조회 오류:", error);
+    res.status(500).json({ error: "로그인 잠금 목록 조회에 실패했습니다" });
+  }
+});
+
+// IP 잠금 해제
+router.delete("/users/lockouts/ip/:ip", async (req, res) => {
+  try {
+    await clearIpLockout(req.params.ip);
+    console.log(`IP 로그인 잠금 해제: ${req.params.ip} (by ${req.user.email})`);
+    res.status(204).send();
+  } catch (error) {
+    console.error("IP 잠금 해제 오류:", error);
+    res.status(500).json({ error: "잠금 해제에 실패했습니다" });
+  }
+});
+
+// 사용자 계정 잠금 해제
+router.delete("/users/:userId/lockout", async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.userId },
+      select: { id: true, email: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    await clearAccountLockout(user.email);
+    console.log(`계정 로그인 잠금 해제: ${user.email} (by ${req.user.email})`);
+    res.status(204).send();
+  } catch (error) {
+    console.error("계정 잠금 해제 오류:", error);
+    res.status(500).json({ error: "잠금 해제에 실패했습니다" });
+  }
+});
+
 // 사용자 상태 변경 (활성화/비활성화)
 router.patch("/users/:userId/status", async (req, res) => {
   try {
@@ -177,6 +272,9 @@ router.patch("/users/:userId/status", async (req, res) => {
       await prisma.refreshToken.deleteMany({
         where: { userId },
       });
+      disconnectUserSockets(userId, "ACCOUNT_DEACTIVATED");
+      // 이 사용자가 관리자로서 발급한 대리 접속도 종료
+      await endAdminImpersonations(userId);
     }
 
     res.json(updatedUser);
@@ -218,6 +316,14 @@ router.patch("/users/:userId/role", async (req, res) => {
       },
     });
 
+    // 기존 토큰의 역할 정보가 바뀌었으므로 재연결(토큰 갱신)하도록 연결 종료
+    disconnectUserSockets(userId, "ROLE_CHANGED");
+
+    // 관리자 권한을 잃으면 발급한 대리 접속 종료
+    if (role !== "admin") {
+      await endAdminImpersonations(userId);
+    }
+
     res.json(updatedUser);
   } catch (error) {
     console.error("사용자 역할 변경 오류:", error);
@@ -225,6 +331,215 @@ router.patch("/users/:userId/role", async (req, res) => {
   }
 });
 
+// ===============================================
+//   대리 접속 (지원용, 모든 요청은 감사 로그에 기록)
+// ===============================================
+
+// 사용자로 대리 접속 토큰 발급 (기본 읽기 전용)
+router.post("/users/:userId/impersonate", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, allowWrite = false, expiresInMinutes } = req.body;
+
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({
+        error: "대리 접속 사유를 입력해주세요",
+        code: "IMPERSONATION_REASON_REQUIRED",
+      });
+    }
+
+    if (reason.trim().length > 500) {
+      return res
+        .status(400)
+        .json({ error: "대리 접속 사유는 500자 이하여야 합니다" });
+    }
+
+    if (typeof allowWrite !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "allowWrite는 boolean 값이어야 합니다" });
+    }
+
+    const expiresAt = resolveImpersonationExpiry(expiresInMinutes);
+    if (!expiresAt) {
+      return res.status(400).json({
+        error: `유효 시간은 1~${config.impersonation.maxExpiryMinutes}분 사이의 정수여야 합니다`,
+      });
+    }
+
+    if (userId === req.user.userId) {
+      return res
+        .status(400)
+        .json({ error: "자기 자신으로 대리 접속할 수 없습니다" });
+    }
+
+    const targetUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        nickname: true,
+        role: true,
+        isActive: true,
+      },
+    });
+
+    if (!targetUser) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    if (!targetUser.isActive) {
+      return res.status(400).json({
+        error: "비활성화된 사용자로는 대리 접속할 수 없습니다",
+        code: "USER_INACTIVE",
+      });
+    }
+
+    // 관리자 권한이 전이되지 않도록 다른 관리자로는 대리 접속 불가
+    if (targetUser.role === "admin") {
+      return res.status(403).json({
+        error: "관리자 계정으로는 대리 접속할 수 없습니다",
+        code: "IMPERSONATION_TARGET_ADMIN",
+      });
+    }
+
+    const session = await startImpersonation({
+      admin: req.user,
+      targetUserId: targetUser.id,
+      reason: reason.trim(),
+      readOnly: !allowWrite,
+      expiresAt,
+    });
+    const accessToken = generateImpersonationToken(
+      targetUser,
+      req.user,
+      session
+    );
+
+    console.log("🕵️  대리 접속 시작:", {
+      sessionId: session.id,
+      admin: req.user.email,
+      target: targetUser.email,
+      readOnly: session.readOnly,
+    });
+
+    res.status(201).json({
+      accessToken,
+      tokenType: "Bearer",
+      expiresAt: session.expiresAt,
+      session,
+      targetUser: {
+        id: targetUser.id,
+        email: targetUser.email,
+        nickname: targetUser.nickname,
+        role: targetUser.role,
+      },
+    });
+  } catch (error) {
+    console.error("대리 접속 시작 오류:", error);
+    res.status(500).json({ error: "대리 접속을 시작할 수 없습니다" });
+  }
+});
+
+// 대리 접속 기록 목록
+router.get("/impersonations", async (req, res) => {
+  try {
+    const { page = 1, limit = 20, adminId, targetUserId, active } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (adminId) whereClause.adminId = adminId;
+    if (targetUserId) whereClause.targetUserId = targetUserId;
+    if (active === "true") {
+      whereClause.endedAt = null;
+      whereClause.expiresAt = { gt: new Date() };
+    }
+
+    const [sessions, totalCount] = await Promise.all([
+      prisma.impersonationSession.findMany({
+        where: whereClause,
+        select: {
+          ...IMPERSONATION_PUBLIC_SELECT,
+          targetUser: { select: { id: true, email: true, nickname: true } },
+        },
+        orderBy: { createdAt: "desc" },
+        take: parseInt(limit),
+        skip: offset,
+      }),
+      prisma.impersonationSession.count({ where: whereClause }),
+    ]);
+
+    res.json({
+      sessions,
+      pagination: {
+        total: totalCount,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("대리 접속 기록 조회 오류:", error);
+    res.status(500).json({ error: "대리 접속 기록 조회에 실패했습니다" });
+  }
+});
+
+// 대리 접속 상세 (요청 감사 로그 포함)
+router.get("/impersonations/:sessionId", async (req, res) => {
+  try {
+    const session = await prisma.impersonationSession.findUnique({
+      where: { id: req.params.sessionId },
+      select: {
+        ...IMPERSONATION_PUBLIC_SELECT,
+        targetUser: { select: { id: true, email: true, nickname: true } },
+        auditLogs: {
+          orderBy: { createdAt: "asc" },
+          select: {
+            id: true,
+            method: true,
+            path: true,
+            statusCode: true,
+            ipAddress: true,
+            userAgent: true,
+            createdAt: true,
+          },
+        },
+      },
+    });
+
+    if (!session) {
+      return res
+        .status(404)
+        .json({ error: "대리 접속 기록을 찾을 수 없습니다" });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error("대리 접속 상세 조회 오류:", error);
+    res.status(500).json({ error: "대리 접속 기록 조회에 실패했습니다" });
+  }
+});
+
+// 대리 접속 종료 (발급한 토큰 즉시 무효화)
+router.delete("/impersonations/:sessionId", async (req, res) => {
+  try {
+    const ended = await endImpersonation(req.params.sessionId);
+
+    if (!ended) {
+      return res.status(404).json({
+        error: "진행 중인 대리 접속을 찾을 수 없습니다",
+      });
+    }
+
+    console.log("🕵️  대리 접속 종료:", req.params.sessionId, req.user.email);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("대리 접속 종료 오류:", error);
+    res.status(500).json({ error: "대리 접속 종료에 실패했습니다" });
+  }
+});
+
 // 워크스페이스 목록 (관리용)
 router.get("/workspaces", async (req, res) => {
   try {
@@ -304,11 +619,55 @@ router.delete("/workspaces/:wsId", async (req, res) => {
   }
 });
 
+// 보안 설정 조회
+router.get("/settings", async (req, res) => {
+  try {
+    res.json(await getAllSettings());
+  } catch (error) {
+    console.error("설정 조회 오류:", error);
+    res.status(500).json({ error: "설정 조회에 실패했습니다" });
+  }
+});
+
+// 보안 설정 변경 (관리자 2단계 인증 의무화 등)
+router.patch("/settings", async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "requireAdminTwoFactor는 boolean 값이어야 합니다" });
+    }
+
+    // 설정을 켜는 관리자 자신이 잠기지 않도록 2단계 인증 세션에서만 허용
+    if (requireAdminTwoFactor && !req.user.mfa) {
+      return res.status(400).json({
+        error: "2단계 인증으로 로그인한 상태에서만 의무화를 켤 수 있습니다",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    await setSetting("requireAdminTwoFactor", requireAdminTwoFactor);
+    console.log(
+      `관리자 2단계 인증 의무화 변경: ${requireAdminTwoFactor} (by ${req.user.email})`
+    );
+
+    res.json(await getAllSettings());
+  } catch (error) {
+    console.error("설정 변경 오류:", error);
+    res.status(500).json({ error: "설정 변경에 실패했습니다" });
+  }
+});
+
 // 시스템 정리 작업
 router.post("/cleanup", async (req, res) => {
   try {
     const result = await cleanupExpiredData();
 
+    // 유예 기간이 끝난 탈퇴 계정 삭제
+    const deletionResult = await processScheduledDeletions();
+
     // 추가 정리 작업
     const additionalCleanup = await Promise.all([
       // 완료된 지 30일 이상 된 할일 삭제 (선택적)
@@ -321,10 +680,11 @@ router.post("/cleanup", async (req, res) => {
       //   },
       // }),
 
-      // 거절된 친구 요청 정리 (30일 이상)
+      // 30일 이상 응답이 없는 친구 요청 정리
+      // (blocked 행은 사용자 차단 기록이므로 삭제하지 않음)
       prisma.friend.deleteMany({
         where: {
-          status: "blocked",
+          status: "pending",
           updatedAt: {
             lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
           },
@@ -336,7 +696,11 @@ router.post("/cleanup", async (req, res) => {
       message: "시스템 정리 작업이 완료되었습니다",
       results: {
         expiredTokens: result.deletedTokens || 0,
-        blockedFriendships: additionalCleanup[0]?.count || 0,
+        passwordResetTokens: result.deletedResetTokens || 0,
+        emailVerificationTokens: result.deletedVerificationTokens || 0,
+        magicLinkTokens: result.deletedMagicLinkTokens || 0,
+        staleFriendRequests: additionalCleanup[0]?.count || 0,
+        deletedAccounts: deletionResult.deletedAccounts,
       },
     });
   } catch (error) {
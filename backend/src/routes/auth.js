@@ -2,11 +2,286 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken"); // JWT 검증을 위해 추가
+const crypto = require("crypto");
 const { prisma } = require("../config/database");
-const { generateTokens, authenticateToken } = require("../middleware/auth");
+const { config } = require("../config/env");
+const {
+  generateTokens,
+  authenticateToken,
+  denyImpersonation,
+  getJWTSecret,
+} = require("../middleware/auth");
+const { getClientInfo } = require("../utils/device");
+const totp = require("../utils/totp");
+const {
+  createLoginSession,
+  buildLoginResponse,
+} = require("../services/session");
+const { getSetting } = require("../services/settings");
+const { sendMail } = require("../services/mail");
+const {
+  passwordResetMail,
+  emailVerificationMail,
+} = require("../services/mailTemplates");
+const { generateRandomToken, hashToken } = require("../utils/token");
+const {
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../services/loginProtection");
+const oidc = require("../services/oidc");
+const {
+  validatePassword,
+  sendPolicyViolation,
+  isPasswordReused,
+  recordPasswordHistory,
+} = require("../services/passwordPolicy");
+const {
+  checkMagicLinkRequest,
+  sendMagicLink,
+  consumeMagicLink,
+} = require("../services/magicLink");
+const { disconnectUserSockets } = require("../services/socketSessions");
+const { nicknameSearchFields } = require("../services/userSearch");
 
 const router = express.Router();
 
+// 세션/2단계 인증 관리 API는 관리자 대리 접속 토큰으로 사용할 수 없음
+const sessionAuth = [authenticateToken, denyImpersonation];
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// 비밀번호 확인 후 2단계 인증 단계로 넘겨줄 단기 챌린지 토큰
+function generateTwoFactorChallenge(userId) {
+  return jwt.sign(
+    { userId, type: "2fa_challenge" },
+    getJWTSecret().accessSecret,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS, algorithm: "HS256" }
+  );
+}
+
+// SSO 처리 결과를 프론트엔드 콜백 페이지로 전달
+function redirectToFrontend(res, pathname, params) {
+  const url = new URL(pathname, config.app.frontendUrl);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return res.redirect(url.toString());
+}
+
+/**
+ * 외부 계정(provider + subject)에 해당하는 사용자를 찾거나 만듭니다.
+ * - 이미 연결된 계정이면 그 사용자
+ * - 같은 이메일의 기존 사용자가 있으면 trustEmail 공급자일 때만 자동 연결
+ * - 없으면 JIT 프로비저닝 설정에 따라 새 사용자 생성
+ */
+async function findOrProvisionOidcUser(provider, claims) {
+  const identity = await prisma.userIdentity.findUnique({
+    where: {
+      provider_subject: { provider: provider.id, subject: claims.sub },
+    },
+    include: { user: true },
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), email: claims.email || identity.email },
+    });
+    return identity.user;
+  }
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const emailVerified = claims.email_verified === true;
+  const existingUser = email
+    ? await prisma.user.findUnique({ where: { email } })
+    : null;
+
+  if (existingUser) {
+    if (!provider.trustEmail || !emailVerified) {
+      throw Object.assign(
+        new Error(
+          "같은 이메일로 가입된 계정이 있습니다. 로그인 후 계정을 연결해주세요"
+        ),
+        { code: "OIDC_ACCOUNT_EXISTS" }
+      );
+    }
+
+    await prisma.userIdentity.create({
+      data: {
+        userId: existingUser.id,
+        provider: provider.id,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date(),
+      },
+    });
+    console.log("SSO 계정 자동 연결:", existingUser.email, provider.id);
+    return existingUser;
+  }
+
+  if (!config.oidc.jitProvisioning) {
+    throw Object.assign(new Error("등록되지 않은 사용자입니다"), {
+      code: "OIDC_USER_NOT_FOUND",
+    });
+  }
+
+  if (!email) {
+    throw Object.assign(new Error("IdP가 이메일 정보를 제공하지 않았습니다"), {
+      code: "OIDC_EMAIL_REQUIRED",
+    });
+  }
+
+  const nickname =
+    claims.name || claims.preferred_username || email.split("@")[0];
+
+  // 비밀번호 로그인은 사용하지 않으므로 추측 불가능한 임의 해시를 저장
+  const user = await prisma.user.create({
+    data: {
+      email,
+      password: await bcrypt.hash(generateRandomToken(), 10),
+      hasPassword: false,
+      nickname,
+      ...nicknameSearchFields(nickname),
+      avatar: claims.picture || null,
+      emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : null,
+      identities: {
+        create: {
+          provider: provider.id,
+          subject: claims.sub,
+          email,
+          lastLoginAt: new Date(),
+        },
+      },
+    },
+  });
+
+  console.log("SSO 사용자 자동 생성:", user.email, provider.id);
+  return user;
+}
+
+// 로그인 시도 제한에 걸린 경우 응답 (Retry-After 헤더 포함)
+function sendLoginBlocked(res, block) {
+  res.set("Retry-After", String(block.retryAfter));
+  return res.status(block.status).json({
+    error: block.error,
+    code: block.code,
+    retryAfter: block.retryAfter,
+  });
+}
+
+// 복구 코드는 충분히 무작위이므로 bcrypt 대신 SHA-256 해시로 저장
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// 새 복구 코드 세트 생성 (기존 코드는 모두 폐기). 평문 코드는 이 때 한 번만 보여줌
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })),
+    }),
+  ]);
+
+  return codes;
+}
+
+// 이메일 인증 토큰을 새로 만들고 인증 메일 발송 (메일 실패는 로그만 남김)
+async function sendVerificationEmail(user) {
+  const expiresInHours = config.emailVerification.tokenExpiryHours;
+  const token = generateRandomToken();
+
+  await prisma.emailVerificationToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailVerificationMail({
+        nickname: user.nickname,
+        token,
+        expiresInHours,
+      }),
+    });
+    console.log("이메일 인증 메일 발송:", user.email);
+  } catch (mailError) {
+    console.error("이메일 인증 메일 발송 실패:", mailError);
+  }
+}
+
+/**
+ * TOTP 코드 또는 복구 코드를 검증합니다.
+ * 같은 TOTP 코드를 두 번 쓸 수 없도록 마지막으로 사용한 step을 기록하고,
+ * 복구 코드는 사용 즉시 소진 처리합니다.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null) return { valid: false };
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return { valid: count > 0, method: "totp" };
+  }
+
+  if (recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashRecoveryCode(recoveryCode),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    return { valid: count > 0, method: "recovery_code" };
+  }
+
+  return { valid: false };
+}
+
+// 리프레시 토큰 재사용 감지 시 해당 패밀리의 모든 토큰을 폐기합니다.
+async function revokeTokenFamily(storedToken, req) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { familyId: storedToken.familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: "reuse_detected" },
+  });
+  disconnectUserSockets(storedToken.userId, "SESSION_REVOKED", {
+    sessionId: storedToken.familyId,
+  });
+
+  console.warn("⚠️  리프레시 토큰 재사용 감지 - 토큰 패밀리 폐기:", {
+    userId: storedToken.userId,
+    familyId: storedToken.familyId,
+    tokenId: storedToken.id,
+    revokedTokens: count,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+    timestamp: new Date().toISOString(),
+  });
+}
+
 // 회원가입
 router.post("/signup", async (req, res) => {
   console.log("=== 회원가입 라우터 진입 ===");
@@ -39,11 +314,10 @@ router.post("/signup", async (req, res) => {
       return res.status(400).json({ error: "유효하지 않은 이메일 형식입니다" });
     }
 
-    // 비밀번호 길이 검증
-    if (password.length < 6) {
-      return res
-        .status(400)
-        .json({ error: "비밀번호는 최소 6자 이상이어야 합니다" });
+    // 비밀번호 정책 검증
+    const violations = validatePassword(password, { email });
+    if (violations.length > 0) {
+      return sendPolicyViolation(res, violations);
     }
 
     console.log("이메일 중복 확인 중..."); // 디버그 로그
@@ -71,25 +345,31 @@ router.post("/signup", async (req, res) => {
         email,
         password: hashedPassword,
         nickname,
+        ...nicknameSearchFields(nickname),
       },
       select: {
         id: true,
         email: true,
         nickname: true,
         role: true,
+        emailVerified: true,
         createdAt: true,
       },
     });
 
     console.log("회원가입 성공:", user.email); // 디버그 로그
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
-      message: "회원가입이 완료되었습니다. 로그인해주세요.",
+      message:
+        "회원가입이 완료되었습니다. 메일로 받은 링크에서 이메일 인증을 완료해주세요.",
       user: {
         id: user.id,
         email: user.email,
         nickname: user.nickname,
         role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
       },
     });
@@ -154,6 +434,14 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "이메일과 비밀번호는 필수입니다" });
     }
 
+    // 반복된 로그인 실패로 잠겼거나 대기 시간 중인지 확인
+    // (허용되면 실패 1회로 미리 기록해 동시 요청으로 제한을 피하지 못하도록 함)
+    const loginCheck = await reserveLoginAttempt(email, req.ip);
+    if (!loginCheck.allowed) {
+      console.log("로그인 시도 제한:", email, loginCheck.code);
+      return sendLoginBlocked(res, loginCheck);
+    }
+
     console.log("사용자 조회 중...");
 
     // 사용자 조회 - select 명시적으로 지정
@@ -168,11 +456,15 @@ router.post("/login", async (req, res) => {
         isActive: true,
         avatar: true,
         lastLogin: true,
+        emailVerified: true,
+        deletionScheduledAt: true,
+        twoFactorEnabled: true,
       },
     });
 
     if (!user) {
       console.log("사용자를 찾을 수 없음:", email);
+      await recordLoginFailure(email, req.ip);
       return res
         .status(401)
         .json({ error: "이메일 또는 비밀번호가 잘못되었습니다" });
@@ -183,6 +475,7 @@ router.post("/login", async (req, res) => {
     // isActive 필드가 존재하는지 확인 후 검증 (없으면 true로 간주)
     if (user.hasOwnProperty("isActive") && !user.isActive) {
       console.log("비활성 사용자:", email);
+      await recordLoginFailure(email, req.ip);
       return res
         .status(401)
         .json({ error: "이메일 또는 비밀번호가 잘못되었습니다" });
@@ -194,59 +487,43 @@ router.post("/login", async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
       console.log("비밀번호 불일치:", email);
+      await recordLoginFailure(email, req.ip);
       return res
         .status(401)
         .json({ error: "이메일 또는 비밀번호가 잘못되었습니다" });
     }
 
     console.log("비밀번호 검증 성공");
+    await releaseLoginAttempt(email, req.ip);
 
-    // 마지막 로그인 시간 업데이트 - 에러가 발생해도 로그인은 계속 진행
-    try {
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() },
+    // 미인증 계정 정책이 block이면 로그인 거부 (비밀번호 확인 후에만 알려줌)
+    if (
+      !user.emailVerified &&
+      config.emailVerification.unverifiedPolicy === "block"
+    ) {
+      console.log("이메일 미인증 사용자:", email);
+      return res.status(403).json({
+        error: "이메일 인증이 필요합니다. 메일함을 확인해주세요",
+        code: "EMAIL_NOT_VERIFIED",
       });
-      console.log("로그인 시간 업데이트 성공");
-    } catch (updateError) {
-      console.error(
-        "로그인 시간 업데이트 실패 (무시하고 계속 진행):",
-        updateError.message
-      );
     }
 
-    // 토큰 생성
-    console.log("토큰 생성 시작...");
-    console.log("사용자 정보:", {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    });
-
-    let accessToken, refreshToken;
-    try {
-      // generateTokens 함수 호출 전에 환경변수 확인
-      if (!process.env.JWT_SECRET || !process.env.REFRESH_TOKEN_SECRET) {
-        console.error("환경 변수 확인:", {
-          JWT_SECRET: !!process.env.JWT_SECRET,
-          REFRESH_TOKEN_SECRET: !!process.env.REFRESH_TOKEN_SECRET,
-        });
-        throw new Error("토큰 시크릿이 설정되지 않았습니다");
-      }
+    // 2단계 인증 사용자: 토큰 대신 단기 챌린지 토큰 발급 → /auth/login/2fa 에서 완료
+    if (user.twoFactorEnabled) {
+      console.log("2단계 인증 필요:", user.email);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+      });
+    }
 
-      const tokens = generateTokens(user.id, user.email, user.role);
-      accessToken = tokens.accessToken;
-      refreshToken = tokens.refreshToken;
+    await recordLoginSuccess(email);
 
+    let tokens;
+    try {
+      tokens = await createLoginSession(req, user);
       console.log("토큰 생성 성공");
-      console.log(
-        "액세스 토큰 길이:",
-        accessToken ? accessToken.length : "undefined"
-      );
-      console.log(
-        "리프레시 토큰 길이:",
-        refreshToken ? refreshToken.length : "undefined"
-      );
     } catch (tokenError) {
       console.error("토큰 생성 실패:", tokenError);
       console.error("토큰 생성 오류 스택:", tokenError.stack);
@@ -259,46 +536,14 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    console.log("리프레시 토큰 데이터베이스 저장 중...");
-
-    // 기존 리프레시 토큰 삭제 후 새로 생성
-    try {
-      await prisma.refreshToken.deleteMany({
-        where: { userId: user.id },
-      });
-      console.log("기존 리프레시 토큰 삭제 완료");
-
-      await prisma.refreshToken.create({
-        data: {
-          token: refreshToken,
-          userId: user.id,
-          expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-        },
-      });
-      console.log("새 리프레시 토큰 저장 완료");
-    } catch (refreshTokenError) {
-      console.error("리프레시 토큰 저장 실패:", refreshTokenError);
-      // 리프레시 토큰 저장 실패해도 로그인은 성공으로 처리 (액세스 토큰만으로도 동작 가능)
-      console.log("리프레시 토큰 저장 실패했지만 로그인 계속 진행");
-    }
-
     console.log("로그인 성공:", user.email);
 
     // 응답 데이터 구성
-    const responseData = {
-      user: {
-        id: user.id,
-        email: user.email,
-        nickname: user.nickname,
-        role: user.role,
-        avatar: user.avatar,
-      },
-      accessToken,
-    };
+    const responseData = buildLoginResponse(user, tokens);
 
-    // 리프레시 토큰이 성공적으로 생성된 경우만 포함
-    if (refreshToken) {
-      responseData.refreshToken = refreshToken;
+    // 관리자 2단계 인증이 의무인데 아직 등록하지 않은 경우 안내
+    if (user.role === "admin" && (await getSetting("requireAdminTwoFactor"))) {
+      responseData.twoFactorSetupRequired = true;
     }
 
     res.json(responseData);
@@ -318,6 +563,107 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// 로그인 2단계: TOTP 코드 또는 복구 코드 확인
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: "챌린지 토큰과 인증 코드(또는 복구 코드)가 필요합니다",
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, getJWTSecret().accessSecret);
+    } catch (jwtError) {
+      console.log("2단계 인증 챌린지 검증 실패:", jwtError.message);
+      return res.status(401).json({
+        error:
+          jwtError instanceof jwt.TokenExpiredError
+            ? "인증 시간이 초과되었습니다. 다시 로그인해주세요"
+            : "유효하지 않은 챌린지 토큰입니다",
+        code:
+          jwtError instanceof jwt.TokenExpiredError
+            ? "CHALLENGE_EXPIRED"
+            : "INVALID_CHALLENGE",
+      });
+    }
+
+    if (challenge.type !== "2fa_challenge") {
+      return res.status(401).json({
+        error: "유효하지 않은 챌린지 토큰입니다",
+        code: "INVALID_CHALLENGE",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      select: {
+        id: true,
+        email: true,
+        nickname: true,
+        role: true,
+        isActive: true,
+        avatar: true,
+        emailVerified: true,
+        deletionScheduledAt: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+      },
+    });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        error: "유효하지 않은 챌린지 토큰입니다",
+        code: "INVALID_CHALLENGE",
+      });
+    }
+
+    // 2단계 인증 코드 추측도 같은 계정 잠금 정책 적용
+    const loginCheck = await reserveLoginAttempt(user.email, req.ip);
+    if (!loginCheck.allowed) {
+      return sendLoginBlocked(res, loginCheck);
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      console.log("2단계 인증 실패:", user.email);
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({
+        error: "인증 코드가 올바르지 않습니다",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    await releaseLoginAttempt(user.email, req.ip);
+    await recordLoginSuccess(user.email);
+
+    const tokens = await createLoginSession(req, user, { mfa: true });
+    const responseData = buildLoginResponse(user, tokens);
+
+    // 복구 코드로 로그인한 경우 남은 개수 안내
+    if (result.method === "recovery_code") {
+      responseData.recoveryCodesRemaining =
+        await prisma.twoFactorRecoveryCode.count({
+          where: { userId: user.id, usedAt: null },
+        });
+    }
+
+    console.log("2단계 인증 로그인 성공:", user.email, result.method);
+
+    res.json(responseData);
+  } catch (error) {
+    console.error("2단계 인증 로그인 오류:", error);
+    res.status(500).json({
+      error: "서버 오류가 발생했습니다",
+      detail:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
 // 토큰 갱신 - 핵심 수정 부분만
 router.post("/refresh", async (req, res) => {
   try {
@@ -366,6 +712,15 @@ router.post("/refresh", async (req, res) => {
 
     console.log("토큰 소유자:", storedToken.user.email); // 추가된 디버그 로그
 
+    // 이미 회전(또는 폐기)된 토큰이 다시 제시됨 → 탈취 가능성이 있으므로 패밀리 전체 폐기
+    if (storedToken.revokedAt) {
+      await revokeTokenFamily(storedToken, req);
+      return res.status(401).json({
+        error: "이미 사용된 리프레시 토큰입니다. 다시 로그인해주세요",
+        code: "REFRESH_TOKEN_REUSED",
+      });
+    }
+
     // 토큰 만료 확인
     if (storedToken.expiresAt < new Date()) {
       console.log("토큰 만료됨");
@@ -388,11 +743,11 @@ router.post("/refresh", async (req, res) => {
     console.log("JWT 토큰 검증 중...");
 
     // JWT 자체의 유효성도 검증 (선택적, 하지만 보안상 권장)
+    let decoded;
     try {
-      const decoded = jwt.verify(
-        refreshTokenToUse,
-        process.env.REFRESH_TOKEN_SECRET
-      ); // 수정: 디코딩 결과 저장
+      decoded = jwt.verify(refreshTokenToUse, getJWTSecret().refreshSecret, {
+        algorithms: ["HS256"],
+      }); // 수정: 디코딩 결과 저장
       console.log("JWT 검증 성공, 사용자 ID:", decoded.userId); // 추가된 디버그 로그
     } catch (jwtError) {
       console.log("JWT 검증 실패:", jwtError.message);
@@ -405,19 +760,61 @@ router.post("/refresh", async (req, res) => {
         .json({ error: "유효하지 않은 리프레시 토큰입니다" });
     }
 
-    console.log("새 액세스 토큰 생성 중...");
+    console.log("새 토큰 발급 중 (리프레시 토큰 회전)...");
 
-    // 새로운 액세스 토큰 생성
-    const { accessToken } = generateTokens(
+    // 같은 패밀리로 새 액세스/리프레시 토큰 생성
+    const { accessToken, refreshToken } = generateTokens(
       storedToken.user.id,
       storedToken.user.email,
-      storedToken.user.role
+      storedToken.user.role,
+      { familyId: storedToken.familyId, mfa: decoded.mfa }
     );
 
+    // 제시된 토큰 폐기와 새 토큰 저장을 하나의 트랜잭션으로 처리
+    const rotated = await prisma.$transaction(async (tx) => {
+      // revokedAt 조건으로 동시 요청 중 하나만 회전에 성공하도록 함
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: storedToken.id, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: "rotated" },
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      // 기기 이름은 세션 생성 시점 값을 유지하고, 접속 정보만 갱신
+      const clientInfo = getClientInfo(req);
+      await tx.refreshToken.create({
+        data: {
+          token: refreshToken,
+          userId: storedToken.user.id,
+          familyId: storedToken.familyId,
+          parentId: storedToken.id,
+          userAgent: clientInfo.userAgent,
+          ipAddress: clientInfo.ipAddress,
+          deviceLabel: storedToken.deviceLabel || clientInfo.deviceLabel,
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        },
+      });
+
+      return true;
+    });
+
+    // 다른 요청이 먼저 같은 토큰을 사용함 → 재사용으로 간주
+    if (!rotated) {
+      await revokeTokenFamily(storedToken, req);
+      return res.status(401).json({
+        error: "이미 사용된 리프레시 토큰입니다. 다시 로그인해주세요",
+        code: "REFRESH_TOKEN_REUSED",
+      });
+    }
+
     console.log("토큰 갱신 성공:", storedToken.user.email);
 
     res.json({
       accessToken,
+      refreshToken,
       user: {
         id: storedToken.user.id,
         email: storedToken.user.email,
@@ -438,24 +835,1004 @@ router.post("/refresh", async (req, res) => {
   }
 });
 
-// 로그아웃
-router.post("/logout", authenticateToken, async (req, res) => {
+// ===============================================
+//   OIDC / OAuth2 소셜 로그인 (인가 코드 + PKCE)
+// ===============================================
+
+// 로그인 화면에 표시할 SSO 공급자 목록
+router.get("/oidc/providers", (req, res) => {
+  res.json({ providers: oidc.listProviders() });
+});
+
+// IdP 인가 페이지로 이동
+router.get("/oidc/:provider/authorize", async (req, res) => {
   try {
-    console.log("로그아웃 요청:", req.user.userId);
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: "지원하지 않는 로그인 공급자입니다",
+        code: "OIDC_PROVIDER_NOT_FOUND",
+      });
+    }
 
-    // 해당 사용자의 모든 리프레시 토큰 삭제
-    const deletedTokens = await prisma.refreshToken.deleteMany({
-      where: { userId: req.user.userId },
+    const { authorizationUrl, browserBinding } =
+      await oidc.createAuthorizationRequest(provider, {
+        mode: "login",
+        loginHint: req.query.login_hint,
+      });
+    oidc.setBrowserBinding(res, browserBinding);
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error("SSO 인가 요청 오류:", error);
+    res.status(502).json({
+      error: "로그인 공급자에 연결할 수 없습니다",
+      code: "OIDC_PROVIDER_ERROR",
     });
+  }
+});
 
-    console.log("삭제된 토큰 수:", deletedTokens.count);
-    console.log("로그아웃 성공:", req.user.userId);
+// IdP 콜백: 로그인(또는 계정 연결) 처리 후 프론트엔드로 리다이렉트
+router.get("/oidc/:provider/callback", async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      error: "지원하지 않는 로그인 공급자입니다",
+      code: "OIDC_PROVIDER_NOT_FOUND",
+    });
+  }
 
-    res.status(204).send();
+  // 인가 요청 확인용 쿠키는 결과와 관계없이 한 번만 사용
+  const browserBinding = oidc.readBrowserBinding(req);
+  oidc.clearBrowserBinding(res);
+
+  // 사용자가 IdP에서 동의를 거부한 경우 등
+  if (req.query.error) {
+    console.log("SSO 인가 실패:", provider.id, req.query.error);
+    return redirectToFrontend(res, "/auth/sso/callback", {
+      error: "OIDC_AUTHORIZATION_DENIED",
+    });
+  }
+
+  let pending;
+  try {
+    const result = await oidc.handleCallback(provider, {
+      code: req.query.code,
+      state: req.query.state,
+      browserBinding,
+    });
+    pending = result.pending;
+    const { claims } = result;
+
+    // 계정 연결: 로그인한 사용자에게 외부 계정 추가
+    if (pending.mode === "link") {
+      const existing = await prisma.userIdentity.findUnique({
+        where: {
+          provider_subject: { provider: provider.id, subject: claims.sub },
+        },
+      });
+
+      if (existing && existing.userId !== pending.userId) {
+        return redirectToFrontend(res, "/settings/account", {
+          error: "OIDC_IDENTITY_IN_USE",
+        });
+      }
+
+      if (!existing) {
+        await prisma.userIdentity.create({
+          data: {
+            userId: pending.userId,
+            provider: provider.id,
+            subject: claims.sub,
+            email: claims.email || null,
+          },
+        });
+      }
+
+      console.log("SSO 계정 연결:", pending.userId, provider.id);
+      return redirectToFrontend(res, "/settings/account", {
+        linked: provider.id,
+      });
+    }
+
+    const user = await findOrProvisionOidcUser(provider, claims);
+
+    if (!user.isActive) {
+      return redirectToFrontend(res, "/auth/sso/callback", {
+        error: "USER_INACTIVE",
+      });
+    }
+
+    const ticket = await oidc.issueLoginTicket({
+      userId: user.id,
+      mfa: oidc.isMultiFactor(claims),
+    });
+
+    console.log("SSO 로그인 콜백 성공:", user.email, provider.id);
+    redirectToFrontend(res, "/auth/sso/callback", { ticket });
   } catch (error) {
-    console.error("로그아웃 오류:", error);
+    console.error("SSO 콜백 처리 오류:", error);
+
+    // 같은 공급자의 다른 계정이 이미 연결된 경우 (userId + provider 중복)
+    const code =
+      error.code === "P2002"
+        ? "OIDC_PROVIDER_ALREADY_LINKED"
+        : error.code && String(error.code).startsWith("OIDC_")
+          ? error.code
+          : "OIDC_LOGIN_FAILED";
+
+    redirectToFrontend(
+      res,
+      pending?.mode === "link" ? "/settings/account" : "/auth/sso/callback",
+      { error: code }
+    );
+  }
+});
+
+// 프론트엔드가 받은 일회용 티켓을 액세스/리프레시 토큰으로 교환
+router.post("/oidc/exchange", async (req, res) => {
+  try {
+    const payload = await oidc.redeemLoginTicket(req.body.ticket);
+    if (!payload) {
+      return res.status(401).json({
+        error: "유효하지 않거나 만료된 로그인 티켓입니다",
+        code: "INVALID_LOGIN_TICKET",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.userId },
+      select: {
+        id: true,
+        email: true,
+        nickname: true,
+        role: true,
+        isActive: true,
+        avatar: true,
+        emailVerified: true,
+        deletionScheduledAt: true,
+        twoFactorEnabled: true,
+      },
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: "비활성화된 사용자입니다" });
+    }
+
+    if (
+      !user.emailVerified &&
+      config.emailVerification.unverifiedPolicy === "block"
+    ) {
+      return res.status(403).json({
+        error: "이메일 인증이 필요합니다. 메일함을 확인해주세요",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    // IdP에서 다단계 인증을 거치지 않았으면 2단계 인증을 /auth/login/2fa 에서 완료
+    if (user.twoFactorEnabled && !payload.mfa) {
+      console.log("2단계 인증 필요 (SSO):", user.email);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+      });
+    }
+
+    const tokens = await createLoginSession(req, user, { mfa: payload.mfa });
+    console.log("SSO 로그인 성공:", user.email);
+
+    res.json(buildLoginResponse(user, tokens));
+  } catch (error) {
+    console.error("SSO 토큰 교환 오류:", error);
     res.status(500).json({ error: "서버 오류가 발생했습니다" });
   }
 });
 
+// ===============================================
+//   매직 링크 로그인 (비밀번호 없이 이메일 링크로 로그인)
+// ===============================================
+
+// 로그인 링크 메일 요청
+router.post("/magic-link", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!config.magicLink.enabled) {
+      return res.status(404).json({
+        error: "매직 링크 로그인이 비활성화되어 있습니다",
+        code: "MAGIC_LINK_DISABLED",
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({ error: "이메일이 필요합니다" });
+    }
+
+    // 이메일당 요청 제한 (가입 여부와 관계없이 적용)
+    const requestCheck = await checkMagicLinkRequest(email);
+    if (!requestCheck.allowed) {
+      res.set("Retry-After", String(requestCheck.retryAfter));
+      return res.status(429).json({
+        error: "로그인 링크 요청이 너무 많습니다. 잠시 후 다시 시도해주세요",
+        code: "TOO_MANY_REQUESTS",
+        retryAfter: requestCheck.retryAfter,
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, nickname: true, isActive: true },
+    });
+
+    // 비활성 사용자에게는 링크를 발급하지 않음 (응답은 동일)
+    if (user && user.isActive) {
+      try {
+        await sendMagicLink(user);
+        console.log("로그인 링크 메일 발송:", user.email);
+      } catch (mailError) {
+        console.error("로그인 링크 메일 발송 실패:", mailError);
+      }
+    } else {
+      console.log("로그인 링크 요청 - 대상 사용자 없음:", email);
+    }
+
+    res.status(202).json({
+      message: "가입된 이메일이라면 로그인 링크가 발송됩니다",
+    });
+  } catch (error) {
+    console.error("로그인 링크 요청 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// 메일로 받은 링크 토큰으로 로그인
+router.post("/magic-link/verify", async (req, res) => {
+  try {
+    if (!config.magicLink.enabled) {
+      return res.status(404).json({
+        error: "매직 링크 로그인이 비활성화되어 있습니다",
+        code: "MAGIC_LINK_DISABLED",
+      });
+    }
+
+    const userId = await consumeMagicLink(req.body.token);
+    if (!userId) {
+      return res.status(400).json({
+        error: "유효하지 않거나 만료된 로그인 링크입니다",
+        code: "INVALID_MAGIC_LINK",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        nickname: true,
+        role: true,
+        isActive: true,
+        avatar: true,
+        emailVerified: true,
+        deletionScheduledAt: true,
+        twoFactorEnabled: true,
+      },
+    });
+
+    // 링크 발급 후 비활성화된 경우도 거부
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: "비활성화된 사용자입니다" });
+    }
+
+    // 메일로 받은 링크를 열었으므로 이메일 주소 인증으로 간주
+    if (!user.emailVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
+      });
+      user.emailVerified = true;
+    }
+
+    // 2단계 인증 사용자는 비밀번호 로그인과 같이 /auth/login/2fa 에서 완료
+    if (user.twoFactorEnabled) {
+      console.log("2단계 인증 필요 (매직 링크):", user.email);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user.id),
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+      });
+    }
+
+    await recordLoginSuccess(user.email);
+
+    const tokens = await createLoginSession(req, user);
+    console.log("매직 링크 로그인 성공:", user.email);
+
+    const responseData = buildLoginResponse(user, tokens);
+
+    // 관리자 2단계 인증이 의무인데 아직 등록하지 않은 경우 안내
+    if (user.role === "admin" && (await getSetting("requireAdminTwoFactor"))) {
+      responseData.twoFactorSetupRequired = true;
+    }
+
+    res.json(responseData);
+  } catch (error) {
+    console.error("매직 링크 로그인 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// ===============================================
+//   이메일 인증
+// ===============================================
+
+// 메일로 받은 토큰으로 이메일 인증
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: "인증 토큰이 필요합니다" });
+    }
+
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt < new Date()
+    ) {
+      return res.status(400).json({
+        error: "유효하지 않거나 만료된 인증 링크입니다",
+        code: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    const userId = verificationToken.userId;
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
+      }),
+      // 인증이 끝났으므로 남은 인증 토큰은 모두 소진 처리
+      prisma.emailVerificationToken.updateMany({
+        where: { userId, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+    ]);
+
+    console.log("이메일 인증 완료:", userId);
+
+    res.json({ message: "이메일 인증이 완료되었습니다", emailVerified: true });
+  } catch (error) {
+    console.error("이메일 인증 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// 인증 메일 재발송 (최소 간격 + 시간당 횟수 제한)
+router.post("/verify-email/resend", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "이메일이 필요합니다" });
+    }
+
+    const genericResponse = {
+      message: "인증이 필요한 계정이라면 인증 메일이 다시 발송됩니다",
+    };
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: {
+        id: true,
+        email: true,
+        nickname: true,
+        isActive: true,
+        emailVerified: true,
+      },
+    });
+
+    // 가입 여부/인증 여부를 노출하지 않도록 같은 응답 반환
+    if (!user || !user.isActive || user.emailVerified) {
+      return res.status(202).json(genericResponse);
+    }
+
+    const { resendIntervalSeconds, maxResendsPerHour } =
+      config.emailVerification;
+    const recentTokens = await prisma.emailVerificationToken.findMany({
+      where: {
+        userId: user.id,
+        createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) },
+      },
+      select: { createdAt: true },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const lastSentAt = recentTokens[0]?.createdAt;
+    const intervalRemaining = lastSentAt
+      ? Math.ceil(
+          (lastSentAt.getTime() + resendIntervalSeconds * 1000 - Date.now()) /
+            1000
+        )
+      : 0;
+
+    if (intervalRemaining > 0 || recentTokens.length >= maxResendsPerHour) {
+      // 시간당 제한에 걸린 경우 가장 오래된 발송 기록이 1시간을 넘길 때까지 대기
+      const retryAfter =
+        recentTokens.length >= maxResendsPerHour
+          ? Math.ceil(
+              (recentTokens[recentTokens.length - 1].createdAt.getTime() +
+                60 * 60 * 1000 -
+                Date.now()) /
+                1000
+            )
+          : intervalRemaining;
+
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error:
+          "인증 메일 재발송 요청이 너무 많습니다. 잠시 후 다시 시도해주세요",
+        code: "TOO_MANY_REQUESTS",
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(202).json(genericResponse);
+  } catch (error) {
+    console.error("인증 메일 재발송 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// ===============================================
+//   비밀번호 재설정
+// ===============================================
+
+// 비밀번호 재설정 메일 요청 (가입 여부를 노출하지 않도록 항상 같은 응답)
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "이메일이 필요합니다" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, nickname: true, isActive: true },
+    });
+
+    if (user && user.isActive) {
+      const expiresInMinutes = config.security.passwordResetTokenExpiryMinutes;
+      const token = generateRandomToken();
+
+      // 이전에 발급된 미사용 토큰은 무효화
+      await prisma.passwordResetToken.deleteMany({
+        where: { userId: user.id, usedAt: null },
+      });
+      await prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+        },
+      });
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetMail({
+            nickname: user.nickname,
+            token,
+            expiresInMinutes,
+          }),
+        });
+        console.log("비밀번호 재설정 메일 발송:", user.email);
+      } catch (mailError) {
+        console.error("비밀번호 재설정 메일 발송 실패:", mailError);
+      }
+    } else {
+      console.log("비밀번호 재설정 요청 - 대상 사용자 없음:", email);
+    }
+
+    res.status(202).json({
+      message: "가입된 이메일이라면 비밀번호 재설정 안내 메일이 발송됩니다",
+    });
+  } catch (error) {
+    console.error("비밀번호 재설정 요청 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// 비밀번호 재설정 (메일로 받은 토큰 사용)
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: "토큰과 새 비밀번호는 필수입니다" });
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            password: true,
+            hasPassword: true,
+            isActive: true,
+          },
+        },
+      },
+    });
+
+    if (
+      !resetToken ||
+      resetToken.usedAt ||
+      resetToken.expiresAt < new Date() ||
+      !resetToken.user.isActive
+    ) {
+      return res.status(400).json({
+        error: "유효하지 않거나 만료된 재설정 링크입니다",
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    // 비밀번호 정책 및 최근 비밀번호 재사용 검사
+    const violations = validatePassword(password, {
+      email: resetToken.user.email,
+    });
+    if (violations.length > 0) {
+      return sendPolicyViolation(res, violations);
+    }
+
+    const previousHash = resetToken.user.hasPassword
+      ? resetToken.user.password
+      : null;
+    if (
+      await isPasswordReused(prisma, resetToken.userId, password, previousHash)
+    ) {
+      return res.status(400).json({
+        error: "최근에 사용한 비밀번호는 다시 사용할 수 없습니다",
+        code: "PASSWORD_REUSED",
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = resetToken.userId;
+
+    const completed = await prisma.$transaction(async (tx) => {
+      // 동시 요청에서 토큰이 두 번 쓰이지 않도록 usedAt 조건으로 소진
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      if (count === 0) return false;
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { password: hashedPassword, hasPassword: true },
+      });
+      await recordPasswordHistory(tx, userId, previousHash);
+
+      // 다른 재설정 토큰과 모든 로그인 세션 폐기
+      await tx.passwordResetToken.deleteMany({
+        where: { userId, id: { not: resetToken.id } },
+      });
+      await tx.refreshToken.deleteMany({ where: { userId } });
+
+      return true;
+    });
+
+    if (!completed) {
+      return res.status(400).json({
+        error: "유효하지 않거나 만료된 재설정 링크입니다",
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    disconnectUserSockets(userId, "PASSWORD_RESET");
+    console.log("비밀번호 재설정 완료:", userId);
+
+    res.json({
+      message: "비밀번호가 변경되었습니다. 새 비밀번호로 로그인해주세요.",
+    });
+  } catch (error) {
+    console.error("비밀번호 재설정 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// 로그아웃 (현재 세션만 종료)
+router.post("/logout", sessionAuth, async (req, res) => {
+  try {
+    console.log("로그아웃 요청:", req.user.userId);
+
+    // 세션 ID가 없는 이전 버전 토큰이면 모든 리프레시 토큰 삭제
+    const where = req.user.sessionId
+      ? { userId: req.user.userId, familyId: req.user.sessionId }
+      : { userId: req.user.userId };
+
+    const deletedTokens = await prisma.refreshToken.deleteMany({ where });
+    disconnectUserSockets(
+      req.user.userId,
+      "LOGGED_OUT",
+      req.user.sessionId ? { sessionId: req.user.sessionId } : {}
+    );
+
+    console.log("삭제된 토큰 수:", deletedTokens.count);
+    console.log("로그아웃 성공:", req.user.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("로그아웃 오류:", error);
+    res.status(500).json({ error: "서버 오류가 발생했습니다" });
+  }
+});
+
+// ===============================================
+//   세션(기기) 관리
+// ===============================================
+
+// 내 로그인 세션 목록
+router.get("/sessions", sessionAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // 세션마다 현재 유효한 리프레시 토큰은 하나뿐
+    const activeTokens = await prisma.refreshToken.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        familyId: true,
+        userAgent: true,
+        ipAddress: true,
+        deviceLabel: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    // 세션 시작 시각 = 패밀리의 첫 토큰 생성 시각
+    const startedAt = await prisma.refreshToken.groupBy({
+      by: ["familyId"],
+      where: { familyId: { in: activeTokens.map((t) => t.familyId) } },
+      _min: { createdAt: true },
+    });
+    const startedAtMap = new Map(
+      startedAt.map((row) => [row.familyId, row._min.createdAt])
+    );
+
+    const sessions = activeTokens.map((token) => ({
+      id: token.familyId,
+      deviceLabel: token.deviceLabel,
+      userAgent: token.userAgent,
+      ipAddress: token.ipAddress,
+      createdAt: startedAtMap.get(token.familyId) || token.createdAt,
+      lastUsedAt: token.lastUsedAt || token.createdAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === req.user.sessionId,
+    }));
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error("세션 목록 조회 오류:", error);
+    res.status(500).json({ error: "세션 목록 조회에 실패했습니다" });
+  }
+});
+
+// 현재 세션을 제외한 모든 세션 종료 ("다른 기기에서 로그아웃")
+router.delete("/sessions", sessionAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    if (!req.user.sessionId) {
+      return res.status(400).json({
+        error: "현재 세션을 확인할 수 없습니다. 다시 로그인해주세요",
+        code: "SESSION_UNKNOWN",
+      });
+    }
+
+    const deletedTokens = await prisma.refreshToken.deleteMany({
+      where: { userId, familyId: { not: req.user.sessionId } },
+    });
+    disconnectUserSockets(userId, "SESSION_REVOKED", {
+      exceptSessionId: req.user.sessionId,
+    });
+
+    console.log(
+      "다른 세션 종료:",
+      userId,
+      "삭제된 토큰 수:",
+      deletedTokens.count
+    );
+
+    res.json({
+      message: "다른 모든 기기에서 로그아웃되었습니다",
+      revokedTokens: deletedTokens.count,
+    });
+  } catch (error) {
+    console.error("다른 세션 종료 오류:", error);
+    res.status(500).json({ error: "세션 종료에 실패했습니다" });
+  }
+});
+
+// 특정 세션 종료
+router.delete("/sessions/:id", sessionAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deletedTokens = await prisma.refreshToken.deleteMany({
+      where: { userId: req.user.userId, familyId: id },
+    });
+
+    if (deletedTokens.count === 0) {
+      return res.status(404).json({ error: "세션을 찾을 수 없습니다" });
+    }
+
+    disconnectUserSockets(req.user.userId, "SESSION_REVOKED", {
+      sessionId: id,
+    });
+    console.log("세션 종료:", req.user.userId, "세션:", id);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("세션 종료 오류:", error);
+    res.status(500).json({ error: "세션 종료에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   2단계 인증 (TOTP) 관리
+// ===============================================
+
+// 내 2단계 인증 상태
+router.get("/2fa", sessionAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { role: true, twoFactorEnabled: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    const [recoveryCodesRemaining, requireAdminTwoFactor] = await Promise.all([
+      prisma.twoFactorRecoveryCode.count({
+        where: { userId: req.user.userId, usedAt: null },
+      }),
+      getSetting("requireAdminTwoFactor"),
+    ]);
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: user.role === "admin" && requireAdminTwoFactor,
+      recoveryCodesRemaining,
+    });
+  } catch (error) {
+    console.error("2단계 인증 상태 조회 오류:", error);
+    res.status(500).json({ error: "2단계 인증 상태 조회에 실패했습니다" });
+  }
+});
+
+// 등록 시작: 시크릿 생성 후 otpauth URI 반환 (아직 활성화되지 않음)
+router.post("/2fa/setup", sessionAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { email: true, twoFactorEnabled: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: "이미 2단계 인증이 활성화되어 있습니다",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await prisma.user.update({
+      where: { id: req.user.userId },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(
+        secret,
+        user.email,
+        config.security.twoFactorIssuer
+      ),
+    });
+  } catch (error) {
+    console.error("2단계 인증 등록 시작 오류:", error);
+    res.status(500).json({ error: "2단계 인증 등록에 실패했습니다" });
+  }
+});
+
+// 등록 확인: 인증 앱의 코드를 검증하고 활성화 + 복구 코드 발급
+router.post("/2fa/verify", sessionAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "인증 코드가 필요합니다" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, twoFactorEnabled: true, twoFactorSecret: true },
+    });
+
+    if (!user || !user.twoFactorSecret) {
+      return res.status(400).json({
+        error: "먼저 2단계 인증 등록을 시작해주세요",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: "이미 2단계 인증이 활성화되어 있습니다",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code });
+    if (!result.valid) {
+      return res.status(400).json({
+        error: "인증 코드가 올바르지 않습니다",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true },
+    });
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    console.log("2단계 인증 활성화:", req.user.userId);
+
+    res.json({
+      enabled: true,
+      recoveryCodes,
+      message:
+        "2단계 인증이 활성화되었습니다. 복구 코드는 다시 볼 수 없으니 안전한 곳에 보관하세요",
+    });
+  } catch (error) {
+    console.error("2단계 인증 활성화 오류:", error);
+    res.status(500).json({ error: "2단계 인증 활성화에 실패했습니다" });
+  }
+});
+
+// 복구 코드 재발급 (현재 TOTP 코드 필요)
+router.post("/2fa/recovery-codes", sessionAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, twoFactorEnabled: true, twoFactorSecret: true },
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "2단계 인증이 활성화되어 있지 않습니다",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code });
+    if (!result.valid) {
+      return res.status(400).json({
+        error: "인증 코드가 올바르지 않습니다",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error("복구 코드 재발급 오류:", error);
+    res.status(500).json({ error: "복구 코드 재발급에 실패했습니다" });
+  }
+});
+
+// 2단계 인증 해제 (TOTP 코드 또는 복구 코드 필요, 비밀번호가 있는 계정은 비밀번호도 필요)
+router.post("/2fa/disable", sessionAuth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        error: "인증 코드(또는 복구 코드)가 필요합니다",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: {
+        id: true,
+        role: true,
+        password: true,
+        hasPassword: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+      },
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "2단계 인증이 활성화되어 있지 않습니다",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      });
+    }
+
+    if (user.role === "admin" && (await getSetting("requireAdminTwoFactor"))) {
+      return res.status(403).json({
+        error: "관리자 계정은 2단계 인증을 해제할 수 없습니다",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    // 비밀번호가 있는 계정은 비밀번호도 확인 (SSO 전용 계정은 인증 코드만으로 해제)
+    if (user.hasPassword) {
+      if (!password) {
+        return res.status(400).json({
+          error: "비밀번호와 인증 코드(또는 복구 코드)가 필요합니다",
+        });
+      }
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ error: "비밀번호가 올바르지 않습니다" });
+      }
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(400).json({
+        error: "인증 코드가 올바르지 않습니다",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+    ]);
+
+    console.log("2단계 인증 해제:", req.user.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("2단계 인증 해제 오류:", error);
+    res.status(500).json({ error: "2단계 인증 해제에 실패했습니다" });
+  }
+});
+
 module.exports = router;
@@ -1,12 +1,29 @@
 const express = require("express");
-const { PrismaClient } = require("@prisma/client");
-const auth = require("../middleware/auth");
+const { prisma } = require("../config/database");
+const { authenticateToken, requireScope } = require("../middleware/auth");
+const {
+  DIRECT_MESSAGE_MAX_LENGTH,
+  DIRECT_HISTORY_DEFAULT_LIMIT,
+  DIRECT_HISTORY_MAX_LIMIT,
+  canMessage,
+  counterpartId,
+  findOrCreateConversation,
+  findParticipantConversation,
+  listConversations,
+  listMessages,
+  sendDirectMessage,
+  markConversationRead,
+  countUnreadDirectMessages,
+} = require("../services/directMessages");
 
 const router = express.Router();
-const prisma = new PrismaClient();
+
+// 로그인 인증 + 개인 액세스 토큰 스코프
+const read = [authenticateToken, requireScope("chat:read")];
+const write = [authenticateToken, requireScope("chat:write")];
 
 // 워크스페이스 채팅 메시지 조회
-router.get("/workspace/:workspaceId", auth, async (req, res) => {
+router.get("/workspace/:workspaceId", read, async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -16,7 +33,7 @@ router.get("/workspace/:workspaceId", auth, async (req, res) => {
     const member = await prisma.workspaceMember.findFirst({
       where: {
         workspaceId,
-        userId: req.user.id,
+        userId: req.user.userId,
         accepted: true,
       },
     });
@@ -66,7 +83,7 @@ router.get("/workspace/:workspaceId", auth, async (req, res) => {
 });
 
 // 워크스페이스에 채팅 메시지 전송
-router.post("/workspace/:workspaceId", auth, async (req, res) => {
+router.post("/workspace/:workspaceId", write, async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { content } = req.body;
@@ -79,7 +96,7 @@ router.post("/workspace/:workspaceId", auth, async (req, res) => {
     const member = await prisma.workspaceMember.findFirst({
       where: {
         workspaceId,
-        userId: req.user.id,
+        userId: req.user.userId,
         accepted: true,
       },
     });
@@ -94,7 +111,7 @@ router.post("/workspace/:workspaceId", auth, async (req, res) => {
     const message = await prisma.chatMessage.create({
       data: {
         workspaceId,
-        userId: req.user.id,
+        userId: req.user.userId,
         content: content.trim(),
       },
       include: {
@@ -113,7 +130,7 @@ router.post("/workspace/:workspaceId", auth, async (req, res) => {
       where: {
         workspaceId,
         accepted: true,
-        userId: { not: req.user.id }, // 메시지 작성자 제외
+        userId: { not: req.user.userId }, // 메시지 작성자 제외
       },
     });
 
@@ -124,7 +141,7 @@ router.post("/workspace/:workspaceId", auth, async (req, res) => {
     });
 
     const allMembers = [...workspaceMembers];
-    if (workspace.ownerId !== req.user.id) {
+    if (workspace.ownerId !== req.user.userId) {
       allMembers.push({ userId: workspace.ownerId });
     }
 
@@ -158,7 +175,7 @@ router.post("/workspace/:workspaceId", auth, async (req, res) => {
 });
 
 // 특정 채팅 메시지 삭제 (작성자만 가능)
-router.delete("/message/:messageId", auth, async (req, res) => {
+router.delete("/message/:messageId", write, async (req, res) => {
   try {
     const { messageId } = req.params;
 
@@ -169,7 +186,7 @@ router.delete("/message/:messageId", auth, async (req, res) => {
         workspace: {
           include: {
             members: {
-              where: { userId: req.user.id, accepted: true },
+              where: { userId: req.user.userId, accepted: true },
             },
           },
         },
@@ -181,8 +198,8 @@ router.delete("/message/:messageId", auth, async (req, res) => {
     }
 
     // 권한 확인 (작성자이거나 워크스페이스 소유자)
-    const isOwner = message.workspace.ownerId === req.user.id;
-    const isAuthor = message.userId === req.user.id;
+    const isOwner = message.workspace.ownerId === req.user.userId;
+    const isAuthor = message.userId === req.user.userId;
     const isMember = message.workspace.members.length > 0;
 
     if (!isOwner && !isAuthor && !isMember) {
@@ -250,7 +267,7 @@ router.delete("/message/:messageId", auth, async (req, res) => {
 });
 
 // 워크스페이스 채팅 메시지 검색
-router.get("/workspace/:workspaceId/search", auth, async (req, res) => {
+router.get("/workspace/:workspaceId/search", read, async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { query, page = 1, limit = 20 } = req.query;
@@ -264,7 +281,7 @@ router.get("/workspace/:workspaceId/search", auth, async (req, res) => {
     const member = await prisma.workspaceMember.findFirst({
       where: {
         workspaceId,
-        userId: req.user.id,
+        userId: req.user.userId,
         accepted: true,
       },
     });
@@ -324,10 +341,10 @@ router.get("/workspace/:workspaceId/search", auth, async (req, res) => {
 });
 
 // 워크스페이스 채팅 메시지 읽음 처리
-router.post("/workspace/:workspaceId/read", auth, async (req, res) => {
+router.post("/workspace/:workspaceId/read", write, async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     // 워크스페이스 멤버인지 확인
     const member = await prisma.workspaceMember.findFirst({
@@ -379,10 +396,10 @@ router.post("/workspace/:workspaceId/read", auth, async (req, res) => {
 });
 
 // 워크스페이스별 읽지 않은 채팅 메시지 개수 조회
-router.get("/workspace/:workspaceId/unread-count", auth, async (req, res) => {
+router.get("/workspace/:workspaceId/unread-count", read, async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     // 워크스페이스 멤버인지 확인
     const member = await prisma.workspaceMember.findFirst({
@@ -426,4 +443,198 @@ router.get("/workspace/:workspaceId/unread-count", auth, async (req, res) => {
   }
 });
 
+// ===============================================
+//   1:1 메시지 (DM)
+// ===============================================
+
+// 대화 참여자 확인 미들웨어 (req.conversation 설정)
+async function loadConversation(req, res, next) {
+  try {
+    const conversation = await findParticipantConversation(
+      req.params.conversationId,
+      req.user.userId
+    );
+    if (!conversation) {
+      return res.status(404).json({
+        error: "대화를 찾을 수 없습니다.",
+        code: "CONVERSATION_NOT_FOUND",
+      });
+    }
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error("대화 조회 오류:", error);
+    res.status(500).json({ error: "대화를 조회할 수 없습니다." });
+  }
+}
+
+// 내 대화 목록
+router.get("/direct", read, async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user.userId);
+    res.json(conversations);
+  } catch (error) {
+    console.error("대화 목록 조회 오류:", error);
+    res.status(500).json({ error: "대화 목록을 조회할 수 없습니다." });
+  }
+});
+
+// 전체 대화의 읽지 않은 메시지 개수
+router.get("/direct/unread-count", read, async (req, res) => {
+  try {
+    const unreadCount = await countUnreadDirectMessages(req.user.userId);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error("읽지 않은 메시지 개수 조회 오류:", error);
+    res
+      .status(500)
+      .json({ error: "읽지 않은 메시지 개수 조회에 실패했습니다." });
+  }
+});
+
+// 친구와의 대화 시작 (이미 있으면 기존 대화 반환)
+router.post("/direct", write, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({ error: "user_id는 필수입니다." });
+    }
+    if (user_id === userId) {
+      return res
+        .status(400)
+        .json({ error: "자기 자신과는 대화할 수 없습니다." });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: user_id },
+      select: { id: true, nickname: true, avatar: true, isActive: true },
+    });
+    if (!target || !target.isActive) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+    }
+
+    if (!(await canMessage(userId, user_id))) {
+      return res.status(403).json({
+        error: "친구에게만 메시지를 보낼 수 있습니다.",
+        code: "NOT_FRIENDS",
+      });
+    }
+
+    const { conversation, created } = await findOrCreateConversation(
+      userId,
+      user_id
+    );
+    const { isActive, ...user } = target;
+
+    res.status(created ? 201 : 200).json({
+      id: conversation.id,
+      user,
+      lastMessageAt: conversation.lastMessageAt,
+      createdAt: conversation.createdAt,
+    });
+  } catch (error) {
+    console.error("대화 시작 오류:", error);
+    res.status(500).json({ error: "대화를 시작할 수 없습니다." });
+  }
+});
+
+// 대화 메시지 조회 (before 커서로 이전 메시지 조회)
+router.get(
+  "/direct/:conversationId/messages",
+  read,
+  loadConversation,
+  async (req, res) => {
+    try {
+      const limit =
+        req.query.limit === undefined
+          ? DIRECT_HISTORY_DEFAULT_LIMIT
+          : Number(req.query.limit);
+      if (
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > DIRECT_HISTORY_MAX_LIMIT
+      ) {
+        return res.status(400).json({
+          error: `limit은 1 이상 ${DIRECT_HISTORY_MAX_LIMIT} 이하의 정수여야 합니다.`,
+        });
+      }
+
+      const result = await listMessages(req.conversation.id, {
+        limit,
+        before: req.query.before,
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error("대화 메시지 조회 오류:", error);
+      res.status(500).json({ error: "메시지를 조회할 수 없습니다." });
+    }
+  }
+);
+
+// 메시지 전송 (수락된 친구 사이에서만 가능)
+router.post(
+  "/direct/:conversationId/messages",
+  write,
+  loadConversation,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const content =
+        typeof req.body.content === "string" ? req.body.content.trim() : "";
+
+      if (!content) {
+        return res.status(400).json({ error: "메시지 내용을 입력해주세요." });
+      }
+      if (content.length > DIRECT_MESSAGE_MAX_LENGTH) {
+        return res.status(400).json({
+          error: `메시지는 ${DIRECT_MESSAGE_MAX_LENGTH}자 이하여야 합니다.`,
+        });
+      }
+
+      const recipientId = counterpartId(req.conversation, userId);
+      if (!(await canMessage(userId, recipientId))) {
+        return res.status(403).json({
+          error: "친구에게만 메시지를 보낼 수 있습니다.",
+          code: "NOT_FRIENDS",
+        });
+      }
+
+      const message = await sendDirectMessage(
+        req.conversation,
+        userId,
+        content
+      );
+      res.status(201).json(message);
+    } catch (error) {
+      console.error("메시지 전송 오류:", error);
+      res.status(500).json({ error: "메시지를 전송할 수 없습니다." });
+    }
+  }
+);
+
+// 대화 읽음 처리
+router.post(
+  "/direct/:conversationId/read",
+  write,
+  loadConversation,
+  async (req, res) => {
+    try {
+      const lastReadAt = await markConversationRead(
+        req.conversation,
+        req.user.userId
+      );
+      res.json({ message: "메시지가 읽음 처리되었습니다.", lastReadAt });
+    } catch (error) {
+      console.error("메시지 읽음 처리 오류:", error);
+      res.status(500).json({ error: "읽음 처리에 실패했습니다." });
+    }
+  }
+);
+
 module.exports = router;
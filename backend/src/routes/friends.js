@@ -1,12 +1,68 @@
 // src/routes/friends.js - 친구 라우터
 const express = require("express");
 const { prisma } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requireScope } = require("../middleware/auth");
+const { findFriendIds } = require("../services/realtime");
+const {
+  SUGGESTION_DEFAULT_LIMIT,
+  SUGGESTION_MAX_LIMIT,
+  getFriendSuggestions,
+  dismissSuggestion,
+} = require("../services/friendSuggestions");
+const {
+  BLOCKED,
+  isBlockedBetween,
+  isBlocker,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+} = require("../services/blocks");
+const {
+  FRIEND_GROUP_LIMIT,
+  FRIEND_GROUP_SELECT,
+  parseGroupInput,
+  formatGroup,
+  findOwnedGroup,
+  findGroupFriendIds,
+  findGroupIdsByFriend,
+  removeFromFriendGroups,
+} = require("../services/friendGroups");
+const {
+  ACTIVITY_DEFAULT_LIMIT,
+  ACTIVITY_MAX_LIMIT,
+  getFriendActivity,
+} = require("../services/activity");
 
 const router = express.Router();
 
+// 개인 액세스 토큰 스코프
+const readScope = requireScope("friends:read");
+const writeScope = requireScope("friends:write");
+
+/**
+ * 차단된 관계는 일반 친구 API로 바꾸거나 삭제할 수 없음
+ * 차단당한 쪽에는 관계가 없는 것처럼 404, 차단한 쪽은 차단 해제 API를 안내
+ */
+function checkBlockedFriendship(friendship, userId) {
+  if (friendship.status !== BLOCKED) return null;
+
+  if (!isBlocker(friendship, userId)) {
+    return {
+      status: 404,
+      body: { error: "친구 관계를 찾을 수 없습니다" },
+    };
+  }
+  return {
+    status: 409,
+    body: {
+      error: "차단 해제는 DELETE /friends/blocked/:userId 로 요청해주세요",
+      code: "USE_UNBLOCK_ENDPOINT",
+    },
+  };
+}
+
 // 친구 요청 생성
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, writeScope, async (req, res) => {
   try {
     const { user_id } = req.body;
     const currentUserId = req.user.userId;
@@ -20,6 +76,13 @@ router.post("/", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
     }
 
+    if (await isBlockedBetween(currentUserId, user_id)) {
+      return res.status(403).json({
+        error: "친구 요청을 보낼 수 없는 사용자입니다",
+        code: "USER_BLOCKED",
+      });
+    }
+
     const existingFriend = await prisma.friend.findFirst({
       where: {
         OR: [
@@ -51,10 +114,10 @@ router.post("/", authenticateToken, async (req, res) => {
   }
 });
 
-// 친구 목록 조회
-router.get("/", authenticateToken, async (req, res) => {
+// 친구 목록 조회 (status, group 필터)
+router.get("/", authenticateToken, readScope, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, group } = req.query;
     const userId = req.user.userId;
 
     const whereClause = {
@@ -62,6 +125,22 @@ router.get("/", authenticateToken, async (req, res) => {
     };
     if (status) whereClause.status = status;
 
+    // 그룹 필터: 해당 그룹에 넣어둔 친구만
+    if (group) {
+      if (!(await findOwnedGroup(userId, group))) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+      const memberIds = await findGroupFriendIds(userId, [group]);
+      whereClause.AND = [
+        {
+          OR: [
+            { userId, friendId: { in: memberIds } },
+            { userId: { in: memberIds }, friendId: userId },
+          ],
+        },
+      ];
+    }
+
     const friends = await prisma.friend.findMany({
       where: whereClause,
       include: {
@@ -75,13 +154,28 @@ router.get("/", authenticateToken, async (req, res) => {
       orderBy: { createdAt: "desc" },
     });
 
-    const result = friends.map((friendship) => {
+    // 상대가 나를 차단한 관계는 보여주지 않음
+    const visible = friends.filter(
+      (friendship) =>
+        friendship.status !== BLOCKED || isBlocker(friendship, userId)
+    );
+
+    const groupIdsByFriend = await findGroupIdsByFriend(
+      userId,
+      visible.map((friendship) =>
+        friendship.userId === userId ? friendship.friendId : friendship.userId
+      )
+    );
+
+    const result = visible.map((friendship) => {
       const isInitiator = friendship.userId === userId;
+      const user = isInitiator ? friendship.friend : friendship.user;
       return {
         id: friendship.id,
-        user: isInitiator ? friendship.friend : friendship.user,
+        user,
         status: friendship.status,
         isInitiator,
+        groupIds: groupIdsByFriend.get(user.id) || [],
         createdAt: friendship.createdAt,
         updatedAt: friendship.updatedAt,
       };
@@ -95,7 +189,7 @@ router.get("/", authenticateToken, async (req, res) => {
 });
 
 // 친구 관계 상태 변경 (수락/거절/차단)
-router.patch("/:friend_id", authenticateToken, async (req, res) => {
+router.patch("/:friend_id", authenticateToken, writeScope, async (req, res) => {
   try {
     const { friend_id } = req.params;
     const { relation } = req.body;
@@ -116,6 +210,11 @@ router.patch("/:friend_id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "친구 관계를 찾을 수 없습니다" });
     }
 
+    const blockError = checkBlockedFriendship(friendship, userId);
+    if (blockError) {
+      return res.status(blockError.status).json(blockError.body);
+    }
+
     // 요청을 받은 사람만 수락/거절할 수 있음
     if (friendship.friendId !== userId && relation === "accepted") {
       return res
@@ -125,13 +224,21 @@ router.patch("/:friend_id", authenticateToken, async (req, res) => {
 
     const updatedFriendship = await prisma.friend.update({
       where: { id: friend_id },
-      data: { status: relation },
+      // 차단한 사람을 기록 (검색 등에서 차단당한 쪽에만 숨기기 위함)
+      data: {
+        status: relation,
+        blockedById: relation === "blocked" ? userId : null,
+      },
       include: {
         user: { select: { id: true, nickname: true, avatar: true } },
         friend: { select: { id: true, nickname: true, avatar: true } },
       },
     });
 
+    if (relation === BLOCKED) {
+      await removeFromFriendGroups(friendship.userId, friendship.friendId);
+    }
+
     res.json(updatedFriendship);
   } catch (error) {
     console.error("친구 관계 상태 변경 오류:", error);
@@ -140,74 +247,457 @@ router.patch("/:friend_id", authenticateToken, async (req, res) => {
 });
 
 // 친구 관계 삭제
-router.delete("/:friend_id", authenticateToken, async (req, res) => {
-  try {
-    const { friend_id } = req.params;
-    const userId = req.user.userId;
+router.delete(
+  "/:friend_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const { friend_id } = req.params;
+      const userId = req.user.userId;
 
-    const friendship = await prisma.friend.findFirst({
-      where: {
-        id: friend_id,
-        OR: [{ userId }, { friendId: userId }],
-      },
-    });
+      const friendship = await prisma.friend.findFirst({
+        where: {
+          id: friend_id,
+          OR: [{ userId }, { friendId: userId }],
+        },
+      });
 
-    if (!friendship) {
-      return res.status(404).json({ error: "친구 관계를 찾을 수 없습니다" });
-    }
+      if (!friendship) {
+        return res.status(404).json({ error: "친구 관계를 찾을 수 없습니다" });
+      }
 
-    await prisma.friend.delete({ where: { id: friend_id } });
-    res.status(204).send();
-  } catch (error) {
-    console.error("친구 관계 삭제 오류:", error);
-    res.status(500).json({ error: "친구 관계 삭제에 실패했습니다" });
+      const blockError = checkBlockedFriendship(friendship, userId);
+      if (blockError) {
+        return res.status(blockError.status).json(blockError.body);
+      }
+
+      await prisma.friend.delete({ where: { id: friend_id } });
+      await removeFromFriendGroups(friendship.userId, friendship.friendId);
+      res.status(204).send();
+    } catch (error) {
+      console.error("친구 관계 삭제 오류:", error);
+      res.status(500).json({ error: "친구 관계 삭제에 실패했습니다" });
+    }
   }
-});
+);
 
 // 받은 친구 요청 목록
-router.get("/requests/received", authenticateToken, async (req, res) => {
+router.get(
+  "/requests/received",
+  authenticateToken,
+  readScope,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const requests = await prisma.friend.findMany({
+        where: {
+          friendId: userId,
+          status: "pending",
+        },
+        include: {
+          user: { select: { id: true, nickname: true, avatar: true } },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(requests);
+    } catch (error) {
+      console.error("받은 친구 요청 조회 오류:", error);
+      res.status(500).json({ error: "친구 요청 조회에 실패했습니다" });
+    }
+  }
+);
+
+// 보낸 친구 요청 목록
+router.get("/requests/sent", authenticateToken, readScope, async (req, res) => {
   try {
     const userId = req.user.userId;
 
     const requests = await prisma.friend.findMany({
       where: {
-        friendId: userId,
+        userId: userId,
         status: "pending",
       },
       include: {
-        user: { select: { id: true, nickname: true, avatar: true } },
+        friend: { select: { id: true, nickname: true, avatar: true } },
       },
       orderBy: { createdAt: "desc" },
     });
 
     res.json(requests);
   } catch (error) {
-    console.error("받은 친구 요청 조회 오류:", error);
+    console.error("보낸 친구 요청 조회 오류:", error);
     res.status(500).json({ error: "친구 요청 조회에 실패했습니다" });
   }
 });
 
-// 보낸 친구 요청 목록
-router.get("/requests/sent", authenticateToken, async (req, res) => {
+// 차단한 사용자 목록
+router.get("/blocked", authenticateToken, readScope, async (req, res) => {
   try {
+    res.json(await listBlockedUsers(req.user.userId));
+  } catch (error) {
+    console.error("차단 목록 조회 오류:", error);
+    res.status(500).json({ error: "차단 목록 조회에 실패했습니다" });
+  }
+});
+
+// 사용자 차단 (친구/요청 관계가 없어도 차단 가능)
+router.post("/blocked", authenticateToken, writeScope, async (req, res) => {
+  try {
+    const { user_id } = req.body;
     const userId = req.user.userId;
 
-    const requests = await prisma.friend.findMany({
-      where: {
-        userId: userId,
-        status: "pending",
-      },
-      include: {
-        friend: { select: { id: true, nickname: true, avatar: true } },
-      },
-      orderBy: { createdAt: "desc" },
+    if (!user_id || user_id === userId) {
+      return res.status(400).json({ error: "유효하지 않은 사용자 ID입니다" });
+    }
+
+    const targetUser = await prisma.user.findUnique({
+      where: { id: user_id },
+      select: { id: true, nickname: true, avatar: true },
     });
+    if (!targetUser) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
 
-    res.json(requests);
+    const block = await blockUser(userId, user_id);
+    await removeFromFriendGroups(userId, user_id);
+    console.log("사용자 차단:", userId, "→", user_id);
+
+    res.status(201).json({ user: targetUser, blockedAt: block.updatedAt });
   } catch (error) {
-    console.error("보낸 친구 요청 조회 오류:", error);
-    res.status(500).json({ error: "친구 요청 조회에 실패했습니다" });
+    console.error("사용자 차단 오류:", error);
+    res.status(500).json({ error: "사용자 차단에 실패했습니다" });
   }
 });
 
+// 차단 해제
+router.delete(
+  "/blocked/:user_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const unblocked = await unblockUser(req.user.userId, req.params.user_id);
+      if (!unblocked) {
+        return res
+          .status(404)
+          .json({ error: "차단한 사용자가 아닙니다", code: "NOT_BLOCKED" });
+      }
+
+      console.log("차단 해제:", req.user.userId, "→", req.params.user_id);
+      res.status(204).send();
+    } catch (error) {
+      console.error("차단 해제 오류:", error);
+      res.status(500).json({ error: "차단 해제에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 추천 (함께 아는 친구 수, 같은 워크스페이스 기준)
+router.get("/suggestions", authenticateToken, readScope, async (req, res) => {
+  try {
+    const limit =
+      req.query.limit === undefined
+        ? SUGGESTION_DEFAULT_LIMIT
+        : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SUGGESTION_MAX_LIMIT) {
+      return res.status(400).json({
+        error: `limit은 1 이상 ${SUGGESTION_MAX_LIMIT} 이하의 정수여야 합니다`,
+      });
+    }
+
+    const suggestions = await getFriendSuggestions(req.user.userId, { limit });
+    res.json(suggestions);
+  } catch (error) {
+    console.error("친구 추천 조회 오류:", error);
+    res.status(500).json({ error: "친구 추천 조회에 실패했습니다" });
+  }
+});
+
+// 친구 추천에서 숨기기
+router.delete(
+  "/suggestions/:user_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const { user_id } = req.params;
+
+      if (user_id === req.user.userId) {
+        return res.status(400).json({ error: "유효하지 않은 사용자 ID입니다" });
+      }
+
+      const targetUser = await prisma.user.findUnique({
+        where: { id: user_id },
+        select: { id: true },
+      });
+      if (!targetUser) {
+        return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+      }
+
+      await dismissSuggestion(req.user.userId, user_id);
+      res.status(204).send();
+    } catch (error) {
+      console.error("친구 추천 숨기기 오류:", error);
+      res.status(500).json({ error: "친구 추천 숨기기에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 활동 피드 (Todo 완료, 새 워크스페이스, 마일스톤)
+router.get("/activity", authenticateToken, readScope, async (req, res) => {
+  try {
+    const limit =
+      req.query.limit === undefined
+        ? ACTIVITY_DEFAULT_LIMIT
+        : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > ACTIVITY_MAX_LIMIT) {
+      return res.status(400).json({
+        error: `limit은 1 이상 ${ACTIVITY_MAX_LIMIT} 이하의 정수여야 합니다`,
+      });
+    }
+
+    const result = await getFriendActivity(req.user.userId, {
+      limit,
+      cursor: req.query.cursor,
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("친구 활동 피드 조회 오류:", error);
+    res.status(500).json({ error: "친구 활동 피드 조회에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   친구 그룹
+// ===============================================
+
+// 내 친구 그룹 목록
+router.get("/groups", authenticateToken, readScope, async (req, res) => {
+  try {
+    const groups = await prisma.friendGroup.findMany({
+      where: { ownerId: req.user.userId },
+      select: FRIEND_GROUP_SELECT,
+      orderBy: { name: "asc" },
+    });
+
+    res.json(groups.map(formatGroup));
+  } catch (error) {
+    console.error("친구 그룹 목록 조회 오류:", error);
+    res.status(500).json({ error: "친구 그룹 목록 조회에 실패했습니다" });
+  }
+});
+
+// 친구 그룹 생성
+router.post("/groups", authenticateToken, writeScope, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const input = parseGroupInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const groupCount = await prisma.friendGroup.count({
+      where: { ownerId: userId },
+    });
+    if (groupCount >= FRIEND_GROUP_LIMIT) {
+      return res.status(400).json({
+        error: `친구 그룹은 최대 ${FRIEND_GROUP_LIMIT}개까지 만들 수 있습니다`,
+        code: "FRIEND_GROUP_LIMIT_EXCEEDED",
+      });
+    }
+
+    const group = await prisma.friendGroup.create({
+      data: { ...input.data, ownerId: userId },
+      select: FRIEND_GROUP_SELECT,
+    });
+
+    res.status(201).json(formatGroup(group));
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        error: "같은 이름의 친구 그룹이 이미 있습니다",
+        code: "FRIEND_GROUP_NAME_TAKEN",
+      });
+    }
+    console.error("친구 그룹 생성 오류:", error);
+    res.status(500).json({ error: "친구 그룹 생성에 실패했습니다" });
+  }
+});
+
+// 친구 그룹 상세 (멤버 포함)
+router.get(
+  "/groups/:group_id",
+  authenticateToken,
+  readScope,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const group = await findOwnedGroup(userId, req.params.group_id);
+      if (!group) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+
+      const memberIds = await findGroupFriendIds(userId, [group.id]);
+      const members = await prisma.user.findMany({
+        where: { id: { in: memberIds } },
+        select: { id: true, nickname: true, avatar: true },
+        orderBy: { nickname: "asc" },
+      });
+
+      res.json({
+        ...formatGroup(group),
+        memberCount: members.length,
+        members,
+      });
+    } catch (error) {
+      console.error("친구 그룹 조회 오류:", error);
+      res.status(500).json({ error: "친구 그룹 조회에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 그룹 수정 (이름, 색상)
+router.patch(
+  "/groups/:group_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const group = await findOwnedGroup(req.user.userId, req.params.group_id);
+      if (!group) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+
+      const input = parseGroupInput(req.body, { partial: true });
+      if (input.error) {
+        return res.status(400).json({ error: input.error });
+      }
+
+      const updatedGroup = await prisma.friendGroup.update({
+        where: { id: group.id },
+        data: input.data,
+        select: FRIEND_GROUP_SELECT,
+      });
+
+      res.json(formatGroup(updatedGroup));
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(409).json({
+          error: "같은 이름의 친구 그룹이 이미 있습니다",
+          code: "FRIEND_GROUP_NAME_TAKEN",
+        });
+      }
+      console.error("친구 그룹 수정 오류:", error);
+      res.status(500).json({ error: "친구 그룹 수정에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 그룹 삭제 (친구 관계는 유지)
+router.delete(
+  "/groups/:group_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const group = await findOwnedGroup(req.user.userId, req.params.group_id);
+      if (!group) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+
+      await prisma.friendGroup.delete({ where: { id: group.id } });
+      res.status(204).send();
+    } catch (error) {
+      console.error("친구 그룹 삭제 오류:", error);
+      res.status(500).json({ error: "친구 그룹 삭제에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 그룹에 친구 추가 (user_ids 배열, 수락된 친구만 가능)
+router.post(
+  "/groups/:group_id/members",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { user_ids } = req.body;
+
+      const group = await findOwnedGroup(userId, req.params.group_id);
+      if (!group) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+
+      if (
+        !Array.isArray(user_ids) ||
+        user_ids.length === 0 ||
+        !user_ids.every((id) => typeof id === "string")
+      ) {
+        return res
+          .status(400)
+          .json({ error: "user_ids는 사용자 ID 배열이어야 합니다" });
+      }
+
+      const friendIds = new Set(await findFriendIds(userId));
+      const notFriends = user_ids.filter((id) => !friendIds.has(id));
+      if (notFriends.length > 0) {
+        return res.status(400).json({
+          error: "친구가 아닌 사용자는 그룹에 추가할 수 없습니다",
+          code: "NOT_FRIENDS",
+          userIds: notFriends,
+        });
+      }
+
+      await prisma.friendGroupMember.createMany({
+        data: [...new Set(user_ids)].map((memberId) => ({
+          groupId: group.id,
+          userId: memberId,
+        })),
+        skipDuplicates: true,
+      });
+
+      res.json(formatGroup(await findOwnedGroup(userId, group.id)));
+    } catch (error) {
+      console.error("친구 그룹 멤버 추가 오류:", error);
+      res.status(500).json({ error: "친구 그룹 멤버 추가에 실패했습니다" });
+    }
+  }
+);
+
+// 친구 그룹에서 친구 제외
+router.delete(
+  "/groups/:group_id/members/:user_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const group = await findOwnedGroup(req.user.userId, req.params.group_id);
+      if (!group) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
+
+      const { count } = await prisma.friendGroupMember.deleteMany({
+        where: { groupId: group.id, userId: req.params.user_id },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: "그룹에 속한 친구가 아닙니다" });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("친구 그룹 멤버 제외 오류:", error);
+      res.status(500).json({ error: "친구 그룹 멤버 제외에 실패했습니다" });
+    }
+  }
+);
+
 module.exports = router;
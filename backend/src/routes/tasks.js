@@ -3,140 +3,158 @@ const express = require("express");
 const { prisma } = require("../config/database");
 const {
   authenticateToken,
+  requireScope,
   checkWorkspaceMember,
 } = require("../middleware/auth");
 
 // 워크스페이스별 라우터 생성
 const router = express.Router({ mergeParams: true });
 
+// 개인 액세스 토큰 스코프
+const readScope = requireScope("tasks:read");
+const writeScope = requireScope("tasks:write");
+
 // 단체 Task 목록 조회
-router.get("/", authenticateToken, checkWorkspaceMember, async (req, res) => {
-  try {
-    const { wsId } = req.params;
-    const {
-      department,
-      status,
-      from,
-      to,
-      search,
-      limit = 50,
-      offset = 0,
-    } = req.query;
-
-    const whereClause = { workspaceId: wsId };
-
-    if (department) whereClause.department = department;
-    if (status) whereClause.status = status;
-    if (search) {
-      whereClause.OR = [
-        { title: { contains: search } },
-        { description: { contains: search } },
-      ];
-    }
+router.get(
+  "/",
+  authenticateToken,
+  readScope,
+  checkWorkspaceMember,
+  async (req, res) => {
+    try {
+      const { wsId } = req.params;
+      const {
+        department,
+        status,
+        from,
+        to,
+        search,
+        limit = 50,
+        offset = 0,
+      } = req.query;
 
-    // 날짜 필터링
-    if (from || to) {
-      whereClause.AND = [];
-      if (from) {
-        whereClause.AND.push({
-          OR: [
-            { startDate: { gte: new Date(from) } },
-            { dueDate: { gte: new Date(from) } },
-          ],
-        });
+      const whereClause = { workspaceId: wsId };
+
+      if (department) whereClause.department = department;
+      if (status) whereClause.status = status;
+      if (search) {
+        whereClause.OR = [
+          { title: { contains: search } },
+          { description: { contains: search } },
+        ];
       }
-      if (to) {
-        whereClause.AND.push({
-          OR: [
-            { startDate: { lte: new Date(to) } },
-            { dueDate: { lte: new Date(to) } },
-          ],
-        });
+
+      // 날짜 필터링
+      if (from || to) {
+        whereClause.AND = [];
+        if (from) {
+          whereClause.AND.push({
+            OR: [
+              { startDate: { gte: new Date(from) } },
+              { dueDate: { gte: new Date(from) } },
+            ],
+          });
+        }
+        if (to) {
+          whereClause.AND.push({
+            OR: [
+              { startDate: { lte: new Date(to) } },
+              { dueDate: { lte: new Date(to) } },
+            ],
+          });
+        }
       }
-    }
 
-    const [tasks, totalCount] = await Promise.all([
-      prisma.groupTask.findMany({
-        where: whereClause,
-        orderBy: { createdAt: "desc" },
-        take: parseInt(limit),
-        skip: parseInt(offset),
-      }),
-      prisma.groupTask.count({ where: whereClause }),
-    ]);
-
-    res.json({
-      tasks,
-      pagination: {
-        total: totalCount,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: totalCount > parseInt(offset) + parseInt(limit),
-      },
-    });
-  } catch (error) {
-    console.error("단체 Task 조회 오류:", error);
-    res.status(500).json({ error: "Task 조회에 실패했습니다" });
-  }
-});
+      const [tasks, totalCount] = await Promise.all([
+        prisma.groupTask.findMany({
+          where: whereClause,
+          orderBy: { createdAt: "desc" },
+          take: parseInt(limit),
+          skip: parseInt(offset),
+        }),
+        prisma.groupTask.count({ where: whereClause }),
+      ]);
 
-// 단체 Task 생성
-router.post("/", authenticateToken, checkWorkspaceMember, async (req, res) => {
-  try {
-    const { wsId } = req.params;
-    const { title, description, department, status, startDate, dueDate } =
-      req.body;
-
-    if (!title || !department || !startDate || !dueDate) {
-      return res.status(400).json({
-        error: "제목, 부서, 시작일, 목표종료일은 필수입니다",
+      res.json({
+        tasks,
+        pagination: {
+          total: totalCount,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: totalCount > parseInt(offset) + parseInt(limit),
+        },
       });
+    } catch (error) {
+      console.error("단체 Task 조회 오류:", error);
+      res.status(500).json({ error: "Task 조회에 실패했습니다" });
     }
+  }
+);
 
-    if (!["FE", "BE", "QA"].includes(department)) {
-      return res.status(400).json({
-        error: "부서는 FE, BE, QA 중 하나여야 합니다",
-      });
-    }
+// 단체 Task 생성
+router.post(
+  "/",
+  authenticateToken,
+  writeScope,
+  checkWorkspaceMember,
+  async (req, res) => {
+    try {
+      const { wsId } = req.params;
+      const { title, description, department, status, startDate, dueDate } =
+        req.body;
 
-    const validStatuses = ["pending", "in_progress", "completed"];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ error: "유효하지 않은 상태입니다" });
-    }
+      if (!title || !department || !startDate || !dueDate) {
+        return res.status(400).json({
+          error: "제목, 부서, 시작일, 목표종료일은 필수입니다",
+        });
+      }
 
-    // 날짜 검증
-    const start = new Date(startDate);
-    const due = new Date(dueDate);
+      if (!["FE", "BE", "QA"].includes(department)) {
+        return res.status(400).json({
+          error: "부서는 FE, BE, QA 중 하나여야 합니다",
+        });
+      }
 
-    if (due <= start) {
-      return res
-        .status(400)
-        .json({ error: "목표종료일은 시작일보다 늦어야 합니다" });
-    }
+      const validStatuses = ["pending", "in_progress", "completed"];
+      if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({ error: "유효하지 않은 상태입니다" });
+      }
 
-    const task = await prisma.groupTask.create({
-      data: {
-        workspaceId: wsId,
-        title,
-        description,
-        department,
-        status: status || "pending",
-        startDate: start,
-        dueDate: due,
-      },
-    });
-
-    res.status(201).json(task);
-  } catch (error) {
-    console.error("단체 Task 생성 오류:", error);
-    res.status(500).json({ error: "Task 생성에 실패했습니다" });
+      // 날짜 검증
+      const start = new Date(startDate);
+      const due = new Date(dueDate);
+
+      if (due <= start) {
+        return res
+          .status(400)
+          .json({ error: "목표종료일은 시작일보다 늦어야 합니다" });
+      }
+
+      const task = await prisma.groupTask.create({
+        data: {
+          workspaceId: wsId,
+          title,
+          description,
+          department,
+          status: status || "pending",
+          startDate: start,
+          dueDate: due,
+        },
+      });
+
+      res.status(201).json(task);
+    } catch (error) {
+      console.error("단체 Task 생성 오류:", error);
+      res.status(500).json({ error: "Task 생성에 실패했습니다" });
+    }
   }
-});
+);
 
 // 단체 Task 상세 조회
 router.get(
   "/:taskId",
   authenticateToken,
+  readScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -167,6 +185,7 @@ router.get(
 router.patch(
   "/:taskId",
   authenticateToken,
+  writeScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -228,6 +247,7 @@ router.patch(
 router.delete(
   "/:taskId",
   authenticateToken,
+  writeScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -254,6 +274,7 @@ router.delete(
 router.get(
   "/stats/summary",
   authenticateToken,
+  readScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -339,6 +360,7 @@ router.get(
 router.patch(
   "/bulk/status",
   authenticateToken,
+  writeScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -380,6 +402,7 @@ router.patch(
 router.get(
   "/departments/:department",
   authenticateToken,
+  readScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -1,12 +1,60 @@
 // src/routes/todos.js - 개인 Todo 라우터
 const express = require("express");
 const { prisma } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requireScope } = require("../middleware/auth");
+const { emitToUsers } = require("../services/realtime");
+const { recordTodosCompleted } = require("../services/activity");
+const {
+  TODO_SHARE_INCLUDE,
+  formatTodo,
+  parseVisibilityInput,
+  replaceShares,
+  findTodoAudience,
+} = require("../services/todoVisibility");
+const {
+  EDIT_SCOPES,
+  OCCURRENCE_RANGE_MAX_DAYS,
+  seriesSchedule,
+  parseRecurrence,
+  buildSeriesData,
+  buildSeriesEdit,
+  generateNextOccurrence,
+  deleteOccurrence,
+  deleteSeries,
+  expandOccurrences,
+} = require("../services/recurringTodos");
 
 const router = express.Router();
 
+// 개인 액세스 토큰 스코프
+const readScope = requireScope("todos:read");
+const writeScope = requireScope("todos:write");
+
+const TODO_INCLUDE = {
+  ...TODO_SHARE_INCLUDE,
+  series: { select: { rrule: true } },
+};
+
+// 응답 형태로 변환 (공유 대상, 반복 규칙)
+function formatTodoResponse(todo) {
+  const { series, ...rest } = formatTodo(todo);
+  return { ...rest, recurrence: series ? series.rrule : null };
+}
+
+// 수정/삭제 범위 (?scope=occurrence|series, 기본은 이 회차만)
+function parseScope(req, res) {
+  const scope = req.query.scope || "occurrence";
+  if (!EDIT_SCOPES.includes(scope)) {
+    res.status(400).json({
+      error: `scope는 ${EDIT_SCOPES.join(", ")} 중 하나여야 합니다`,
+    });
+    return null;
+  }
+  return scope;
+}
+
 // 개인 Todo 목록 조회
-router.get("/", authenticateToken, async (req, res) => {
+router.get("/", authenticateToken, readScope, async (req, res) => {
   try {
     const { status, priority, from, to, limit = 50, offset = 0 } = req.query;
     const userId = req.user.userId;
@@ -36,9 +84,36 @@ router.get("/", authenticateToken, async (req, res) => {
       }
     }
 
+    // 기간을 지정하면 반복 Todo의 아직 생성되지 않은 회차도 계산
+    let occurrences;
+    if (from && to) {
+      const fromDate = new Date(from);
+      const toDate = new Date(to);
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return res
+          .status(400)
+          .json({ error: "from, to는 유효한 날짜여야 합니다" });
+      }
+      if (
+        toDate.getTime() - fromDate.getTime() >
+        OCCURRENCE_RANGE_MAX_DAYS * 24 * 60 * 60 * 1000
+      ) {
+        return res.status(400).json({
+          error: `조회 기간은 최대 ${OCCURRENCE_RANGE_MAX_DAYS}일까지 지정할 수 있습니다`,
+          code: "RANGE_TOO_LONG",
+        });
+      }
+      // 아직 생성되지 않은 회차는 모두 pending
+      occurrences =
+        status && status !== "pending"
+          ? []
+          : await expandOccurrences(userId, fromDate, toDate, { priority });
+    }
+
     const [todos, totalCount] = await Promise.all([
       prisma.personalTodo.findMany({
         where: whereClause,
+        include: TODO_INCLUDE,
         orderBy: { createdAt: "desc" },
         take: parseInt(limit),
         skip: parseInt(offset),
@@ -47,7 +122,8 @@ router.get("/", authenticateToken, async (req, res) => {
     ]);
 
     res.json({
-      todos,
+      todos: todos.map(formatTodoResponse),
+      ...(occurrences && { occurrences }),
       pagination: {
         total: totalCount,
         limit: parseInt(limit),
@@ -62,7 +138,7 @@ router.get("/", authenticateToken, async (req, res) => {
 });
 
 // 개인 Todo 생성
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, writeScope, async (req, res) => {
   try {
     const { title, description, status, priority, startDate, dueDate } =
       req.body;
@@ -83,19 +159,78 @@ router.post("/", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "유효하지 않은 우선순위입니다" });
     }
 
-    const todo = await prisma.personalTodo.create({
-      data: {
-        userId: req.user.userId,
-        title,
-        description,
-        status: status || "pending",
-        priority: priority || "medium",
-        startDate: startDate ? new Date(startDate) : null,
-        dueDate: dueDate ? new Date(dueDate) : null,
-      },
-    });
+    // 공개 범위 (지정하지 않으면 사용자의 기본 공개 범위)
+    let current;
+    if (req.body.visibility === undefined) {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { defaultTodoVisibility: true },
+      });
+      current = user.defaultTodoVisibility;
+    }
+    const visibility = await parseVisibilityInput(
+      req.user.userId,
+      req.body,
+      current
+    );
+    if (visibility.error) {
+      return res
+        .status(400)
+        .json({ error: visibility.error, code: visibility.code });
+    }
+
+    const todoData = {
+      userId: req.user.userId,
+      title,
+      description,
+      status: status || "pending",
+      priority: priority || "medium",
+      startDate: startDate ? new Date(startDate) : null,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      visibility: visibility.data.visibility || current,
+      ...(visibility.shares?.length > 0 && {
+        shares: { create: visibility.shares },
+      }),
+    };
+
+    // 반복 규칙 (RRULE) - 시리즈를 만들고 이 Todo를 첫 회차로 등록
+    const operations = [];
+    const { recurrence } = req.body;
+    if (recurrence !== undefined && recurrence !== null) {
+      const parsed = parseRecurrence(recurrence);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: parsed.code });
+      }
+      const schedule = seriesSchedule(todoData.startDate, todoData.dueDate);
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+
+      const { series, error, code } = await buildSeriesData(
+        req.user.userId,
+        parsed.rrule,
+        schedule,
+        todoData
+      );
+      if (error) {
+        return res.status(400).json({ error, code });
+      }
+      operations.push(prisma.personalTodoSeries.create({ data: series }));
+      todoData.seriesId = series.id;
+      todoData.occurrenceDate = schedule.dtstart;
+    }
+
+    operations.push(
+      prisma.personalTodo.create({ data: todoData, include: TODO_INCLUDE })
+    );
+    const todo = (await prisma.$transaction(operations)).pop();
 
-    res.status(201).json(todo);
+    if (todo.status === "completed") {
+      await recordTodosCompleted(req.user.userId, [todo]);
+      await generateNextOccurrence(todo);
+    }
+
+    res.status(201).json(formatTodoResponse(todo));
   } catch (error) {
     console.error("개인 Todo 생성 오류:", error);
     res.status(500).json({ error: "Todo 생성에 실패했습니다" });
@@ -103,30 +238,42 @@ router.post("/", authenticateToken, async (req, res) => {
 });
 
 // 개인 Todo 상세 조회
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, readScope, async (req, res) => {
   try {
     const { id } = req.params;
 
     const todo = await prisma.personalTodo.findFirst({
       where: { id, userId: req.user.userId },
+      include: TODO_INCLUDE,
     });
 
     if (!todo) {
       return res.status(404).json({ error: "Todo를 찾을 수 없습니다" });
     }
 
-    res.json(todo);
+    res.json(formatTodoResponse(todo));
   } catch (error) {
     console.error("개인 Todo 상세 조회 오류:", error);
     res.status(500).json({ error: "Todo 조회에 실패했습니다" });
   }
 });
 
-// 개인 Todo 수정
-router.patch("/:id", authenticateToken, async (req, res) => {
+// 개인 Todo 수정 (반복 Todo는 ?scope=series로 시리즈 전체 수정)
+router.patch("/:id", authenticateToken, writeScope, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const scope = parseScope(req, res);
+    if (!scope) return;
+
+    // seriesId, occurrenceDate는 반복 규칙에 따라 서버에서만 변경
+    const {
+      visibility,
+      sharedWith,
+      recurrence,
+      seriesId,
+      occurrenceDate,
+      ...updateData
+    } = req.body;
 
     const existingTodo = await prisma.personalTodo.findFirst({
       where: { id, userId: req.user.userId },
@@ -136,6 +283,22 @@ router.patch("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Todo를 찾을 수 없습니다" });
     }
 
+    if (scope === "series" && !existingTodo.seriesId) {
+      return res
+        .status(400)
+        .json({ error: "반복 Todo가 아닙니다", code: "NOT_RECURRING" });
+    }
+    if (
+      recurrence !== undefined &&
+      existingTodo.seriesId &&
+      scope !== "series"
+    ) {
+      return res.status(400).json({
+        error: "반복 규칙은 scope=series로 수정해주세요",
+        code: "USE_SERIES_SCOPE",
+      });
+    }
+
     // 상태 및 우선순위 검증
     const validStatuses = ["pending", "in_progress", "completed"];
     const validPriorities = ["low", "medium", "high"];
@@ -148,27 +311,118 @@ router.patch("/:id", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "유효하지 않은 우선순위입니다" });
     }
 
+    // 공개 범위
+    const visibilityInput = await parseVisibilityInput(
+      req.user.userId,
+      { visibility, sharedWith },
+      existingTodo.visibility
+    );
+    if (visibilityInput.error) {
+      return res
+        .status(400)
+        .json({ error: visibilityInput.error, code: visibilityInput.code });
+    }
+    Object.assign(updateData, visibilityInput.data);
+
     // 날짜 변환
     if (updateData.startDate)
       updateData.startDate = new Date(updateData.startDate);
     if (updateData.dueDate) updateData.dueDate = new Date(updateData.dueDate);
 
-    const updatedTodo = await prisma.personalTodo.update({
-      where: { id },
-      data: updateData,
-    });
+    // 반복 규칙 (null이면 반복 해제)
+    let parsedRecurrence;
+    if (recurrence !== undefined) {
+      parsedRecurrence = parseRecurrence(recurrence);
+      if (parsedRecurrence.error) {
+        return res.status(400).json({
+          error: parsedRecurrence.error,
+          code: parsedRecurrence.code,
+        });
+      }
+    }
+
+    const operations = [];
+    let restartedSeries = false;
+    if (scope === "series") {
+      const edit = await buildSeriesEdit(
+        existingTodo,
+        updateData,
+        visibilityInput.shares,
+        parsedRecurrence
+      );
+      if (edit.error) {
+        return res.status(400).json({ error: edit.error });
+      }
+      operations.push(...edit.operations);
+      restartedSeries = edit.restarted;
+    } else if (parsedRecurrence?.rrule) {
+      // 일반 Todo에 반복 규칙 추가: 이 Todo를 첫 회차로 시리즈 생성
+      const merged = { ...existingTodo, ...updateData };
+      const schedule = seriesSchedule(merged.startDate, merged.dueDate);
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+
+      const { series, error, code } = await buildSeriesData(
+        req.user.userId,
+        parsedRecurrence.rrule,
+        schedule,
+        merged
+      );
+      if (error) {
+        return res.status(400).json({ error, code });
+      }
+      operations.push(prisma.personalTodoSeries.create({ data: series }));
+      updateData.seriesId = series.id;
+      updateData.occurrenceDate = schedule.dtstart;
+    }
 
-    res.json(updatedTodo);
+    const updatedTodo = (
+      await prisma.$transaction([
+        ...operations,
+        ...(visibilityInput.shares
+          ? replaceShares(id, visibilityInput.shares)
+          : []),
+        prisma.personalTodo.update({
+          where: { id },
+          data: updateData,
+          include: TODO_INCLUDE,
+        }),
+      ])
+    ).pop();
+
+    // 완료 상태로 바뀐 경우 친구 활동 피드에 기록하고 반복 Todo는 다음 회차 생성
+    if (
+      existingTodo.status !== "completed" &&
+      updatedTodo.status === "completed"
+    ) {
+      await recordTodosCompleted(req.user.userId, [updatedTodo]);
+      await generateNextOccurrence(updatedTodo);
+    } else if (restartedSeries && updatedTodo.status === "completed") {
+      // 완료한 회차로 시리즈를 다시 시작하면 남은 회차가 없으므로 새 일정의 다음 회차 생성
+      await generateNextOccurrence(updatedTodo);
+    }
+
+    res.json(formatTodoResponse(updatedTodo));
   } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        error: "같은 시각의 반복 회차가 이미 있습니다",
+        code: "OCCURRENCE_EXISTS",
+      });
+    }
     console.error("개인 Todo 수정 오류:", error);
     res.status(500).json({ error: "Todo 수정에 실패했습니다" });
   }
 });
 
 // 개인 Todo 삭제
-router.delete("/:id", authenticateToken, async (req, res) => {
+// 반복 Todo는 이 회차만 삭제하면 건너뛰고 다음 회차를 만들며, ?scope=series면 시리즈 전체를 삭제
+router.delete("/:id", authenticateToken, writeScope, async (req, res) => {
   try {
     const { id } = req.params;
+    const scope = parseScope(req, res);
+    if (!scope) return;
 
     const existingTodo = await prisma.personalTodo.findFirst({
       where: { id, userId: req.user.userId },
@@ -178,7 +432,29 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Todo를 찾을 수 없습니다" });
     }
 
-    await prisma.personalTodo.delete({ where: { id } });
+    if (scope === "series" && !existingTodo.seriesId) {
+      return res
+        .status(400)
+        .json({ error: "반복 Todo가 아닙니다", code: "NOT_RECURRING" });
+    }
+
+    // 삭제 후에는 공개 범위를 알 수 없으므로 삭제 알림은 서버에서 직접 보냄
+    const audience = await findTodoAudience(existingTodo);
+
+    if (scope === "series") {
+      await deleteSeries(existingTodo);
+    } else {
+      await deleteOccurrence(existingTodo);
+    }
+
+    emitToUsers(audience, "friend_todo_updated", {
+      todoId: id,
+      action: "deleted",
+      userId: req.user.userId,
+      todoData: null,
+      timestamp: new Date().toISOString(),
+    });
+
     res.status(204).send();
   } catch (error) {
     console.error("개인 Todo 삭제 오류:", error);
@@ -187,7 +463,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // 개인 Todo 통계
-router.get("/stats/summary", authenticateToken, async (req, res) => {
+router.get("/stats/summary", authenticateToken, readScope, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -249,38 +525,68 @@ router.get("/stats/summary", authenticateToken, async (req, res) => {
 });
 
 // 완료율 업데이트 (벌크 작업)
-router.patch("/bulk/status", authenticateToken, async (req, res) => {
-  try {
-    const { todoIds, status } = req.body;
-
-    if (!todoIds || !Array.isArray(todoIds) || todoIds.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "유효한 Todo ID 배열이 필요합니다" });
-    }
+router.patch(
+  "/bulk/status",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const { todoIds, status } = req.body;
+
+      if (!todoIds || !Array.isArray(todoIds) || todoIds.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "유효한 Todo ID 배열이 필요합니다" });
+      }
 
-    const validStatuses = ["pending", "in_progress", "completed"];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({ error: "유효하지 않은 상태입니다" });
-    }
+      const validStatuses = ["pending", "in_progress", "completed"];
+      if (!status || !validStatuses.includes(status)) {
+        return res.status(400).json({ error: "유효하지 않은 상태입니다" });
+      }
 
-    // 사용자 소유 Todo만 업데이트
-    const result = await prisma.personalTodo.updateMany({
-      where: {
-        id: { in: todoIds },
-        userId: req.user.userId,
-      },
-      data: { status },
-    });
+      // 새로 완료되는 Todo (친구 활동 피드 기록, 반복 Todo 다음 회차 생성용)
+      const newlyCompleted =
+        status === "completed"
+          ? await prisma.personalTodo.findMany({
+              where: {
+                id: { in: todoIds },
+                userId: req.user.userId,
+                status: { not: "completed" },
+              },
+              select: {
+                id: true,
+                userId: true,
+                title: true,
+                visibility: true,
+                seriesId: true,
+                occurrenceDate: true,
+              },
+            })
+          : [];
+
+      // 사용자 소유 Todo만 업데이트
+      const result = await prisma.personalTodo.updateMany({
+        where: {
+          id: { in: todoIds },
+          userId: req.user.userId,
+        },
+        data: { status },
+      });
+
+      await recordTodosCompleted(req.user.userId, newlyCompleted);
+      for (const todo of newlyCompleted) {
+        await generateNextOccurrence(todo);
+      }
 
-    res.json({
-      message: `${result.count}개의 Todo 상태가 업데이트되었습니다`,
-      updatedCount: result.count,
-    });
-  } catch (error) {
-    console.error("Todo 벌크 업데이트 오류:", error);
-    res.status(500).json({ error: "Todo 업데이트에 실패했습니다" });
+      res.json({
+        message: `${result.count}개의 Todo 상태가 업데이트되었습니다`,
+        updatedCount: result.count,
+      });
+    } catch (error) {
+      console.error("Todo 벌크 업데이트 오류:", error);
+      res.status(500).json({ error: "Todo 업데이트에 실패했습니다" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -1,13 +1,101 @@
 // src/routes/users.js - 사용자 라우터
 const express = require("express");
 const bcrypt = require("bcrypt");
+const multer = require("multer");
 const { prisma } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { config } = require("../config/env");
+const {
+  authenticateToken,
+  requireScope,
+  denyImpersonation,
+} = require("../middleware/auth");
+const oidc = require("../services/oidc");
+const {
+  collectUserData,
+  buildExportFiles,
+  planWorkspaceHandover,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} = require("../services/account");
+const { createZip } = require("../utils/zip");
+const { disconnectUserSockets } = require("../services/socketSessions");
+const {
+  PROFILE_SELECT,
+  parseProfileUpdate,
+  formatProfile,
+  broadcastStatus,
+} = require("../services/profile");
+const {
+  getAvatarUrls,
+  replaceAvatar,
+  removeAvatarFiles,
+} = require("../services/avatar");
+const {
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  SEARCH_QUERY_MAX_LENGTH,
+  nicknameSearchFields,
+  searchUsers,
+} = require("../services/userSearch");
+const { getPresence, canViewPresence } = require("../services/presence");
+const { BLOCKED, isBlocker } = require("../services/blocks");
+const { ACTIVITY_VISIBILITIES } = require("../services/activity");
+const {
+  DEFAULT_TODO_VISIBILITIES,
+  SHARED_TODO_DEFAULT_LIMIT,
+  SHARED_TODO_MAX_LIMIT,
+  SHARED_TODO_SELECT,
+  visibleTodoWhere,
+} = require("../services/todoVisibility");
+const {
+  validatePassword,
+  sendPolicyViolation,
+  isPasswordReused,
+  recordPasswordHistory,
+} = require("../services/passwordPolicy");
+const {
+  PAT_SCOPES,
+  PAT_PUBLIC_SELECT,
+  isValidScope,
+  createPersonalAccessToken,
+  resolveExpiry,
+} = require("../services/personalAccessToken");
 
 const router = express.Router();
 
+// 개인 액세스 토큰 스코프
+const readScope = requireScope("users:read");
+const todosReadScope = requireScope("todos:read");
+
+// 비밀번호, 토큰, 탈퇴 등 계정 보안 관련 API는 관리자 대리 접속 토큰으로 사용할 수 없음
+const sessionAuth = [authenticateToken, denyImpersonation];
+
+// 프로필 이미지 업로드 (multipart/form-data, 필드 이름: avatar)
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.avatar.maxFileSizeMb * 1024 * 1024, files: 1 },
+}).single("avatar");
+
+function receiveAvatar(req, res, next) {
+  avatarUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `이미지는 ${config.avatar.maxFileSizeMb}MB 이하만 업로드할 수 있습니다`,
+          code: "FILE_TOO_LARGE",
+        });
+      }
+      return res.status(400).json({
+        error: "업로드 형식이 올바르지 않습니다 (avatar 필드에 파일 하나)",
+        code: "INVALID_UPLOAD",
+      });
+    }
+    next(error);
+  });
+}
+
 // 내 정보 조회
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/me", authenticateToken, readScope, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.userId },
@@ -17,8 +105,15 @@ router.get("/me", authenticateToken, async (req, res) => {
         nickname: true,
         avatar: true,
         role: true,
+        emailVerified: true,
+        hasPassword: true,
+        deletionScheduledAt: true,
+        activityVisibility: true,
+        defaultTodoVisibility: true,
         lastLogin: true,
         createdAt: true,
+        avatarVersion: true,
+        ...PROFILE_SELECT,
       },
     });
 
@@ -26,7 +121,11 @@ router.get("/me", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
     }
 
-    res.json(user);
+    const { avatarVersion, ...profile } = user;
+    res.json({
+      ...formatProfile(profile),
+      avatarUrls: getAvatarUrls(user),
+    });
   } catch (error) {
     console.error("프로필 조회 오류:", error);
     res.status(500).json({ error: "프로필 조회에 실패했습니다" });
@@ -37,11 +136,63 @@ router.get("/me", authenticateToken, async (req, res) => {
 router.patch("/me", authenticateToken, async (req, res) => {
   try {
     const { nickname, password, avatar } = req.body;
-    const updateData = {};
 
-    if (nickname) updateData.nickname = nickname;
-    if (avatar !== undefined) updateData.avatar = avatar;
-    if (password) updateData.password = await bcrypt.hash(password, 10);
+    // 비밀번호는 현재 비밀번호 확인이 필요한 전용 API로만 변경
+    if (password !== undefined) {
+      return res.status(400).json({
+        error: "비밀번호는 POST /users/me/password로 변경해주세요",
+        code: "USE_PASSWORD_ENDPOINT",
+      });
+    }
+
+    // 시간대, 언어, 소개, 직함/부서, 상태 메시지
+    const profile = parseProfileUpdate(req.body);
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+
+    // 친구 활동 피드 공개 범위
+    const { activityVisibility } = req.body;
+    if (
+      activityVisibility !== undefined &&
+      !ACTIVITY_VISIBILITIES.includes(activityVisibility)
+    ) {
+      return res.status(400).json({
+        error: `activityVisibility는 ${ACTIVITY_VISIBILITIES.join(", ")} 중 하나여야 합니다`,
+      });
+    }
+
+    const updateData = { ...profile.data };
+    if (activityVisibility !== undefined) {
+      updateData.activityVisibility = activityVisibility;
+    }
+
+    // 새 Todo의 기본 공개 범위
+    const { defaultTodoVisibility } = req.body;
+    if (defaultTodoVisibility !== undefined) {
+      if (!DEFAULT_TODO_VISIBILITIES.includes(defaultTodoVisibility)) {
+        return res.status(400).json({
+          error: `defaultTodoVisibility는 ${DEFAULT_TODO_VISIBILITIES.join(", ")} 중 하나여야 합니다`,
+        });
+      }
+      updateData.defaultTodoVisibility = defaultTodoVisibility;
+    }
+    if (nickname) {
+      updateData.nickname = nickname;
+      Object.assign(updateData, nicknameSearchFields(nickname));
+    }
+
+    // 외부 이미지 주소로 바꾸면 업로드했던 파일은 삭제
+    let previousAvatarVersion = null;
+    if (avatar !== undefined) {
+      const current = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { avatarVersion: true },
+      });
+      previousAvatarVersion = current?.avatarVersion;
+      updateData.avatar = avatar;
+      updateData.avatarVersion = null;
+    }
 
     const updatedUser = await prisma.user.update({
       where: { id: req.user.userId },
@@ -52,48 +203,643 @@ router.patch("/me", authenticateToken, async (req, res) => {
         nickname: true,
         avatar: true,
         role: true,
+        activityVisibility: true,
+        defaultTodoVisibility: true,
         lastLogin: true,
         createdAt: true,
+        ...PROFILE_SELECT,
       },
     });
 
-    res.json(updatedUser);
+    await removeAvatarFiles(updatedUser.id, previousAvatarVersion);
+
+    const formatted = formatProfile(updatedUser);
+    if (profile.statusChanged) {
+      await broadcastStatus(updatedUser.id, formatted.status);
+    }
+
+    res.json(formatted);
   } catch (error) {
     console.error("프로필 수정 오류:", error);
     res.status(500).json({ error: "프로필 수정에 실패했습니다" });
   }
 });
 
-// 사용자 검색 (친구 추가용)
-router.get("/search", authenticateToken, async (req, res) => {
+// 프로필 이미지 업로드 (크기별 정사각형 썸네일 생성, 이전 이미지 삭제)
+router.post(
+  "/me/avatar",
+  authenticateToken,
+  receiveAvatar,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: "avatar 필드에 이미지 파일을 첨부해주세요",
+          code: "FILE_REQUIRED",
+        });
+      }
+
+      const result = await replaceAvatar(req.user.userId, req.file.buffer);
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ error: result.error, code: result.code });
+      }
+
+      console.log("프로필 이미지 변경:", req.user.userId, result.version);
+
+      res.status(201).json({
+        avatar: result.avatar,
+        avatarUrls: result.urls,
+      });
+    } catch (error) {
+      console.error("프로필 이미지 업로드 오류:", error);
+      res.status(500).json({ error: "프로필 이미지 업로드에 실패했습니다" });
+    }
+  }
+);
+
+// 프로필 이미지 삭제
+router.delete("/me/avatar", authenticateToken, async (req, res) => {
   try {
-    const { q } = req.query;
-    if (!q || q.length < 2) {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { avatarVersion: true },
+    });
+
+    await prisma.user.update({
+      where: { id: req.user.userId },
+      data: { avatar: null, avatarVersion: null },
+    });
+    await removeAvatarFiles(req.user.userId, user?.avatarVersion);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error("프로필 이미지 삭제 오류:", error);
+    res.status(500).json({ error: "프로필 이미지 삭제에 실패했습니다" });
+  }
+});
+
+// 비밀번호 변경 (현재 세션을 제외한 다른 세션은 모두 종료)
+router.post("/me/password", sessionAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, email: true, password: true, hasPassword: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    // SSO로만 가입한 계정은 현재 비밀번호 없이 처음 비밀번호를 설정
+    if (user.hasPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({
+          error: "현재 비밀번호를 입력해주세요",
+          code: "CURRENT_PASSWORD_REQUIRED",
+        });
+      }
+
+      const isCurrentValid = await bcrypt.compare(
+        currentPassword,
+        user.password
+      );
+      if (!isCurrentValid) {
+        return res.status(400).json({
+          error: "현재 비밀번호가 올바르지 않습니다",
+          code: "INVALID_CURRENT_PASSWORD",
+        });
+      }
+    }
+
+    const violations = validatePassword(newPassword, { email: user.email });
+    if (violations.length > 0) {
+      return sendPolicyViolation(res, violations);
+    }
+
+    const previousHash = user.hasPassword ? user.password : null;
+    if (await isPasswordReused(prisma, user.id, newPassword, previousHash)) {
+      return res.status(400).json({
+        error: "최근에 사용한 비밀번호는 다시 사용할 수 없습니다",
+        code: "PASSWORD_REUSED",
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    const revokedSessions = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { password: hashedPassword, hasPassword: true },
+      });
+      await recordPasswordHistory(tx, user.id, previousHash);
+
+      // 진행 중인 비밀번호 재설정 링크 무효화
+      await tx.passwordResetToken.deleteMany({ where: { userId: user.id } });
+
+      // 현재 세션을 제외한 모든 로그인 세션 종료
+      const otherSessions = req.user.sessionId
+        ? { userId: user.id, familyId: { not: req.user.sessionId } }
+        : { userId: user.id };
+      const families = await tx.refreshToken.findMany({
+        where: otherSessions,
+        distinct: ["familyId"],
+        select: { familyId: true },
+      });
+      await tx.refreshToken.deleteMany({ where: otherSessions });
+      return families.length;
+    });
+
+    // 다른 기기의 실시간 연결도 종료 (세션 ID가 없는 이전 토큰이면 모두)
+    disconnectUserSockets(
+      user.id,
+      "PASSWORD_CHANGED",
+      req.user.sessionId ? { exceptSessionId: req.user.sessionId } : {}
+    );
+    console.log("비밀번호 변경 완료:", user.email);
+
+    res.json({
+      message:
+        "비밀번호가 변경되었습니다. 다른 기기에서는 다시 로그인해야 합니다.",
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("비밀번호 변경 오류:", error);
+    res.status(500).json({ error: "비밀번호 변경에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   개인 데이터 내보내기 / 회원 탈퇴
+// ===============================================
+
+// 내 데이터 내보내기 (format=json | zip)
+router.get("/me/export", sessionAuth, async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "zip"].includes(format)) {
       return res
         .status(400)
-        .json({ error: "검색어는 최소 2자 이상이어야 합니다" });
+        .json({ error: "format은 json 또는 zip 이어야 합니다" });
     }
 
-    const users = await prisma.user.findMany({
-      where: {
-        AND: [
-          { id: { not: req.user.userId } }, // 자기 자신 제외
-          { isActive: true },
-          {
-            OR: [{ email: { contains: q } }, { nickname: { contains: q } }],
+    const exportedAt = new Date();
+    const data = await collectUserData(req.user.userId);
+    const fileName = `export-${exportedAt.toISOString().slice(0, 10)}`;
+
+    console.log("개인 데이터 내보내기:", req.user.email, format);
+
+    if (format === "zip") {
+      const archive = createZip(buildExportFiles(data, exportedAt), exportedAt);
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${fileName}.zip"`,
+      });
+      return res.send(archive);
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${fileName}.json"`);
+    res.json({ exportedAt, ...data });
+  } catch (error) {
+    console.error("데이터 내보내기 오류:", error);
+    res.status(500).json({ error: "데이터 내보내기에 실패했습니다" });
+  }
+});
+
+// 탈퇴 상태 및 소유한 워크스페이스 (새 소유자 후보 포함)
+router.get("/me/deletion", authenticateToken, async (req, res) => {
+  try {
+    const [user, ownedWorkspaces] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: {
+          deletionRequestedAt: true,
+          deletionScheduledAt: true,
+          deletionPlan: true,
+        },
+      }),
+      prisma.workspace.findMany({
+        where: { ownerId: req.user.userId },
+        select: {
+          id: true,
+          name: true,
+          members: {
+            where: { accepted: true },
+            select: {
+              user: { select: { id: true, nickname: true, email: true } },
+            },
           },
-        ],
+        },
+      }),
+    ]);
+
+    res.json({
+      ...user,
+      graceDays: config.accountDeletion.graceDays,
+      ownedWorkspaces: ownedWorkspaces.map((workspace) => ({
+        id: workspace.id,
+        name: workspace.name,
+        candidates: workspace.members.map((member) => member.user),
+      })),
+    });
+  } catch (error) {
+    console.error("탈퇴 상태 조회 오류:", error);
+    res.status(500).json({ error: "탈퇴 상태 조회에 실패했습니다" });
+  }
+});
+
+/**
+ * 회원 탈퇴 요청 (유예 기간 후 삭제)
+ * body: { password | confirmEmail, workspacePolicy: "transfer" | "delete", transfers: { [wsId]: userId } }
+ */
+router.delete("/me", sessionAuth, async (req, res) => {
+  try {
+    const { password, confirmEmail, workspacePolicy, transfers } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: {
+        id: true,
+        email: true,
+        password: true,
+        hasPassword: true,
+        deletionScheduledAt: true,
       },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
+    if (user.deletionScheduledAt) {
+      return res.status(409).json({
+        error: "이미 탈퇴가 예약되어 있습니다",
+        code: "DELETION_ALREADY_SCHEDULED",
+        deletionScheduledAt: user.deletionScheduledAt,
+      });
+    }
+
+    // 본인 확인: 비밀번호 (SSO 전용 계정은 이메일 재입력)
+    const confirmed = user.hasPassword
+      ? !!password && (await bcrypt.compare(password, user.password))
+      : !!confirmEmail && confirmEmail.toLowerCase() === user.email;
+    if (!confirmed) {
+      return res.status(400).json({
+        error: user.hasPassword
+          ? "비밀번호가 올바르지 않습니다"
+          : "확인을 위해 이메일을 정확히 입력해주세요",
+        code: "DELETION_CONFIRMATION_FAILED",
+      });
+    }
+
+    const handover = await planWorkspaceHandover(
+      user.id,
+      workspacePolicy,
+      transfers
+    );
+    if (handover.errors) {
+      return res.status(400).json({
+        error: handover.errors[0].message,
+        code: handover.errors[0].code,
+        details: handover.errors,
+      });
+    }
+
+    const deletionScheduledAt = await scheduleAccountDeletion(
+      user.id,
+      handover.plan
+    );
+
+    disconnectUserSockets(user.id, "ACCOUNT_DELETION_SCHEDULED");
+    console.log("회원 탈퇴 예약:", user.email, deletionScheduledAt);
+
+    res.status(202).json({
+      message:
+        "탈퇴가 예약되었습니다. 유예 기간 안에 로그인해 탈퇴 취소(POST /users/me/deletion/cancel)를 요청하면 되돌릴 수 있습니다.",
+      deletionScheduledAt,
+      workspaces: handover.workspaces,
+    });
+  } catch (error) {
+    console.error("회원 탈퇴 요청 오류:", error);
+    res.status(500).json({ error: "회원 탈퇴 요청에 실패했습니다" });
+  }
+});
+
+// 탈퇴 취소 (유예 기간 중)
+router.post("/me/deletion/cancel", sessionAuth, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.userId);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        error: "예약된 탈퇴 요청이 없습니다",
+        code: "DELETION_NOT_SCHEDULED",
+      });
+    }
+
+    console.log("회원 탈퇴 취소:", req.user.email);
+    res.json({ message: "탈퇴 요청이 취소되었습니다" });
+  } catch (error) {
+    console.error("회원 탈퇴 취소 오류:", error);
+    res.status(500).json({ error: "회원 탈퇴 취소에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   개인 액세스 토큰 (스크립트/CI용)
+// ===============================================
+
+// 내 토큰 목록 (토큰 값은 발급 시에만 확인 가능)
+router.get("/me/tokens", sessionAuth, async (req, res) => {
+  try {
+    const tokens = await prisma.personalAccessToken.findMany({
+      where: { userId: req.user.userId },
+      select: PAT_PUBLIC_SELECT,
+      orderBy: { createdAt: "desc" },
+    });
+
+    const now = new Date();
+    res.json({
+      tokens: tokens.map((token) => ({
+        ...token,
+        expired: !!token.expiresAt && token.expiresAt < now,
+      })),
+      availableScopes: PAT_SCOPES,
+    });
+  } catch (error) {
+    console.error("액세스 토큰 목록 조회 오류:", error);
+    res.status(500).json({ error: "액세스 토큰 목록 조회에 실패했습니다" });
+  }
+});
+
+// 토큰 발급
+router.post("/me/tokens", sessionAuth, async (req, res) => {
+  try {
+    const { scopes, expiresInDays } = req.body;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        error: "토큰 이름은 1~100자로 입력해주세요",
+        code: "INVALID_TOKEN_NAME",
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: "최소 하나의 스코프를 지정해주세요",
+        code: "INVALID_SCOPES",
+      });
+    }
+
+    const invalidScopes = scopes.filter((scope) => !isValidScope(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: "지원하지 않는 스코프가 포함되어 있습니다",
+        code: "INVALID_SCOPES",
+        invalidScopes,
+      });
+    }
+
+    const expiresAt = resolveExpiry(expiresInDays);
+    if (!expiresAt) {
+      return res.status(400).json({
+        error: `만료 기간은 1~${config.personalAccessToken.maxExpiryDays}일 사이로 지정해주세요`,
+        code: "INVALID_EXPIRY",
+      });
+    }
+
+    const tokenCount = await prisma.personalAccessToken.count({
+      where: { userId: req.user.userId },
+    });
+    if (tokenCount >= config.personalAccessToken.maxPerUser) {
+      return res.status(400).json({
+        error:
+          "발급할 수 있는 토큰 수를 초과했습니다. 사용하지 않는 토큰을 삭제해주세요",
+        code: "TOKEN_LIMIT_EXCEEDED",
+      });
+    }
+
+    const { token, record } = await createPersonalAccessToken(req.user.userId, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    console.log("개인 액세스 토큰 발급:", req.user.email, record.id);
+
+    res.status(201).json({
+      message:
+        "토큰이 발급되었습니다. 이 값은 다시 확인할 수 없으니 안전하게 보관하세요",
+      token,
+      ...record,
+    });
+  } catch (error) {
+    console.error("액세스 토큰 발급 오류:", error);
+    res.status(500).json({ error: "액세스 토큰 발급에 실패했습니다" });
+  }
+});
+
+// 토큰 폐기
+router.delete("/me/tokens/:tokenId", sessionAuth, async (req, res) => {
+  try {
+    const { count } = await prisma.personalAccessToken.deleteMany({
+      where: { id: req.params.tokenId, userId: req.user.userId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: "토큰을 찾을 수 없습니다" });
+    }
+
+    console.log("개인 액세스 토큰 폐기:", req.user.email, req.params.tokenId);
+    res.json({ message: "토큰이 폐기되었습니다" });
+  } catch (error) {
+    console.error("액세스 토큰 폐기 오류:", error);
+    res.status(500).json({ error: "액세스 토큰 폐기에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   외부 로그인(SSO) 계정 연결
+// ===============================================
+
+// 연결된 외부 계정 목록
+router.get("/me/identities", sessionAuth, async (req, res) => {
+  try {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId: req.user.userId },
       select: {
         id: true,
+        provider: true,
         email: true,
-        nickname: true,
-        avatar: true,
+        lastLoginAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json({ identities, availableProviders: oidc.listProviders() });
+  } catch (error) {
+    console.error("연결 계정 조회 오류:", error);
+    res.status(500).json({ error: "연결된 계정 조회에 실패했습니다" });
+  }
+});
+
+// 외부 계정 연결 시작: 프론트엔드가 authorizationUrl로 이동
+router.post("/me/identities/:provider", sessionAuth, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        error: "지원하지 않는 로그인 공급자입니다",
+        code: "OIDC_PROVIDER_NOT_FOUND",
+      });
+    }
+
+    const existing = await prisma.userIdentity.findUnique({
+      where: {
+        userId_provider: { userId: req.user.userId, provider: provider.id },
+      },
+    });
+    if (existing) {
+      return res.status(409).json({
+        error: "이미 연결된 공급자입니다",
+        code: "OIDC_PROVIDER_ALREADY_LINKED",
+      });
+    }
+
+    // 연결 요청한 브라우저에서만 콜백이 처리되도록 쿠키 설정 (credentials 포함 요청 필요)
+    const { authorizationUrl, browserBinding } =
+      await oidc.createAuthorizationRequest(provider, {
+        mode: "link",
+        userId: req.user.userId,
+      });
+    oidc.setBrowserBinding(res, browserBinding);
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error("계정 연결 요청 오류:", error);
+    res.status(502).json({
+      error: "로그인 공급자에 연결할 수 없습니다",
+      code: "OIDC_PROVIDER_ERROR",
+    });
+  }
+});
+
+// 외부 계정 연결 해제 (마지막 로그인 수단은 해제 불가)
+router.delete("/me/identities/:identityId", sessionAuth, async (req, res) => {
+  try {
+    const identity = await prisma.userIdentity.findFirst({
+      where: { id: req.params.identityId, userId: req.user.userId },
+    });
+
+    if (!identity) {
+      return res.status(404).json({ error: "연결된 계정을 찾을 수 없습니다" });
+    }
+
+    const [user, identityCount] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { hasPassword: true },
+      }),
+      prisma.userIdentity.count({ where: { userId: req.user.userId } }),
+    ]);
+
+    if (!user.hasPassword && identityCount <= 1) {
+      return res.status(400).json({
+        error:
+          "마지막 로그인 수단은 해제할 수 없습니다. 먼저 비밀번호를 설정해주세요",
+        code: "LAST_LOGIN_METHOD",
+      });
+    }
+
+    await prisma.userIdentity.delete({ where: { id: identity.id } });
+    console.log("SSO 계정 연결 해제:", req.user.email, identity.provider);
+
+    res.json({ message: "계정 연결이 해제되었습니다" });
+  } catch (error) {
+    console.error("계정 연결 해제 오류:", error);
+    res.status(500).json({ error: "계정 연결 해제에 실패했습니다" });
+  }
+});
+
+// ===============================================
+//   관리자 대리 접속 기록
+// ===============================================
+
+// 내 계정에 대한 관리자 대리 접속 기록
+router.get("/me/impersonations", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.impersonationSession.findMany({
+      where: { targetUserId: req.user.userId },
+      select: {
+        id: true,
+        adminEmail: true,
+        reason: true,
+        readOnly: true,
+        expiresAt: true,
+        endedAt: true,
+        createdAt: true,
+        _count: { select: { auditLogs: true } },
       },
-      take: 10, // 최대 10명
+      orderBy: { createdAt: "desc" },
+      take: 50,
+    });
+
+    const now = new Date();
+    res.json({
+      impersonations: sessions.map(({ _count, ...session }) => ({
+        ...session,
+        active: !session.endedAt && session.expiresAt > now,
+        requestCount: _count.auditLogs,
+      })),
+    });
+  } catch (error) {
+    console.error("대리 접속 기록 조회 오류:", error);
+    res.status(500).json({ error: "대리 접속 기록 조회에 실패했습니다" });
+  }
+});
+
+// 사용자 검색 (친구 추가용)
+// 정확 → 접두어 → 포함 → 오타 허용 순으로 정렬, 한글 초성 검색 지원
+// 결과마다 나와의 관계(친구/요청 중/차단, 함께 속한 워크스페이스)를 포함
+router.get("/search", authenticateToken, readScope, async (req, res) => {
+  try {
+    const { q, cursor } = req.query;
+    const query = typeof q === "string" ? q.trim() : "";
+    if (query.length < 2) {
+      return res
+        .status(400)
+        .json({ error: "검색어는 최소 2자 이상이어야 합니다" });
+    }
+    if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: `검색어는 ${SEARCH_QUERY_MAX_LENGTH}자 이하여야 합니다`,
+      });
+    }
+
+    const limit =
+      req.query.limit === undefined
+        ? SEARCH_DEFAULT_LIMIT
+        : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+      return res.status(400).json({
+        error: `limit은 1 이상 ${SEARCH_MAX_LIMIT} 이하의 정수여야 합니다`,
+      });
+    }
+
+    const result = await searchUsers(req.user.userId, query, {
+      limit,
+      cursor: typeof cursor === "string" ? cursor : null,
     });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
 
-    res.json(users);
+    res.json(result);
   } catch (error) {
     console.error("사용자 검색 오류:", error);
     res.status(500).json({ error: "사용자 검색에 실패했습니다" });
@@ -101,7 +847,7 @@ router.get("/search", authenticateToken, async (req, res) => {
 });
 
 // 사용자 상세 정보 조회 (공개 정보만)
-router.get("/:userId", authenticateToken, async (req, res) => {
+router.get("/:userId", authenticateToken, readScope, async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -113,6 +859,7 @@ router.get("/:userId", authenticateToken, async (req, res) => {
         nickname: true,
         avatar: true,
         createdAt: true,
+        ...PROFILE_SELECT,
         // 개인정보는 제외
       },
     });
@@ -131,8 +878,16 @@ router.get("/:userId", authenticateToken, async (req, res) => {
       },
     });
 
+    // 나를 차단한 사용자는 없는 사용자처럼 처리
+    if (
+      friendship?.status === BLOCKED &&
+      !isBlocker(friendship, req.user.userId)
+    ) {
+      return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+    }
+
     res.json({
-      ...user,
+      ...formatProfile(user),
       friendshipStatus: friendship ? friendship.status : null,
       isFriend: friendship?.status === "accepted" || false,
     });
@@ -142,4 +897,138 @@ router.get("/:userId", authenticateToken, async (req, res) => {
   }
 });
 
+// 사용자 접속 상태 조회 (본인, 친구, 같은 워크스페이스 멤버만)
+router.get(
+  "/:userId/presence",
+  authenticateToken,
+  readScope,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await prisma.user.findFirst({
+        where: { id: userId, isActive: true },
+        select: { id: true },
+      });
+      if (!user) {
+        return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+      }
+
+      if (!(await canViewPresence(req.user.userId, userId))) {
+        return res.status(403).json({
+          error:
+            "친구 또는 같은 워크스페이스 멤버의 접속 상태만 볼 수 있습니다",
+          code: "PRESENCE_NOT_VISIBLE",
+        });
+      }
+
+      const [presence] = await getPresence([userId]);
+      res.json(presence);
+    } catch (error) {
+      console.error("접속 상태 조회 오류:", error);
+      res.status(500).json({ error: "접속 상태 조회에 실패했습니다" });
+    }
+  }
+);
+
+// 친구가 공개한 Todo 목록 (Todo별 공개 범위 적용)
+router.get(
+  "/:userId/todos",
+  authenticateToken,
+  todosReadScope,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { status } = req.query;
+      const viewerId = req.user.userId;
+
+      const limit =
+        req.query.limit === undefined
+          ? SHARED_TODO_DEFAULT_LIMIT
+          : Number(req.query.limit);
+      if (
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > SHARED_TODO_MAX_LIMIT
+      ) {
+        return res.status(400).json({
+          error: `limit은 1 이상 ${SHARED_TODO_MAX_LIMIT} 이하의 정수여야 합니다`,
+        });
+      }
+      const offset =
+        req.query.offset === undefined ? 0 : Number(req.query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res
+          .status(400)
+          .json({ error: "offset은 0 이상의 정수여야 합니다" });
+      }
+
+      const user = await prisma.user.findFirst({
+        where: { id: userId, isActive: true },
+        select: { id: true },
+      });
+      if (!user) {
+        return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+      }
+
+      if (userId !== viewerId) {
+        const friendship = await prisma.friend.findFirst({
+          where: {
+            OR: [
+              { userId: viewerId, friendId: userId },
+              { userId, friendId: viewerId },
+            ],
+          },
+          select: { status: true, blockedById: true },
+        });
+
+        // 나를 차단한 사용자는 없는 사용자처럼 처리
+        if (
+          friendship?.status === BLOCKED &&
+          !isBlocker(friendship, viewerId)
+        ) {
+          return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
+        }
+        if (friendship?.status !== "accepted") {
+          return res.status(403).json({
+            error: "친구의 Todo만 볼 수 있습니다",
+            code: "NOT_FRIENDS",
+          });
+        }
+      }
+
+      // 본인이면 전체, 친구면 공개 범위 안의 Todo만
+      const whereClause = {
+        userId,
+        ...(userId !== viewerId && visibleTodoWhere(viewerId)),
+      };
+      if (status) whereClause.status = status;
+
+      const [todos, totalCount] = await Promise.all([
+        prisma.personalTodo.findMany({
+          where: whereClause,
+          select: SHARED_TODO_SELECT,
+          orderBy: { createdAt: "desc" },
+          take: limit,
+          skip: offset,
+        }),
+        prisma.personalTodo.count({ where: whereClause }),
+      ]);
+
+      res.json({
+        todos,
+        pagination: {
+          total: totalCount,
+          limit,
+          offset,
+          hasMore: totalCount > offset + limit,
+        },
+      });
+    } catch (error) {
+      console.error("친구 Todo 조회 오류:", error);
+      res.status(500).json({ error: "Todo 조회에 실패했습니다" });
+    }
+  }
+);
+
 module.exports = router;
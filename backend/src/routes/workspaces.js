@@ -1,16 +1,36 @@
 // src/routes/workspaces.js - 워크스페이스 라우터
 const express = require("express");
 const { prisma } = require("../config/database");
+const { config } = require("../config/env");
 const {
   authenticateToken,
+  requireScope,
   checkWorkspaceMember,
   checkWorkspaceOwner,
 } = require("../middleware/auth");
+const { getPresence } = require("../services/presence");
+const { isBlockedBetween } = require("../services/blocks");
+const {
+  ACTIVITY_TYPES,
+  recordWorkspaceActivity,
+} = require("../services/activity");
+const {
+  findOwnedGroup,
+  findGroupFriendIds,
+} = require("../services/friendGroups");
 
 const router = express.Router();
 
+// 개인 액세스 토큰 스코프
+const readScope = requireScope("workspaces:read");
+const writeScope = requireScope("workspaces:write");
+
+// 미인증 계정 정책이 block이면 이메일 미인증 사용자는 초대할 수 없음
+const isInvitableUser = (user) =>
+  user.emailVerified || config.emailVerification.unverifiedPolicy !== "block";
+
 // 워크스페이스 생성
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, writeScope, async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -40,6 +60,12 @@ router.post("/", authenticateToken, async (req, res) => {
       },
     });
 
+    await recordWorkspaceActivity(
+      req.user.userId,
+      ACTIVITY_TYPES.WORKSPACE_CREATED,
+      workspace
+    );
+
     res.status(201).json(workspace);
   } catch (error) {
     console.error("워크스페이스 생성 오류:", error);
@@ -48,7 +74,7 @@ router.post("/", authenticateToken, async (req, res) => {
 });
 
 // 내 워크스페이스 목록
-router.get("/", authenticateToken, async (req, res) => {
+router.get("/", authenticateToken, readScope, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -105,6 +131,7 @@ router.get("/", authenticateToken, async (req, res) => {
 router.get(
   "/:wsId",
   authenticateToken,
+  readScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -152,6 +179,7 @@ router.get(
 router.patch(
   "/:wsId",
   authenticateToken,
+  writeScope,
   checkWorkspaceOwner,
   async (req, res) => {
     try {
@@ -183,6 +211,7 @@ router.patch(
 router.delete(
   "/:wsId",
   authenticateToken,
+  writeScope,
   checkWorkspaceOwner,
   async (req, res) => {
     try {
@@ -204,6 +233,7 @@ router.delete(
 router.get(
   "/:wsId/members",
   authenticateToken,
+  readScope,
   checkWorkspaceMember,
   async (req, res) => {
     try {
@@ -246,10 +276,44 @@ router.get(
   }
 );
 
+// 워크스페이스 멤버 접속 상태 (멤버 목록 화면용 일괄 조회)
+router.get(
+  "/:wsId/members/presence",
+  authenticateToken,
+  readScope,
+  checkWorkspaceMember,
+  async (req, res) => {
+    try {
+      const { wsId } = req.params;
+
+      const workspace = await prisma.workspace.findUnique({
+        where: { id: wsId },
+        select: {
+          ownerId: true,
+          members: { where: { accepted: true }, select: { userId: true } },
+        },
+      });
+
+      const userIds = [
+        ...new Set([
+          workspace.ownerId,
+          ...workspace.members.map((member) => member.userId),
+        ]),
+      ];
+
+      res.json(await getPresence(userIds));
+    } catch (error) {
+      console.error("워크스페이스 접속 상태 조회 오류:", error);
+      res.status(500).json({ error: "접속 상태 조회에 실패했습니다" });
+    }
+  }
+);
+
 // 워크스페이스 멤버 초대
 router.post(
   "/:wsId/members",
   authenticateToken,
+  writeScope,
   checkWorkspaceOwner,
   async (req, res) => {
     try {
@@ -278,6 +342,13 @@ router.post(
         return res.status(404).json({ error: "사용자를 찾을 수 없습니다" });
       }
 
+      if (!isInvitableUser(targetUser)) {
+        return res.status(400).json({
+          error: "이메일 인증을 완료하지 않은 사용자는 초대할 수 없습니다",
+          code: "USER_EMAIL_NOT_VERIFIED",
+        });
+      }
+
       // 소유자 자신을 초대하려는 경우
       if (user_id === req.user.userId) {
         return res
@@ -285,6 +356,14 @@ router.post(
           .json({ error: "자기 자신을 초대할 수 없습니다" });
       }
 
+      // 차단 관계인 사용자는 초대할 수 없음 (어느 쪽이 차단했든)
+      if (await isBlockedBetween(req.user.userId, user_id)) {
+        return res.status(403).json({
+          error: "초대할 수 없는 사용자입니다",
+          code: "USER_BLOCKED",
+        });
+      }
+
       const existingMember = await prisma.workspaceMember.findFirst({
         where: { workspaceId: wsId, userId: user_id },
       });
@@ -323,6 +402,7 @@ router.post(
 router.post(
   "/:wsId/members/invite-by-email",
   authenticateToken,
+  writeScope,
   checkWorkspaceOwner,
   async (req, res) => {
     try {
@@ -361,6 +441,13 @@ router.post(
           .json({ error: "해당 이메일로 가입된 사용자를 찾을 수 없습니다" });
       }
 
+      if (!isInvitableUser(targetUser)) {
+        return res.status(400).json({
+          error: "이메일 인증을 완료하지 않은 사용자는 초대할 수 없습니다",
+          code: "USER_EMAIL_NOT_VERIFIED",
+        });
+      }
+
       // 소유자 자신을 초대하려는 경우
       if (targetUser.id === req.user.userId) {
         return res
@@ -368,6 +455,14 @@ router.post(
           .json({ error: "자기 자신을 초대할 수 없습니다" });
       }
 
+      // 차단 관계인 사용자는 초대할 수 없음 (어느 쪽이 차단했든)
+      if (await isBlockedBetween(req.user.userId, targetUser.id)) {
+        return res.status(403).json({
+          error: "초대할 수 없는 사용자입니다",
+          code: "USER_BLOCKED",
+        });
+      }
+
       // 이미 워크스페이스 멤버인지 확인
       const existingMember = await prisma.workspaceMember.findFirst({
         where: { workspaceId: wsId, userId: targetUser.id },
@@ -409,58 +504,162 @@ router.post(
   }
 );
 
-// 워크스페이스 초대 수락/거절
-router.patch("/:wsId/members/:user_id", authenticateToken, async (req, res) => {
-  try {
-    const { wsId, user_id } = req.params;
-    const { accepted } = req.body;
-    const currentUserId = req.user.userId;
-
-    if (typeof accepted !== "boolean") {
-      return res
-        .status(400)
-        .json({ error: "accepted 값은 boolean이어야 합니다" });
-    }
+// 친구 그룹 전체를 워크스페이스에 초대
+// 이미 멤버이거나 초대할 수 없는 친구는 건너뛰고 결과에 이유를 알려줌
+router.post(
+  "/:wsId/members/invite-group",
+  authenticateToken,
+  writeScope,
+  checkWorkspaceOwner,
+  async (req, res) => {
+    try {
+      const { wsId } = req.params;
+      const { group_id } = req.body;
+      const userId = req.user.userId;
 
-    if (user_id !== currentUserId) {
-      return res
-        .status(403)
-        .json({ error: "자신의 초대만 수락/거절할 수 있습니다" });
-    }
+      if (!group_id) {
+        return res.status(400).json({ error: "친구 그룹 ID가 필요합니다" });
+      }
 
-    const member = await prisma.workspaceMember.findFirst({
-      where: { workspaceId: wsId, userId: user_id },
-    });
+      if (!(await findOwnedGroup(userId, group_id))) {
+        return res.status(404).json({ error: "친구 그룹을 찾을 수 없습니다" });
+      }
 
-    if (!member) {
-      return res.status(404).json({ error: "초대를 찾을 수 없습니다" });
-    }
+      const friendIds = await findGroupFriendIds(userId, [group_id]);
+      const [friends, existingMembers] = await Promise.all([
+        prisma.user.findMany({
+          where: { id: { in: friendIds } },
+          select: {
+            id: true,
+            nickname: true,
+            avatar: true,
+            isActive: true,
+            emailVerified: true,
+          },
+        }),
+        prisma.workspaceMember.findMany({
+          where: { workspaceId: wsId, userId: { in: friendIds } },
+          select: { userId: true },
+        }),
+      ]);
+      const memberIds = new Set(existingMembers.map((member) => member.userId));
+
+      const invited = [];
+      const skipped = [];
+      for (const friend of friends) {
+        const { isActive, emailVerified, ...user } = friend;
+        if (memberIds.has(friend.id)) {
+          skipped.push({ user, reason: "ALREADY_MEMBER" });
+        } else if (!isActive) {
+          skipped.push({ user, reason: "USER_INACTIVE" });
+        } else if (!isInvitableUser(friend)) {
+          skipped.push({ user, reason: "USER_EMAIL_NOT_VERIFIED" });
+        } else {
+          invited.push(user);
+        }
+      }
 
-    if (!accepted) {
-      await prisma.workspaceMember.delete({ where: { id: member.id } });
-      return res.status(204).send();
+      if (invited.length > 0) {
+        await prisma.$transaction([
+          prisma.workspaceMember.createMany({
+            data: invited.map((user) => ({
+              workspaceId: wsId,
+              userId: user.id,
+            })),
+            skipDuplicates: true,
+          }),
+          // 새 멤버의 채팅 알림 레코드 생성
+          prisma.chatNotification.createMany({
+            data: invited.map((user) => ({
+              userId: user.id,
+              workspaceId: wsId,
+              unreadCount: 0,
+              lastReadAt: new Date(),
+            })),
+            skipDuplicates: true,
+          }),
+        ]);
+      }
+
+      res.status(201).json({
+        message: `${invited.length}명을 초대했습니다`,
+        invited,
+        skipped,
+      });
+    } catch (error) {
+      console.error("친구 그룹 워크스페이스 초대 오류:", error);
+      res.status(500).json({ error: "멤버 초대에 실패했습니다" });
     }
+  }
+);
 
-    const updatedMember = await prisma.workspaceMember.update({
-      where: { id: member.id },
-      data: { accepted: true },
-      include: {
-        user: { select: { id: true, nickname: true, avatar: true } },
-        workspace: { select: { id: true, name: true } },
-      },
-    });
+// 워크스페이스 초대 수락/거절
+router.patch(
+  "/:wsId/members/:user_id",
+  authenticateToken,
+  writeScope,
+  async (req, res) => {
+    try {
+      const { wsId, user_id } = req.params;
+      const { accepted } = req.body;
+      const currentUserId = req.user.userId;
 
-    res.json(updatedMember);
-  } catch (error) {
-    console.error("워크스페이스 초대 응답 오류:", error);
-    res.status(500).json({ error: "초대 응답에 실패했습니다" });
+      if (typeof accepted !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: "accepted 값은 boolean이어야 합니다" });
+      }
+
+      if (user_id !== currentUserId) {
+        return res
+          .status(403)
+          .json({ error: "자신의 초대만 수락/거절할 수 있습니다" });
+      }
+
+      const member = await prisma.workspaceMember.findFirst({
+        where: { workspaceId: wsId, userId: user_id },
+      });
+
+      if (!member) {
+        return res.status(404).json({ error: "초대를 찾을 수 없습니다" });
+      }
+
+      if (!accepted) {
+        await prisma.workspaceMember.delete({ where: { id: member.id } });
+        return res.status(204).send();
+      }
+
+      const updatedMember = await prisma.workspaceMember.update({
+        where: { id: member.id },
+        data: { accepted: true },
+        include: {
+          user: { select: { id: true, nickname: true, avatar: true } },
+          workspace: { select: { id: true, name: true } },
+        },
+      });
+
+      // 이미 수락한 초대를 다시 수락한 경우는 기록하지 않음
+      if (!member.accepted) {
+        await recordWorkspaceActivity(
+          currentUserId,
+          ACTIVITY_TYPES.WORKSPACE_JOINED,
+          updatedMember.workspace
+        );
+      }
+
+      res.json(updatedMember);
+    } catch (error) {
+      console.error("워크스페이스 초대 응답 오류:", error);
+      res.status(500).json({ error: "초대 응답에 실패했습니다" });
+    }
   }
-});
+);
 
 // 워크스페이스 멤버 제거
 router.delete(
   "/:wsId/members/:user_id",
   authenticateToken,
+  writeScope,
   async (req, res) => {
     try {
       const { wsId, user_id } = req.params;
@@ -506,30 +705,35 @@ router.delete(
 );
 
 // 내가 받은 워크스페이스 초대 목록
-router.get("/invitations/received", authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.userId;
+router.get(
+  "/invitations/received",
+  authenticateToken,
+  readScope,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
 
-    const invitations = await prisma.workspaceMember.findMany({
-      where: {
-        userId: userId,
-        accepted: false,
-      },
-      include: {
-        workspace: {
-          include: {
-            owner: { select: { id: true, nickname: true, avatar: true } },
+      const invitations = await prisma.workspaceMember.findMany({
+        where: {
+          userId: userId,
+          accepted: false,
+        },
+        include: {
+          workspace: {
+            include: {
+              owner: { select: { id: true, nickname: true, avatar: true } },
+            },
           },
         },
-      },
-      orderBy: { joinedAt: "desc" },
-    });
+        orderBy: { joinedAt: "desc" },
+      });
 
-    res.json(invitations);
-  } catch (error) {
-    console.error("워크스페이스 초대 목록 조회 오류:", error);
-    res.status(500).json({ error: "초대 목록 조회에 실패했습니다" });
+      res.json(invitations);
+    } catch (error) {
+      console.error("워크스페이스 초대 목록 조회 오류:", error);
+      res.status(500).json({ error: "초대 목록 조회에 실패했습니다" });
+    }
   }
-});
+);
 
 module.exports = router;
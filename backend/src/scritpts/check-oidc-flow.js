@@ -0,0 +1,95 @@
+// check-oidc-flow.js - 로컬 mock IdP로 SSO 로그인 흐름 점검
+// 인가 요청 → IdP 자동 승인 → 콜백 → 티켓 교환을 브라우저 대신 순서대로 호출합니다.
+//
+//   npm run oidc:mock      # 다른 터미널에서 mock IdP 실행
+//   npm run dev            # OIDC_PROVIDERS=mock 설정으로 백엔드 실행
+//   npm run oidc:check
+//
+// 환경변수: OIDC_CHECK_API_URL (기본 http://localhost:4000),
+//           OIDC_CHECK_PROVIDER (기본 mock), OIDC_CHECK_EMAIL (기본 sso-check@example.com)
+const API_URL = process.env.OIDC_CHECK_API_URL || "http://localhost:4000";
+const PROVIDER = process.env.OIDC_CHECK_PROVIDER || "mock";
+const EMAIL = process.env.OIDC_CHECK_EMAIL || "sso-check@example.com";
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+}
+
+// 리다이렉트를 따라가지 않고 Location 헤더를 확인
+async function redirectOf(url, headers = {}) {
+  const response = await fetch(url, { redirect: "manual", headers });
+  const location = response.headers.get("location");
+  if (response.status !== 302 || !location) {
+    throw new Error(`리다이렉트 응답이 아닙니다 (${response.status}): ${url}`);
+  }
+  return { location: new URL(location, url), response };
+}
+
+async function main() {
+  // 1. 인가 요청: IdP로 리다이렉트 + 브라우저 확인 쿠키
+  const authorize = await redirectOf(
+    `${API_URL}/auth/oidc/${PROVIDER}/authorize?login_hint=${encodeURIComponent(
+      EMAIL
+    )}`
+  );
+  const bindingCookie = (authorize.response.headers.get("set-cookie") || "")
+    .split(";")[0]
+    .trim();
+  check(
+    bindingCookie.startsWith("oidc_binding="),
+    "인가 요청 시 oidc_binding 쿠키 설정"
+  );
+
+  // 2. IdP 자동 승인 → 백엔드 콜백 주소
+  const { location: callbackUrl } = await redirectOf(authorize.location);
+  check(
+    callbackUrl.searchParams.get("code") &&
+      callbackUrl.searchParams.get("state"),
+    "IdP가 인가 코드와 state를 콜백으로 전달"
+  );
+
+  // 3. 쿠키 없는 브라우저의 콜백은 거부
+  const { location: rejected } = await redirectOf(callbackUrl.toString());
+  check(
+    rejected.searchParams.get("error") === "OIDC_INVALID_STATE",
+    "인가 요청을 시작하지 않은 브라우저의 콜백 거부"
+  );
+
+  // 4. 같은 브라우저의 콜백 → 프론트엔드로 일회용 티켓 전달
+  const { location: frontendUrl } = await redirectOf(callbackUrl.toString(), {
+    Cookie: bindingCookie,
+  });
+  const ticket = frontendUrl.searchParams.get("ticket");
+  check(
+    ticket,
+    `콜백 후 로그인 티켓 발급 (${frontendUrl.searchParams.get("error") || "ok"})`
+  );
+
+  // 5. 티켓 교환 → 토큰 (2단계 인증 사용자는 challengeToken)
+  const exchange = async () =>
+    fetch(`${API_URL}/auth/oidc/exchange`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ticket }),
+    });
+  const first = await exchange();
+  const body = await first.json();
+  check(
+    first.status === 200 && (body.accessToken || body.twoFactorRequired),
+    "티켓을 액세스 토큰(또는 2단계 인증 요청)으로 교환"
+  );
+
+  // 6. 티켓은 한 번만 사용 가능
+  const second = await exchange();
+  check(second.status === 401, "사용한 티켓 재사용 거부");
+
+  console.log(`🎉 SSO 로그인 흐름 점검 완료: ${body.user?.email || EMAIL}`);
+}
+
+main().catch((error) => {
+  console.error("❌ SSO 로그인 흐름 점검 실패:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// generate-jwt-key.js - 액세스 토큰 서명 키 생성 (키 교체용)
+//
+//   npm run jwt:keygen            # JWT_ALGORITHM(기본 RS256) 형식의 새 키 생성
+//   npm run jwt:keygen -- ES256
+//
+// 무중단 키 교체 순서
+// 1. 새 키를 생성해 모든 서버의 JWT_KEYS_DIR에 배포 후 재시작
+//    (JWT_ACTIVE_KID는 그대로 → 새 키는 검증에만 사용, JWKS에 미리 공개됨)
+// 2. JWT_ACTIVE_KID를 새 kid로 바꾸고 재시작 → 새 키로 서명 시작
+// 3. 액세스 토큰 만료 시간(ACCESS_TOKEN_EXPIRY)이 지나면 이전 키 파일 삭제
+//    (삭제 전에 <kid>.public.pem만 남겨 검증 전용으로 둘 수도 있음)
+const fs = require("fs");
+const path = require("path");
+const {
+  ASYMMETRIC_ALGORITHMS,
+  generateKeyPair,
+  generateKid,
+} = require("../services/jwtKeys");
+
+const algorithm =
+  process.argv[2] ||
+  (ASYMMETRIC_ALGORITHMS.includes(process.env.JWT_ALGORITHM)
+    ? process.env.JWT_ALGORITHM
+    : "RS256");
+
+if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+  console.error(`❌ 지원하지 않는 알고리즘입니다: ${algorithm} (RS256, ES256)`);
+  process.exit(1);
+}
+
+const keysDir = path.resolve(process.env.JWT_KEYS_DIR || "keys/jwt");
+const kid = generateKid();
+const { privateKey } = generateKeyPair(algorithm);
+
+fs.mkdirSync(keysDir, { recursive: true });
+const keyPath = path.join(keysDir, `${kid}.pem`);
+fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), {
+  mode: 0o600,
+});
+
+console.log(`🔑 ${algorithm} 서명 키 생성: ${keyPath}`);
+console.log(`   kid: ${kid}`);
+console.log(
+  "   모든 서버에 배포한 뒤 JWT_ACTIVE_KID=" + kid + " 로 전환하세요."
+);
@@ -0,0 +1,189 @@
+// mock-oidc-provider.js - 로컬 개발/테스트용 OIDC IdP
+// 실제 IdP 없이 SSO 로그인 흐름(인가 코드 + PKCE)을 확인할 때 사용합니다.
+//
+//   npm run oidc:mock
+//
+// 백엔드 .env 예시:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_NAME=Mock IdP
+//   OIDC_MOCK_ISSUER=http://localhost:4010
+//   OIDC_MOCK_CLIENT_ID=mock-client
+//   OIDC_MOCK_TRUST_EMAIL=true
+//
+// 인가 요청은 동의 화면 없이 자동 승인되며, 로그인할 사용자는
+// login_hint 파라미터(이메일)나 MOCK_OIDC_EMAIL 환경변수로 지정합니다.
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "mock-client";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "";
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "sso-user@example.com";
+const CODE_TTL_MS = 60 * 1000;
+
+// 실행할 때마다 새 서명 키 생성
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString("hex");
+const publicJwk = {
+  ...publicKey.export({ format: "jwk" }),
+  kid,
+  alg: "RS256",
+  use: "sig",
+};
+
+// 발급한 인가 코드 (일회용)
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+      "none",
+    ],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+// 자동 승인: 바로 redirect_uri로 인가 코드를 돌려줌
+app.get("/authorize", (req, res) => {
+  const {
+    response_type,
+    client_id,
+    redirect_uri,
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method,
+    login_hint,
+  } = req.query;
+
+  if (response_type !== "code" || client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  if (!code_challenge || code_challenge_method !== "S256") {
+    return res.status(400).json({
+      error: "invalid_request",
+      error_description: "PKCE (S256) is required",
+    });
+  }
+
+  const email = (login_hint || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+
+  console.log("[mock-oidc] 인가 코드 발급:", email);
+  res.redirect(url.toString());
+});
+
+// 클라이언트 인증 (client_secret_basic / client_secret_post / public)
+function authenticateClient(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+    return id === CLIENT_ID && (!CLIENT_SECRET || secret === CLIENT_SECRET);
+  }
+
+  return (
+    req.body.client_id === CLIENT_ID &&
+    (!CLIENT_SECRET || req.body.client_secret === CLIENT_SECRET)
+  );
+}
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+
+  if (!authenticateClient(req)) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  if (grant_type !== "authorization_code") {
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  }
+
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  if (
+    !issued ||
+    issued.expiresAt < Date.now() ||
+    issued.redirectUri !== redirect_uri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const expectedChallenge = crypto
+    .createHash("sha256")
+    .update(code_verifier || "")
+    .digest("base64url");
+  if (expectedChallenge !== issued.codeChallenge) {
+    return res.status(400).json({
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(issued.email).digest("hex"),
+      email: issued.email,
+      email_verified: true,
+      name: issued.email.split("@")[0],
+      nonce: issued.nonce,
+      amr: ["pwd"],
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC IdP 실행 중: ${ISSUER}`);
+  console.log(`   client_id: ${CLIENT_ID}`);
+});
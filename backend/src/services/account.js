@@ -0,0 +1,378 @@
+// src/services/account.js - 개인 데이터 내보내기 및 회원 탈퇴(유예 후 삭제)
+const { Prisma } = require("@prisma/client");
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+const { PROFILE_SELECT } = require("./profile");
+const { removeAvatarFiles } = require("./avatar");
+
+// ===============================================
+//   데이터 내보내기
+// ===============================================
+
+/**
+ * 사용자 본인의 데이터를 모읍니다.
+ * 비밀번호 해시, 2단계 인증 시크릿, 토큰 해시 등 인증 정보는 포함하지 않습니다.
+ */
+async function collectUserData(userId) {
+  const [profile, todos, friendships, memberships, ownedWorkspaces, messages] =
+    await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          nickname: true,
+          avatar: true,
+          role: true,
+          emailVerified: true,
+          twoFactorEnabled: true,
+          lastLogin: true,
+          createdAt: true,
+          updatedAt: true,
+          ...PROFILE_SELECT,
+          identities: {
+            select: { provider: true, email: true, createdAt: true },
+          },
+        },
+      }),
+      prisma.personalTodo.findMany({
+        where: { userId },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.friend.findMany({
+        where: { OR: [{ userId }, { friendId: userId }] },
+        include: {
+          user: { select: { id: true, nickname: true, email: true } },
+          friend: { select: { id: true, nickname: true, email: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.workspaceMember.findMany({
+        where: { userId },
+        include: { workspace: { select: { id: true, name: true } } },
+        orderBy: { joinedAt: "asc" },
+      }),
+      prisma.workspace.findMany({
+        where: { ownerId: userId },
+        select: { id: true, name: true, createdAt: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.chatMessage.findMany({
+        where: { userId },
+        include: { workspace: { select: { id: true, name: true } } },
+        orderBy: { createdAt: "asc" },
+      }),
+    ]);
+
+  const friendGroups = await prisma.friendGroup.findMany({
+    where: { ownerId: userId },
+    select: {
+      id: true,
+      name: true,
+      color: true,
+      createdAt: true,
+      members: { select: { user: { select: { id: true, nickname: true } } } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const directMessages = await prisma.directMessage.findMany({
+    where: { senderId: userId },
+    include: {
+      conversation: {
+        include: {
+          userA: { select: { id: true, nickname: true } },
+          userB: { select: { id: true, nickname: true } },
+        },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return {
+    profile,
+    todos,
+    friendships: friendships.map((friendship) => ({
+      id: friendship.id,
+      direction: friendship.userId === userId ? "sent" : "received",
+      status: friendship.status,
+      counterpart:
+        friendship.userId === userId ? friendship.friend : friendship.user,
+      createdAt: friendship.createdAt,
+      updatedAt: friendship.updatedAt,
+    })),
+    friendGroups: friendGroups.map(({ members, ...group }) => ({
+      ...group,
+      members: members.map((member) => member.user),
+    })),
+    workspaces: {
+      owned: ownedWorkspaces,
+      memberships: memberships.map((membership) => ({
+        workspace: membership.workspace,
+        accepted: membership.accepted,
+        joinedAt: membership.joinedAt,
+      })),
+    },
+    chatMessages: messages.map((message) => ({
+      id: message.id,
+      workspace: message.workspace,
+      content: message.content,
+      createdAt: message.createdAt,
+    })),
+    directMessages: directMessages.map(({ conversation, ...message }) => ({
+      id: message.id,
+      conversationId: conversation.id,
+      recipient:
+        conversation.userAId === userId
+          ? conversation.userB
+          : conversation.userA,
+      content: message.content,
+      createdAt: message.createdAt,
+    })),
+  };
+}
+
+// ZIP 아카이브에 담을 파일 목록
+function buildExportFiles(data, exportedAt) {
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  return [
+    {
+      name: "README.txt",
+      content: [
+        "Team Collaboration 개인 데이터 내보내기",
+        `내보낸 시각: ${exportedAt.toISOString()}`,
+        "",
+        "profile.json     - 프로필, 연결된 외부 계정",
+        "todos.json       - 개인 Todo",
+        "friendships.json - 친구 관계 및 요청",
+        "friend-groups.json - 친구 그룹",
+        "workspaces.json  - 소유/참여 중인 워크스페이스",
+        "chat-messages.json - 작성한 채팅 메시지",
+        "direct-messages.json - 보낸 1:1 메시지",
+      ].join("\n"),
+    },
+    { name: "profile.json", content: json(data.profile) },
+    { name: "todos.json", content: json(data.todos) },
+    { name: "friendships.json", content: json(data.friendships) },
+    { name: "friend-groups.json", content: json(data.friendGroups) },
+    { name: "workspaces.json", content: json(data.workspaces) },
+    { name: "chat-messages.json", content: json(data.chatMessages) },
+    { name: "direct-messages.json", content: json(data.directMessages) },
+  ];
+}
+
+// ===============================================
+//   회원 탈퇴
+// ===============================================
+
+// 워크스페이스의 다른 승인된 멤버 (가입 순)
+function findOtherMembers(workspaceId, userId) {
+  return prisma.workspaceMember.findMany({
+    where: {
+      workspaceId,
+      accepted: true,
+      userId: { not: userId },
+      user: { isActive: true, deletionScheduledAt: null },
+    },
+    orderBy: { joinedAt: "asc" },
+    select: { userId: true },
+  });
+}
+
+/**
+ * 소유한 워크스페이스 처리 계획을 검증합니다.
+ * - delete: 소유한 워크스페이스를 모두 삭제 (Task, 채팅 포함)
+ * - transfer: transfers[wsId]로 지정한 멤버에게 소유권 이전.
+ *   다른 멤버가 없는 워크스페이스는 삭제됩니다.
+ * 반환값 { plan, workspaces } 또는 { errors }
+ */
+async function planWorkspaceHandover(userId, workspacePolicy, transfers = {}) {
+  if (!["transfer", "delete"].includes(workspacePolicy)) {
+    return {
+      errors: [
+        {
+          code: "INVALID_WORKSPACE_POLICY",
+          message: "workspacePolicy는 transfer 또는 delete 이어야 합니다",
+        },
+      ],
+    };
+  }
+
+  const ownedWorkspaces = await prisma.workspace.findMany({
+    where: { ownerId: userId },
+    select: { id: true, name: true },
+  });
+
+  const errors = [];
+  const workspaces = [];
+
+  for (const workspace of ownedWorkspaces) {
+    if (workspacePolicy === "delete") {
+      workspaces.push({ ...workspace, action: "delete" });
+      continue;
+    }
+
+    const members = await findOtherMembers(workspace.id, userId);
+    if (members.length === 0) {
+      workspaces.push({ ...workspace, action: "delete" });
+      continue;
+    }
+
+    const newOwnerId = transfers?.[workspace.id];
+    if (!newOwnerId || !members.some((m) => m.userId === newOwnerId)) {
+      errors.push({
+        code: "WORKSPACE_NEW_OWNER_REQUIRED",
+        message: `워크스페이스 '${workspace.name}'의 새 소유자를 멤버 중에서 지정해주세요`,
+        workspaceId: workspace.id,
+      });
+      continue;
+    }
+
+    workspaces.push({ ...workspace, action: "transfer", newOwnerId });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    plan: {
+      workspacePolicy,
+      transfers: Object.fromEntries(
+        workspaces
+          .filter((workspace) => workspace.action === "transfer")
+          .map((workspace) => [workspace.id, workspace.newOwnerId])
+      ),
+    },
+    workspaces,
+  };
+}
+
+/**
+ * 탈퇴를 예약합니다. 유예 기간 동안은 다시 로그인해 취소할 수 있고,
+ * 모든 로그인 세션과 개인 액세스 토큰은 즉시 폐기됩니다.
+ */
+async function scheduleAccountDeletion(userId, plan) {
+  const requestedAt = new Date();
+  const scheduledAt = new Date(
+    requestedAt.getTime() +
+      config.accountDeletion.graceDays * 24 * 60 * 60 * 1000
+  );
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        deletionRequestedAt: requestedAt,
+        deletionScheduledAt: scheduledAt,
+        deletionPlan: plan,
+      },
+    }),
+    prisma.refreshToken.deleteMany({ where: { userId } }),
+    prisma.personalAccessToken.deleteMany({ where: { userId } }),
+  ]);
+
+  return scheduledAt;
+}
+
+async function cancelAccountDeletion(userId) {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, deletionScheduledAt: { not: null } },
+    data: {
+      deletionRequestedAt: null,
+      deletionScheduledAt: null,
+      deletionPlan: Prisma.DbNull,
+    },
+  });
+  return count > 0;
+}
+
+/**
+ * 예약된 사용자 한 명을 삭제합니다.
+ * 워크스페이스 소유권을 먼저 이전한 뒤 사용자를 삭제하면,
+ * 나머지 데이터(Todo, 친구, 멤버십, 작성한 메시지, 토큰 등)는
+ * schema.prisma의 onDelete: Cascade 관계에 따라 함께 삭제됩니다.
+ * 이전 대상이 그 사이 워크스페이스를 떠났다면 가장 오래된 다른 멤버에게 넘기고,
+ * 멤버가 없으면 워크스페이스도 함께 삭제됩니다.
+ */
+async function deleteAccount(user) {
+  const transfers = user.deletionPlan?.transfers || {};
+  const ownedWorkspaces = await prisma.workspace.findMany({
+    where: { ownerId: user.id },
+    select: { id: true },
+  });
+
+  // 트랜잭션 전에 워크스페이스별 새 소유자 결정
+  const handovers = [];
+  for (const workspace of ownedWorkspaces) {
+    const members =
+      user.deletionPlan?.workspacePolicy === "transfer"
+        ? await findOtherMembers(workspace.id, user.id)
+        : [];
+    const newOwner =
+      members.find((member) => member.userId === transfers[workspace.id]) ||
+      members[0];
+    handovers.push({ workspaceId: workspace.id, newOwner });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    for (const { workspaceId, newOwner } of handovers) {
+      if (!newOwner) continue; // 사용자 삭제 시 cascade로 삭제
+
+      // 새 소유자는 멤버 목록에서 빼고 소유자로 지정
+      await tx.workspaceMember.deleteMany({
+        where: { workspaceId, userId: newOwner.userId },
+      });
+      await tx.workspace.update({
+        where: { id: workspaceId },
+        data: { ownerId: newOwner.userId },
+      });
+    }
+
+    await tx.user.delete({ where: { id: user.id } });
+  });
+
+  await removeAvatarFiles(user.id, user.avatarVersion);
+
+  const transferred = handovers.filter((handover) => handover.newOwner).length;
+  return {
+    transferredWorkspaces: transferred,
+    deletedWorkspaces: handovers.length - transferred,
+  };
+}
+
+// 유예 기간이 끝난 탈퇴 요청 처리 (주기적으로 실행)
+async function processScheduledDeletions() {
+  const users = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: {
+      id: true,
+      email: true,
+      deletionPlan: true,
+      avatarVersion: true,
+    },
+  });
+
+  let deleted = 0;
+  for (const user of users) {
+    try {
+      const result = await deleteAccount(user);
+      deleted++;
+      console.log("🗑️  회원 탈퇴 처리 완료:", user.email, result);
+    } catch (error) {
+      console.error("회원 탈퇴 처리 실패:", user.email, error);
+    }
+  }
+
+  return { deletedAccounts: deleted };
+}
+
+module.exports = {
+  collectUserData,
+  buildExportFiles,
+  planWorkspaceHandover,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  processScheduledDeletions,
+};
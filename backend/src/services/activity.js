@@ -0,0 +1,183 @@
+// src/services/activity.js - 친구 활동 피드 (Todo 완료, 새 워크스페이스, 마일스톤)
+//
+// 활동은 Todo/워크스페이스 라우트에서 서버가 직접 기록하며, 클라이언트 소켓 이벤트는 사용하지 않습니다.
+// 사용자의 activityVisibility가 "private"이면 기록하지 않고, 이미 기록된 활동도 피드에서 숨깁니다.
+// Todo 완료 활동은 해당 Todo의 공개 범위 안의 친구에게만 보입니다.
+const { prisma } = require("../config/database");
+const { emitToUsers, findFriendIds } = require("./realtime");
+const { visibleTodoWhere, findTodoAudience } = require("./todoVisibility");
+
+const ACTIVITY_TYPES = {
+  TODO_COMPLETED: "todo_completed",
+  TODO_MILESTONE: "todo_milestone",
+  WORKSPACE_CREATED: "workspace_created",
+  WORKSPACE_JOINED: "workspace_joined",
+};
+
+// friends: 친구에게 공개, private: 공개하지 않음
+const ACTIVITY_VISIBILITIES = ["friends", "private"];
+
+// 완료한 Todo 누적 개수 마일스톤
+const TODO_MILESTONES = [10, 50, 100, 500, 1000];
+
+const ACTIVITY_DEFAULT_LIMIT = 20;
+const ACTIVITY_MAX_LIMIT = 50;
+
+const ACTIVITY_SELECT = {
+  id: true,
+  type: true,
+  data: true,
+  createdAt: true,
+  user: { select: { id: true, nickname: true, avatar: true } },
+};
+
+// 활동을 공개하는 사용자인지
+async function isSharingActivity(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { activityVisibility: true },
+  });
+  return user?.activityVisibility === "friends";
+}
+
+/**
+ * 활동 기록 및 친구에게 friend_activity 이벤트 전송
+ * 활동 기록은 부가 기능이므로 실패해도 호출한 요청은 계속 처리되도록 오류는 로그만 남깁니다.
+ * events: [{ type, todoId?, workspaceId?, data, audience? }]
+ * audience를 주면 모든 친구 대신 그 사용자들에게만 이벤트를 보냅니다.
+ */
+async function recordActivityEvents(userId, events) {
+  if (events.length === 0) return;
+
+  try {
+    if (!(await isSharingActivity(userId))) return;
+
+    const friendIds = await findFriendIds(userId);
+    for (const { audience, ...event } of events) {
+      const activity = await prisma.activityEvent.create({
+        data: { userId, ...event },
+        select: ACTIVITY_SELECT,
+      });
+      emitToUsers(audience || friendIds, "friend_activity", activity);
+    }
+  } catch (error) {
+    console.error("활동 기록 실패:", error.message);
+  }
+}
+
+/**
+ * Todo 완료 활동 기록 (완료 상태로 바뀐 Todo 목록)
+ * 같은 Todo를 다시 완료해도 중복 기록하지 않으며, 누적 완료 개수가 마일스톤에 도달하면 함께 기록합니다.
+ * 나만 보기(private) Todo는 완료 활동을 남기지 않지만 마일스톤 개수에는 포함됩니다.
+ */
+async function recordTodosCompleted(userId, todos) {
+  if (todos.length === 0) return;
+
+  try {
+    const existing = await prisma.activityEvent.findMany({
+      where: {
+        type: ACTIVITY_TYPES.TODO_COMPLETED,
+        todoId: { in: todos.map((todo) => todo.id) },
+      },
+      select: { todoId: true },
+    });
+    const recorded = new Set(existing.map((event) => event.todoId));
+
+    const events = [];
+    for (const todo of todos) {
+      if (recorded.has(todo.id) || todo.visibility === "private") continue;
+      events.push({
+        type: ACTIVITY_TYPES.TODO_COMPLETED,
+        todoId: todo.id,
+        data: { title: todo.title },
+        audience: await findTodoAudience(todo),
+      });
+    }
+
+    const completedCount = await prisma.personalTodo.count({
+      where: { userId, status: "completed" },
+    });
+    const reached = TODO_MILESTONES.filter(
+      (milestone) =>
+        milestone <= completedCount && milestone > completedCount - todos.length
+    );
+    if (reached.length > 0) {
+      const previous = await prisma.activityEvent.findMany({
+        where: { userId, type: ACTIVITY_TYPES.TODO_MILESTONE },
+        select: { data: true },
+      });
+      const achieved = new Set(previous.map((event) => event.data?.count));
+      for (const milestone of reached) {
+        if (achieved.has(milestone)) continue;
+        events.push({
+          type: ACTIVITY_TYPES.TODO_MILESTONE,
+          data: { count: milestone },
+        });
+      }
+    }
+
+    await recordActivityEvents(userId, events);
+  } catch (error) {
+    console.error("Todo 완료 활동 기록 실패:", error.message);
+  }
+}
+
+// 워크스페이스 생성/참여 활동 기록
+function recordWorkspaceActivity(userId, type, workspace) {
+  return recordActivityEvents(userId, [
+    {
+      type,
+      workspaceId: workspace.id,
+      data: { name: workspace.name },
+    },
+  ]);
+}
+
+/**
+ * 친구 활동 피드 (최신순)
+ * cursor: 이전 응답의 nextCursor (그 활동보다 오래된 활동을 조회)
+ * 반환값 { activities, nextCursor } 또는 { error, code }
+ */
+async function getFriendActivity(userId, { limit, cursor }) {
+  if (cursor) {
+    const cursorEvent = await prisma.activityEvent.findUnique({
+      where: { id: cursor },
+      select: { id: true },
+    });
+    if (!cursorEvent) {
+      return { error: "잘못된 cursor입니다", code: "INVALID_CURSOR" };
+    }
+  }
+
+  const friendIds = await findFriendIds(userId);
+  if (friendIds.length === 0) return { activities: [], nextCursor: null };
+
+  const activities = await prisma.activityEvent.findMany({
+    where: {
+      userId: { in: friendIds },
+      user: { isActive: true, activityVisibility: "friends" },
+      OR: [{ todoId: null }, { todo: visibleTodoWhere(userId) }],
+    },
+    select: ACTIVITY_SELECT,
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  });
+
+  const hasMore = activities.length > limit;
+  const page = activities.slice(0, limit);
+  return {
+    activities: page,
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  ACTIVITY_VISIBILITIES,
+  ACTIVITY_DEFAULT_LIMIT,
+  ACTIVITY_MAX_LIMIT,
+  recordTodosCompleted,
+  recordWorkspaceActivity,
+  getFriendActivity,
+};
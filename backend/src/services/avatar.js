@@ -0,0 +1,156 @@
+// src/services/avatar.js - 프로필 이미지 업로드 처리 (형식 검증, EXIF 제거, 썸네일 생성)
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+const { getAvatarStorage } = require("./avatarStorage");
+
+// 허용하는 이미지 형식과 파일 시그니처(매직 바이트)
+const IMAGE_SIGNATURES = [
+  { type: "image/jpeg", offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  {
+    type: "image/png",
+    offset: 0,
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/gif", offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { type: "image/webp", offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // WEBP
+];
+
+// 압축 폭탄 방지: 디코딩할 최대 픽셀 수
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * 파일 내용으로 이미지 형식을 판별합니다.
+ * 클라이언트가 보낸 Content-Type이나 파일 이름은 신뢰하지 않습니다.
+ */
+function detectImageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(({ offset, bytes }) =>
+    bytes.every((byte, index) => buffer[offset + index] === byte)
+  );
+
+  // WEBP는 RIFF 컨테이너 안에 있으므로 앞부분도 확인
+  if (
+    match?.type === "image/webp" &&
+    buffer.toString("ascii", 0, 4) !== "RIFF"
+  ) {
+    return null;
+  }
+
+  return match ? match.type : null;
+}
+
+function avatarKeys(userId, version) {
+  return config.avatar.sizes.map((size) => `${userId}/${version}-${size}.webp`);
+}
+
+// 크기별 이미지 주소 ({ "256": url, ... }), 업로드한 이미지가 없으면 null
+function getAvatarUrls(user) {
+  if (!user.avatarVersion) return null;
+
+  const storage = getAvatarStorage();
+  const keys = avatarKeys(user.id, user.avatarVersion);
+  return Object.fromEntries(
+    config.avatar.sizes.map((size, index) => [
+      size,
+      storage.getUrl(keys[index]),
+    ])
+  );
+}
+
+/**
+ * 정사각형 썸네일을 크기별로 생성합니다.
+ * EXIF 방향대로 회전한 뒤 WebP로 다시 인코딩하므로 EXIF/GPS 등 메타데이터는 남지 않습니다.
+ * 움직이는 GIF/WebP는 첫 프레임만 사용합니다.
+ */
+async function createThumbnails(buffer) {
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  return Promise.all(
+    config.avatar.sizes.map((size) =>
+      image
+        .clone()
+        .resize(size, size, { fit: "cover", position: "attention" })
+        .webp({ quality: 85 })
+        .toBuffer()
+    )
+  );
+}
+
+/**
+ * 새 프로필 이미지를 저장하고 이전 파일을 삭제합니다.
+ * 반환값 { version, avatar, urls } 또는 { error, code, status }
+ */
+async function replaceAvatar(userId, buffer) {
+  if (!detectImageType(buffer)) {
+    return {
+      status: 415,
+      code: "UNSUPPORTED_IMAGE_TYPE",
+      error: "JPEG, PNG, GIF, WebP 이미지만 업로드할 수 있습니다",
+    };
+  }
+
+  let thumbnails;
+  try {
+    thumbnails = await createThumbnails(buffer);
+  } catch (error) {
+    console.error("프로필 이미지 처리 실패:", error.message);
+    return {
+      status: 400,
+      code: "INVALID_IMAGE",
+      error: "이미지를 처리할 수 없습니다. 손상되었거나 너무 큰 이미지입니다",
+    };
+  }
+
+  const current = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { avatarVersion: true },
+  });
+
+  const storage = getAvatarStorage();
+  const version = crypto.randomBytes(8).toString("hex");
+  const keys = avatarKeys(userId, version);
+
+  await Promise.all(
+    keys.map((key, index) => storage.save(key, thumbnails[index], "image/webp"))
+  );
+
+  // 동시에 다른 업로드가 먼저 반영되었다면 이번 파일은 버림
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, avatarVersion: current.avatarVersion },
+    data: { avatar: storage.getUrl(keys[0]), avatarVersion: version },
+  });
+
+  if (count === 0) {
+    await storage.remove(keys);
+    return {
+      status: 409,
+      code: "AVATAR_UPDATE_CONFLICT",
+      error:
+        "다른 요청에서 프로필 이미지가 먼저 변경되었습니다. 다시 시도해주세요",
+    };
+  }
+
+  if (current.avatarVersion) {
+    await storage.remove(avatarKeys(userId, current.avatarVersion));
+  }
+
+  return {
+    version,
+    avatar: storage.getUrl(keys[0]),
+    urls: getAvatarUrls({ id: userId, avatarVersion: version }),
+  };
+}
+
+// 업로드했던 이미지 파일 삭제 (프로필 이미지 삭제/외부 주소로 변경/회원 삭제 시)
+async function removeAvatarFiles(userId, version) {
+  if (!version) return;
+  await getAvatarStorage().remove(avatarKeys(userId, version));
+}
+
+module.exports = {
+  detectImageType,
+  getAvatarUrls,
+  replaceAvatar,
+  removeAvatarFiles,
+};
@@ -0,0 +1,82 @@
+// src/services/avatarStorage.js - 프로필 이미지 저장소 (저장 방식 교체 가능)
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/env");
+
+/**
+ * 저장소(storage)는 모두 같은 인터페이스를 구현합니다.
+ * - save(key, buffer, contentType) → 저장
+ * - remove(keys) → 삭제 (없는 파일은 무시)
+ * - getUrl(key) → 클라이언트가 접근할 주소
+ * key는 "<userId>/<version>-<size>.webp" 형식의 상대 경로입니다.
+ * S3 등 외부 저장소를 쓰려면 같은 인터페이스로 구현해 setAvatarStorage로 교체합니다.
+ */
+function createLocalStorage(directory, publicBaseUrl) {
+  const root = path.resolve(directory);
+
+  // key가 저장 디렉터리 밖을 가리키지 않도록 확인
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`잘못된 저장소 키입니다: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    directory: root,
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async remove(keys) {
+      await Promise.all(
+        keys.map((key) =>
+          fs.promises.rm(resolveKey(key), { force: true }).catch((error) => {
+            console.error("프로필 이미지 파일 삭제 실패:", key, error.message);
+          })
+        )
+      );
+    },
+    getUrl(key) {
+      return `${publicBaseUrl.replace(/\/$/, "")}/${key}`;
+    },
+  };
+}
+
+function createAvatarStorage(avatarConfig = config.avatar) {
+  switch (avatarConfig.storage) {
+    case "local":
+      return createLocalStorage(
+        avatarConfig.localDir,
+        avatarConfig.publicBaseUrl
+      );
+    default:
+      throw new Error(
+        `지원하지 않는 프로필 이미지 저장소입니다: ${avatarConfig.storage}`
+      );
+  }
+}
+
+let storage = null;
+
+function getAvatarStorage() {
+  if (!storage) {
+    storage = createAvatarStorage();
+    console.log(`🖼️  프로필 이미지 저장소: ${storage.name}`);
+  }
+  return storage;
+}
+
+// 테스트 등에서 저장소를 직접 교체할 때 사용
+function setAvatarStorage(customStorage) {
+  storage = customStorage;
+}
+
+module.exports = {
+  createAvatarStorage,
+  getAvatarStorage,
+  setAvatarStorage,
+};
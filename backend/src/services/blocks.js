@@ -0,0 +1,163 @@
+// src/services/blocks.js - 사용자 차단 (친구, 사용자 검색, 워크스페이스 초대, 실시간 알림 공통)
+//
+// 차단은 두 사용자 사이의 friends 행을 status "blocked"로 바꿔 저장하며,
+// blockedById가 차단한 사람입니다. blockedById가 없으면 서로 차단한 상태로 봅니다.
+// (차단한 사람을 기록하기 전의 데이터도 같은 의미로 처리)
+const { prisma } = require("../config/database");
+
+const BLOCKED = "blocked";
+
+// 두 사용자 사이의 관계 행 조건 (방향 무관)
+const betweenWhere = (userId, otherUserId) => ({
+  OR: [
+    { userId, friendId: otherUserId },
+    { userId: otherUserId, friendId: userId },
+  ],
+});
+
+// userId가 차단한 쪽인 관계 조건 (서로 차단 포함)
+const blockedByWhere = (userId) => ({
+  status: BLOCKED,
+  OR: [{ blockedById: null }, { blockedById: userId }],
+});
+
+// 상대가 userId를 차단한 관계 조건 (서로 차단 포함)
+const blockedByOtherWhere = (userId) => ({
+  status: BLOCKED,
+  OR: [{ blockedById: null }, { blockedById: { not: userId } }],
+});
+
+/**
+ * 사용자 조회 조건: userId를 차단한 사용자 제외
+ * 예: prisma.user.findMany({ where: { ...excludeBlockersWhere(me), ... } })
+ */
+function excludeBlockersWhere(userId) {
+  return {
+    NOT: [
+      {
+        sentFriendRequests: {
+          some: { friendId: userId, ...blockedByOtherWhere(userId) },
+        },
+      },
+      {
+        receivedFriendRequests: {
+          some: { userId, ...blockedByOtherWhere(userId) },
+        },
+      },
+    ],
+  };
+}
+
+// 두 사용자 사이에 차단 관계가 있는지 (어느 쪽이 차단했든)
+async function isBlockedBetween(userId, otherUserId) {
+  const block = await prisma.friend.findFirst({
+    where: { ...betweenWhere(userId, otherUserId), status: BLOCKED },
+    select: { id: true },
+  });
+  return !!block;
+}
+
+// userId와 차단 관계가 있는 사용자 ID 목록 (어느 쪽이 차단했든)
+async function findBlockedRelationIds(userId) {
+  const blocks = await prisma.friend.findMany({
+    where: { status: BLOCKED, OR: [{ userId }, { friendId: userId }] },
+    select: { userId: true, friendId: true },
+  });
+  return blocks.map((block) =>
+    block.userId === userId ? block.friendId : block.userId
+  );
+}
+
+// 관계 행에서 userId가 차단한 쪽인지
+function isBlocker(friendship, userId) {
+  return (
+    friendship.status === BLOCKED &&
+    (!friendship.blockedById || friendship.blockedById === userId)
+  );
+}
+
+/**
+ * 사용자 차단
+ * 기존 친구/요청 관계가 있으면 차단으로 바꾸고, 없으면 새로 만듭니다.
+ * 상대가 이미 나를 차단한 경우에는 서로 차단한 상태가 됩니다.
+ */
+async function blockUser(blockerId, targetId) {
+  const existing = await prisma.friend.findFirst({
+    where: betweenWhere(blockerId, targetId),
+  });
+
+  if (!existing) {
+    return prisma.friend.create({
+      data: {
+        userId: blockerId,
+        friendId: targetId,
+        status: BLOCKED,
+        blockedById: blockerId,
+      },
+    });
+  }
+
+  if (isBlocker(existing, blockerId)) return existing;
+
+  return prisma.friend.update({
+    where: { id: existing.id },
+    data: {
+      status: BLOCKED,
+      blockedById: existing.status === BLOCKED ? null : blockerId,
+    },
+  });
+}
+
+/**
+ * 차단 해제 (내가 차단한 경우만)
+ * 서로 차단한 상태였다면 상대의 차단은 유지됩니다.
+ * 반환값: 해제했으면 true, 내가 차단한 관계가 없으면 false
+ */
+async function unblockUser(blockerId, targetId) {
+  const block = await prisma.friend.findFirst({
+    where: {
+      AND: [betweenWhere(blockerId, targetId), blockedByWhere(blockerId)],
+    },
+  });
+  if (!block) return false;
+
+  if (block.blockedById === blockerId) {
+    await prisma.friend.delete({ where: { id: block.id } });
+  } else {
+    await prisma.friend.update({
+      where: { id: block.id },
+      data: { blockedById: targetId },
+    });
+  }
+  return true;
+}
+
+// 내가 차단한 사용자 목록
+async function listBlockedUsers(userId) {
+  const blocks = await prisma.friend.findMany({
+    where: {
+      AND: [{ OR: [{ userId }, { friendId: userId }] }, blockedByWhere(userId)],
+    },
+    include: {
+      user: { select: { id: true, nickname: true, avatar: true } },
+      friend: { select: { id: true, nickname: true, avatar: true } },
+    },
+    orderBy: { updatedAt: "desc" },
+  });
+
+  return blocks.map((block) => ({
+    user: block.userId === userId ? block.friend : block.user,
+    blockedAt: block.updatedAt,
+  }));
+}
+
+module.exports = {
+  BLOCKED,
+  excludeBlockersWhere,
+  isBlockedBetween,
+  findBlockedRelationIds,
+  isBlocker,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+};
@@ -0,0 +1,260 @@
+// src/services/directMessages.js - 친구 간 1:1 메시지 (DM)
+//
+// 두 사용자 사이의 대화는 하나만 존재하도록 사용자 ID를 정렬해 (userAId < userBId) 저장합니다.
+// 읽지 않은 메시지 수는 워크스페이스 채팅의 ChatNotification처럼 사용자/대화별로 관리하며,
+// 새 메시지와 읽음 처리는 두 사람의 개인 채널(user_${id})로 실시간 전달됩니다.
+const { prisma } = require("../config/database");
+const { emitToUsers, findFriendIds } = require("./realtime");
+
+const DIRECT_MESSAGE_MAX_LENGTH = 2000;
+const DIRECT_HISTORY_DEFAULT_LIMIT = 50;
+const DIRECT_HISTORY_MAX_LIMIT = 100;
+
+const USER_SELECT = { id: true, nickname: true, avatar: true };
+
+const MESSAGE_SELECT = {
+  id: true,
+  conversationId: true,
+  content: true,
+  createdAt: true,
+  sender: { select: USER_SELECT },
+};
+
+// 대화 참여자 쌍 (정렬된 순서)
+function conversationPair(userId, otherUserId) {
+  return userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+}
+
+// 대화 상대 ID
+function counterpartId(conversation, userId) {
+  return conversation.userAId === userId
+    ? conversation.userBId
+    : conversation.userAId;
+}
+
+// 메시지를 보낼 수 있는지: 수락된 친구 관계 (차단 관계는 status가 blocked라 제외됨)
+async function canMessage(userId, otherUserId) {
+  const friendship = await prisma.friend.findFirst({
+    where: {
+      status: "accepted",
+      OR: [
+        { userId, friendId: otherUserId },
+        { userId: otherUserId, friendId: userId },
+      ],
+    },
+    select: { id: true },
+  });
+  return !!friendship;
+}
+
+/**
+ * 상대와의 대화 조회, 없으면 생성
+ * 반환값 { conversation, created }
+ */
+async function findOrCreateConversation(userId, otherUserId) {
+  const [userAId, userBId] = conversationPair(userId, otherUserId);
+  const where = { userAId_userBId: { userAId, userBId } };
+
+  const existing = await prisma.directConversation.findUnique({ where });
+  if (existing) return { conversation: existing, created: false };
+
+  try {
+    const conversation = await prisma.directConversation.create({
+      data: { userAId, userBId },
+    });
+    return { conversation, created: true };
+  } catch (error) {
+    // 동시에 생성된 경우 먼저 만들어진 대화 사용
+    if (error.code !== "P2002") throw error;
+    const conversation = await prisma.directConversation.findUnique({
+      where,
+    });
+    return { conversation, created: false };
+  }
+}
+
+// 내가 참여한 대화 조회 (없거나 다른 사람들의 대화면 null)
+function findParticipantConversation(conversationId, userId) {
+  return prisma.directConversation.findFirst({
+    where: {
+      id: conversationId,
+      OR: [{ userAId: userId }, { userBId: userId }],
+    },
+  });
+}
+
+/**
+ * 대화 목록 (최근 메시지순)
+ * 상대 정보, 마지막 메시지, 읽지 않은 메시지 수, 지금 메시지를 보낼 수 있는지 포함
+ */
+async function listConversations(userId) {
+  const [conversations, friendIds] = await Promise.all([
+    prisma.directConversation.findMany({
+      where: { OR: [{ userAId: userId }, { userBId: userId }] },
+      include: {
+        userA: { select: USER_SELECT },
+        userB: { select: USER_SELECT },
+        messages: {
+          select: MESSAGE_SELECT,
+          orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+          take: 1,
+        },
+        notifications: {
+          where: { userId },
+          select: { unreadCount: true, lastReadAt: true },
+        },
+      },
+      orderBy: [{ lastMessageAt: "desc" }, { createdAt: "desc" }],
+    }),
+    findFriendIds(userId),
+  ]);
+  const friends = new Set(friendIds);
+
+  return conversations.map((conversation) => {
+    const user =
+      conversation.userAId === userId ? conversation.userB : conversation.userA;
+    const notification = conversation.notifications[0];
+    return {
+      id: conversation.id,
+      user,
+      lastMessage: conversation.messages[0] || null,
+      lastMessageAt: conversation.lastMessageAt,
+      unreadCount: notification?.unreadCount || 0,
+      lastReadAt: notification?.lastReadAt || null,
+      canMessage: friends.has(user.id),
+      createdAt: conversation.createdAt,
+    };
+  });
+}
+
+/**
+ * 대화 메시지 조회 (최신 메시지부터 limit개씩)
+ * before: 이전 응답의 nextCursor (그 메시지보다 오래된 메시지를 조회)
+ * 반환값 { messages (시간순), nextCursor } 또는 { error, code }
+ */
+async function listMessages(conversationId, { limit, before }) {
+  if (before) {
+    const cursorMessage = await prisma.directMessage.findFirst({
+      where: { id: before, conversationId },
+      select: { id: true },
+    });
+    if (!cursorMessage) {
+      return { error: "잘못된 cursor입니다", code: "INVALID_CURSOR" };
+    }
+  }
+
+  const messages = await prisma.directMessage.findMany({
+    where: { conversationId },
+    select: MESSAGE_SELECT,
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: limit + 1,
+    ...(before && { cursor: { id: before }, skip: 1 }),
+  });
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  return {
+    messages: page.reverse(), // 시간순으로 정렬
+    nextCursor: hasMore ? page[0].id : null,
+  };
+}
+
+/**
+ * 메시지 전송
+ * 메시지 저장, 대화의 마지막 메시지 시각 갱신, 상대의 읽지 않은 메시지 수 증가를 함께 처리하고
+ * 두 사람의 개인 채널로 direct_message 이벤트를 보냅니다. (보낸 사람의 다른 기기 동기화용)
+ */
+async function sendDirectMessage(conversation, senderId, content) {
+  const recipientId = counterpartId(conversation, senderId);
+
+  const [message] = await prisma.$transaction([
+    prisma.directMessage.create({
+      data: { conversationId: conversation.id, senderId, content },
+      select: MESSAGE_SELECT,
+    }),
+    prisma.directConversation.update({
+      where: { id: conversation.id },
+      data: { lastMessageAt: new Date() },
+    }),
+    prisma.directMessageNotification.upsert({
+      where: {
+        userId_conversationId: {
+          userId: recipientId,
+          conversationId: conversation.id,
+        },
+      },
+      update: { unreadCount: { increment: 1 } },
+      create: {
+        userId: recipientId,
+        conversationId: conversation.id,
+        unreadCount: 1,
+      },
+    }),
+  ]);
+
+  emitToUsers([senderId, recipientId], "direct_message", {
+    conversationId: conversation.id,
+    message,
+    timestamp: new Date().toISOString(),
+  });
+
+  return message;
+}
+
+/**
+ * 대화 읽음 처리
+ * 상대에게는 direct_message_read 이벤트로 읽은 시각을 알립니다.
+ */
+async function markConversationRead(conversation, userId) {
+  const lastReadAt = new Date();
+
+  await prisma.directMessageNotification.upsert({
+    where: {
+      userId_conversationId: { userId, conversationId: conversation.id },
+    },
+    update: { unreadCount: 0, lastReadAt },
+    create: {
+      userId,
+      conversationId: conversation.id,
+      unreadCount: 0,
+      lastReadAt,
+    },
+  });
+
+  emitToUsers(
+    [userId, counterpartId(conversation, userId)],
+    "direct_message_read",
+    {
+      conversationId: conversation.id,
+      userId,
+      lastReadAt,
+      timestamp: new Date().toISOString(),
+    }
+  );
+
+  return lastReadAt;
+}
+
+// 전체 대화의 읽지 않은 메시지 수 합계
+async function countUnreadDirectMessages(userId) {
+  const result = await prisma.directMessageNotification.aggregate({
+    where: { userId },
+    _sum: { unreadCount: true },
+  });
+  return result._sum.unreadCount || 0;
+}
+
+module.exports = {
+  DIRECT_MESSAGE_MAX_LENGTH,
+  DIRECT_HISTORY_DEFAULT_LIMIT,
+  DIRECT_HISTORY_MAX_LIMIT,
+  canMessage,
+  counterpartId,
+  findOrCreateConversation,
+  findParticipantConversation,
+  listConversations,
+  listMessages,
+  sendDirectMessage,
+  markConversationRead,
+  countUnreadDirectMessages,
+};
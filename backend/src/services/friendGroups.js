@@ -0,0 +1,123 @@
+// src/services/friendGroups.js - 친구 그룹 (사용자가 직접 만드는 친구 분류)
+const { prisma } = require("../config/database");
+const { findFriendIds } = require("./realtime");
+
+const FRIEND_GROUP_NAME_MAX_LENGTH = 50;
+const FRIEND_GROUP_LIMIT = 50;
+
+// #RRGGBB 형식 색상
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const FRIEND_GROUP_SELECT = {
+  id: true,
+  name: true,
+  color: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { members: true } },
+};
+
+/**
+ * 그룹 생성/수정 입력 검증
+ * partial이면 전달된 필드만 검사합니다 (PATCH).
+ * 반환값 { data } 또는 { error }
+ */
+function parseGroupInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      return { error: "그룹 이름을 입력해주세요" };
+    }
+    if (name.length > FRIEND_GROUP_NAME_MAX_LENGTH) {
+      return {
+        error: `그룹 이름은 ${FRIEND_GROUP_NAME_MAX_LENGTH}자 이하여야 합니다`,
+      };
+    }
+    data.name = name;
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !COLOR_PATTERN.test(body.color)) {
+      return { error: "color는 #RRGGBB 형식이어야 합니다" };
+    }
+    data.color = body.color;
+  }
+
+  return { data };
+}
+
+// 응답 형태로 변환 (_count → memberCount)
+function formatGroup({ _count, ...group }) {
+  return { ...group, memberCount: _count.members };
+}
+
+// 내가 만든 그룹 조회 (없거나 다른 사람의 그룹이면 null)
+function findOwnedGroup(ownerId, groupId) {
+  return prisma.friendGroup.findFirst({
+    where: { id: groupId, ownerId },
+    select: FRIEND_GROUP_SELECT,
+  });
+}
+
+/**
+ * 그룹에 속한 친구 ID 목록 (여러 그룹이면 합집합)
+ * 그 사이 친구 관계가 끝난 사용자는 제외합니다.
+ */
+async function findGroupFriendIds(ownerId, groupIds) {
+  const [members, friendIds] = await Promise.all([
+    prisma.friendGroupMember.findMany({
+      where: { groupId: { in: groupIds }, group: { ownerId } },
+      select: { userId: true },
+    }),
+    findFriendIds(ownerId),
+  ]);
+
+  const friends = new Set(friendIds);
+  return [
+    ...new Set(
+      members
+        .map((member) => member.userId)
+        .filter((userId) => friends.has(userId))
+    ),
+  ];
+}
+
+// 친구별로 속한 내 그룹 ID 목록 (친구 목록 응답용)
+async function findGroupIdsByFriend(ownerId, friendIds) {
+  const members = await prisma.friendGroupMember.findMany({
+    where: { userId: { in: friendIds }, group: { ownerId } },
+    select: { groupId: true, userId: true },
+  });
+
+  const result = new Map();
+  for (const member of members) {
+    if (!result.has(member.userId)) result.set(member.userId, []);
+    result.get(member.userId).push(member.groupId);
+  }
+  return result;
+}
+
+// 친구 관계가 끝나면(삭제/차단) 서로의 그룹에서 제거
+function removeFromFriendGroups(userId, otherUserId) {
+  return prisma.friendGroupMember.deleteMany({
+    where: {
+      OR: [
+        { userId: otherUserId, group: { ownerId: userId } },
+        { userId, group: { ownerId: otherUserId } },
+      ],
+    },
+  });
+}
+
+module.exports = {
+  FRIEND_GROUP_LIMIT,
+  FRIEND_GROUP_SELECT,
+  parseGroupInput,
+  formatGroup,
+  findOwnedGroup,
+  findGroupFriendIds,
+  findGroupIdsByFriend,
+  removeFromFriendGroups,
+};
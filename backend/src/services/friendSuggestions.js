@@ -0,0 +1,198 @@
+// src/services/friendSuggestions.js - 친구 추천 (함께 아는 친구, 같은 워크스페이스)
+const { prisma } = require("../config/database");
+
+const SUGGESTION_DEFAULT_LIMIT = 10;
+const SUGGESTION_MAX_LIMIT = 50;
+
+// 점수 가중치: 같은 워크스페이스는 함께 아는 친구보다 강한 신호로 봄
+const WEIGHTS = {
+  mutualFriend: 1,
+  sharedWorkspace: 2,
+};
+
+// 단계별로 가져올 최대 후보 수 (친구/워크스페이스가 많은 사용자도 쿼리 크기를 제한)
+const CANDIDATE_LIMIT = 200;
+const CO_MEMBER_LIMIT = 1000;
+
+// 소유자이거나 수락한 멤버인 워크스페이스 조건
+const memberOf = (userId) => ({
+  OR: [{ ownerId: userId }, { members: { some: { userId, accepted: true } } }],
+});
+
+/**
+ * 함께 아는 친구 수 (후보별)
+ * 친구 관계는 방향이 있으므로(userId → friendId) 양쪽 방향을 DB에서 집계해 합칩니다.
+ */
+async function countMutualFriends(friendIds, excludedIds) {
+  if (friendIds.length === 0) return new Map();
+
+  const [sent, received] = await Promise.all([
+    prisma.friend.groupBy({
+      by: ["friendId"],
+      where: {
+        status: "accepted",
+        userId: { in: friendIds },
+        friendId: { notIn: excludedIds },
+      },
+      _count: { _all: true },
+      orderBy: { _count: { friendId: "desc" } },
+      take: CANDIDATE_LIMIT,
+    }),
+    prisma.friend.groupBy({
+      by: ["userId"],
+      where: {
+        status: "accepted",
+        friendId: { in: friendIds },
+        userId: { notIn: excludedIds },
+      },
+      _count: { _all: true },
+      orderBy: { _count: { userId: "desc" } },
+      take: CANDIDATE_LIMIT,
+    }),
+  ]);
+
+  const counts = new Map();
+  for (const row of sent) {
+    counts.set(row.friendId, (counts.get(row.friendId) || 0) + row._count._all);
+  }
+  for (const row of received) {
+    counts.set(row.userId, (counts.get(row.userId) || 0) + row._count._all);
+  }
+  return counts;
+}
+
+// 같은 워크스페이스 멤버 (후보 → [{ id, name }])
+async function findCoMembers(workspaces, excludedIds) {
+  const excluded = new Set(excludedIds);
+  const shared = new Map();
+  const add = (userId, workspace) => {
+    if (excluded.has(userId)) return;
+    if (!shared.has(userId)) shared.set(userId, []);
+    shared.get(userId).push({ id: workspace.id, name: workspace.name });
+  };
+
+  if (workspaces.length === 0) return shared;
+
+  const members = await prisma.workspaceMember.findMany({
+    where: {
+      workspaceId: { in: workspaces.map((workspace) => workspace.id) },
+      accepted: true,
+      userId: { notIn: excludedIds },
+    },
+    select: { userId: true, workspaceId: true },
+    take: CO_MEMBER_LIMIT,
+  });
+
+  const workspaceById = new Map(
+    workspaces.map((workspace) => [workspace.id, workspace])
+  );
+  for (const workspace of workspaces) {
+    add(workspace.ownerId, workspace);
+  }
+  for (const member of members) {
+    add(member.userId, workspaceById.get(member.workspaceId));
+  }
+
+  return shared;
+}
+
+// 추천 이유 문구
+function describeReasons(mutualFriendCount, sharedWorkspaces) {
+  const reasons = [];
+  if (mutualFriendCount > 0) {
+    reasons.push(`함께 아는 친구 ${mutualFriendCount}명`);
+  }
+  for (const workspace of sharedWorkspaces) {
+    reasons.push(`'${workspace.name}' 워크스페이스에 함께 참여 중`);
+  }
+  return reasons;
+}
+
+/**
+ * 친구 추천 목록
+ * 이미 친구이거나 요청 중/차단 관계인 사용자, 추천에서 숨긴 사용자, 비활성 사용자는 제외합니다.
+ */
+async function getFriendSuggestions(userId, { limit }) {
+  const [relations, dismissals, workspaces] = await Promise.all([
+    prisma.friend.findMany({
+      where: { OR: [{ userId }, { friendId: userId }] },
+      select: { userId: true, friendId: true, status: true },
+    }),
+    prisma.friendSuggestionDismissal.findMany({
+      where: { userId },
+      select: { dismissedUserId: true },
+    }),
+    prisma.workspace.findMany({
+      where: memberOf(userId),
+      select: { id: true, name: true, ownerId: true },
+    }),
+  ]);
+
+  const otherId = (relation) =>
+    relation.userId === userId ? relation.friendId : relation.userId;
+  const friendIds = relations
+    .filter((relation) => relation.status === "accepted")
+    .map(otherId);
+  const excludedIds = [
+    userId,
+    ...relations.map(otherId),
+    ...dismissals.map((dismissal) => dismissal.dismissedUserId),
+  ];
+
+  const [mutualCounts, coMembers] = await Promise.all([
+    countMutualFriends(friendIds, excludedIds),
+    findCoMembers(workspaces, excludedIds),
+  ]);
+
+  const ranked = [...new Set([...mutualCounts.keys(), ...coMembers.keys()])]
+    .map((candidateId) => {
+      const mutualFriendCount = mutualCounts.get(candidateId) || 0;
+      const sharedWorkspaces = coMembers.get(candidateId) || [];
+      return {
+        userId: candidateId,
+        score:
+          mutualFriendCount * WEIGHTS.mutualFriend +
+          sharedWorkspaces.length * WEIGHTS.sharedWorkspace,
+        mutualFriendCount,
+        sharedWorkspaces,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.mutualFriendCount - a.mutualFriendCount ||
+        a.userId.localeCompare(b.userId)
+    )
+    .slice(0, CANDIDATE_LIMIT);
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: ranked.map((entry) => entry.userId) }, isActive: true },
+    select: { id: true, nickname: true, avatar: true },
+  });
+  const userById = new Map(users.map((user) => [user.id, user]));
+
+  return ranked
+    .filter((entry) => userById.has(entry.userId))
+    .slice(0, limit)
+    .map(({ userId: candidateId, ...entry }) => ({
+      user: userById.get(candidateId),
+      ...entry,
+      reasons: describeReasons(entry.mutualFriendCount, entry.sharedWorkspaces),
+    }));
+}
+
+// 추천에서 숨기기 (이미 숨긴 경우에도 성공)
+async function dismissSuggestion(userId, dismissedUserId) {
+  await prisma.friendSuggestionDismissal.upsert({
+    where: { userId_dismissedUserId: { userId, dismissedUserId } },
+    update: {},
+    create: { userId, dismissedUserId },
+  });
+}
+
+module.exports = {
+  SUGGESTION_DEFAULT_LIMIT,
+  SUGGESTION_MAX_LIMIT,
+  getFriendSuggestions,
+  dismissSuggestion,
+};
@@ -0,0 +1,144 @@
+// src/services/impersonation.js - 관리자 대리 접속 (지원 목적의 단기 토큰 + 요청 감사 로그)
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+
+// 읽기 전용 대리 접속에서 허용하는 메서드
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// 대상 사용자/관리자에게 보여줄 필드
+const IMPERSONATION_PUBLIC_SELECT = {
+  id: true,
+  adminId: true,
+  adminEmail: true,
+  targetUserId: true,
+  reason: true,
+  readOnly: true,
+  expiresAt: true,
+  endedAt: true,
+  createdAt: true,
+  _count: { select: { auditLogs: true } },
+};
+
+// 요청한 유효 시간(분)을 만료 시각으로 변환 (범위를 벗어나면 null)
+function resolveImpersonationExpiry(expiresInMinutes) {
+  const { defaultExpiryMinutes, maxExpiryMinutes } = config.impersonation;
+  const minutes =
+    expiresInMinutes === undefined || expiresInMinutes === null
+      ? defaultExpiryMinutes
+      : Number(expiresInMinutes);
+
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > maxExpiryMinutes) {
+    return null;
+  }
+
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+function startImpersonation({
+  admin,
+  targetUserId,
+  reason,
+  readOnly,
+  expiresAt,
+}) {
+  return prisma.impersonationSession.create({
+    data: {
+      adminId: admin.userId,
+      adminEmail: admin.email,
+      targetUserId,
+      reason,
+      readOnly,
+      expiresAt,
+    },
+    select: IMPERSONATION_PUBLIC_SELECT,
+  });
+}
+
+/**
+ * 종료되지 않았고 만료되지 않은 대리 접속 세션 조회
+ * 발급한 관리자가 비활성화되었거나 관리자 권한을 잃었으면 무효입니다.
+ */
+async function findActiveImpersonation(sessionId) {
+  const session = await prisma.impersonationSession.findUnique({
+    where: { id: sessionId },
+    select: {
+      id: true,
+      adminId: true,
+      targetUserId: true,
+      readOnly: true,
+      expiresAt: true,
+      endedAt: true,
+      targetUser: { select: { isActive: true } },
+      admin: { select: { isActive: true, role: true } },
+    },
+  });
+
+  if (!session || session.endedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+  if (!session.targetUser.isActive) return null;
+  if (!session.admin?.isActive || session.admin.role !== "admin") return null;
+
+  return session;
+}
+
+// 대리 접속 종료 (이미 종료된 경우 false)
+async function endImpersonation(sessionId) {
+  const { count } = await prisma.impersonationSession.updateMany({
+    where: { id: sessionId, endedAt: null },
+    data: { endedAt: new Date() },
+  });
+  return count > 0;
+}
+
+// 관리자가 발급한 진행 중인 대리 접속 모두 종료 (비활성화/권한 변경 시)
+async function endAdminImpersonations(adminId) {
+  const { count } = await prisma.impersonationSession.updateMany({
+    where: { adminId, endedAt: null },
+    data: { endedAt: new Date() },
+  });
+  return count;
+}
+
+/**
+ * 대리 접속 토큰으로 들어온 요청을 감사 로그에 남깁니다.
+ * 요청을 처리하기 전에 저장하고(실패하면 예외를 던지므로 요청을 처리하지 않아야 함),
+ * 응답 상태 코드는 응답이 끝난 뒤 채웁니다. 응답 전에 연결이 끊기면 상태 코드는 비어 있습니다.
+ */
+async function recordImpersonatedRequest(sessionId, req, res) {
+  const log = await prisma.impersonationAuditLog.create({
+    data: {
+      sessionId,
+      method: req.method,
+      path: req.originalUrl.slice(0, 2048),
+      ipAddress: req.ip || req.socket?.remoteAddress || null,
+      userAgent: req.headers["user-agent"]?.slice(0, 512) || null,
+    },
+    select: { id: true },
+  });
+
+  res.on("finish", () => {
+    prisma.impersonationAuditLog
+      .update({
+        where: { id: log.id },
+        data: { statusCode: res.statusCode },
+      })
+      .catch((error) => {
+        console.error(
+          "대리 접속 감사 로그 상태 코드 저장 실패:",
+          error.message
+        );
+      });
+  });
+}
+
+module.exports = {
+  READ_ONLY_METHODS,
+  IMPERSONATION_PUBLIC_SELECT,
+  resolveImpersonationExpiry,
+  startImpersonation,
+  findActiveImpersonation,
+  endImpersonation,
+  endAdminImpersonations,
+  recordImpersonatedRequest,
+};
@@ -0,0 +1,250 @@
+// src/services/jwtKeys.js - JWT 서명 키 관리 (HTTP API와 Socket.IO 공용)
+//
+// 액세스 토큰 서명 방식 (JWT_ALGORITHM)
+// - HS256: 기존 방식. JWT_SECRET 공유 비밀키로 서명/검증
+// - RS256 / ES256: JWT_KEYS_DIR의 개인키로 서명하고 kid 헤더를 붙임.
+//   공개키는 /.well-known/jwks.json으로 공개되어 다른 내부 서비스가 검증할 수 있음
+//
+// 키 디렉터리 구성
+// - <kid>.pem        : 개인키 (서명 + 검증). 여러 개면 JWT_ACTIVE_KID로 서명 키 지정
+// - <kid>.public.pem : 공개키만 (검증 전용, 교체 후 아직 만료되지 않은 토큰 검증용)
+//
+// 리프레시 토큰과 2단계 인증 챌린지 토큰은 이 서버만 검증하므로 계속 HS256을 사용합니다.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const ASYMMETRIC_ALGORITHMS = ["RS256", "ES256"];
+
+// 설정 호환성을 위한 함수
+const getJWTSecret = () => {
+  // config 객체를 사용하려면 먼저 import해야 하지만,
+  // 호환성을 위해 환경변수를 직접 사용하는 방식도 지원
+  try {
+    const { config } = require("../config/env");
+    return {
+      accessSecret:
+        config?.jwt?.secret ||
+        process.env.ACCESS_TOKEN_SECRET ||
+        process.env.JWT_SECRET,
+      refreshSecret:
+        config?.jwt?.refreshSecret || process.env.REFRESH_TOKEN_SECRET,
+      accessExpiry: config?.jwt?.accessTokenExpiry || "15m",
+      refreshExpiry: config?.jwt?.refreshTokenExpiry || "7d",
+      algorithm: config?.jwt?.algorithm || "HS256",
+      keysDir: config?.jwt?.keysDir,
+      activeKid: config?.jwt?.activeKid,
+      acceptHs256: !!config?.jwt?.acceptHs256,
+    };
+  } catch (error) {
+    console.log("config/env 파일을 찾을 수 없음, 환경변수 직접 사용");
+    return {
+      accessSecret: process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET,
+      refreshSecret: process.env.REFRESH_TOKEN_SECRET,
+      accessExpiry: process.env.ACCESS_TOKEN_EXPIRY || "15m", // 🔥 수정: 환경변수에서 가져오기
+      refreshExpiry: process.env.REFRESH_TOKEN_EXPIRY || "7d", // 🔥 수정: 환경변수에서 가져오기
+      algorithm: process.env.JWT_ALGORITHM || "HS256",
+      keysDir: process.env.JWT_KEYS_DIR,
+      activeKid: process.env.JWT_ACTIVE_KID,
+      acceptHs256: process.env.JWT_ACCEPT_HS256 === "true",
+    };
+  }
+};
+
+// 키 종류로 서명 알고리즘 결정
+function algorithmForKey(keyObject) {
+  if (keyObject.asymmetricKeyType === "rsa") return "RS256";
+  if (
+    keyObject.asymmetricKeyType === "ec" &&
+    keyObject.asymmetricKeyDetails?.namedCurve === "prime256v1"
+  ) {
+    return "ES256";
+  }
+  return null;
+}
+
+// 새 키 쌍 생성 (키 교체 스크립트, 개발용 임시 키에서 사용)
+function generateKeyPair(algorithm) {
+  if (algorithm === "ES256") {
+    return crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  }
+  return crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+}
+
+function generateKid() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `${date}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+let keyring = null;
+
+// 키 디렉터리에서 서명/검증 키 읽기 (처음 사용할 때 한 번)
+function loadKeyring() {
+  const settings = getJWTSecret();
+
+  if (!ASYMMETRIC_ALGORITHMS.includes(settings.algorithm)) {
+    return { algorithm: "HS256", signingKey: null, verificationKeys: [] };
+  }
+
+  const verificationKeys = [];
+  const privateKeys = new Map();
+  const keysDir = settings.keysDir ? path.resolve(settings.keysDir) : null;
+
+  if (keysDir && fs.existsSync(keysDir)) {
+    for (const file of fs.readdirSync(keysDir).sort()) {
+      const match = file.match(/^(.+?)(\.public)?\.pem$/);
+      if (!match) continue;
+
+      const [, kid, isPublicOnly] = match;
+      const pem = fs.readFileSync(path.join(keysDir, file), "utf8");
+      const publicKey = crypto.createPublicKey(pem);
+      const algorithm = algorithmForKey(publicKey);
+
+      if (!algorithm) {
+        console.warn(`⚠️  지원하지 않는 JWT 키 형식입니다 (무시): ${file}`);
+        continue;
+      }
+
+      if (!isPublicOnly) {
+        privateKeys.set(kid, crypto.createPrivateKey(pem));
+      }
+      verificationKeys.push({ kid, algorithm, publicKey });
+    }
+  }
+
+  if (privateKeys.size === 0) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        `${settings.algorithm} 서명 키가 없습니다. JWT_KEYS_DIR(${keysDir})에 개인키를 추가하세요`
+      );
+    }
+
+    // 개발 환경: 재시작하면 바뀌는 임시 키 사용
+    console.warn(
+      "⚠️  JWT 서명 키가 없어 임시 키를 생성합니다. 서버를 재시작하면 기존 토큰은 무효화됩니다."
+    );
+    const kid = `dev-${generateKid()}`;
+    const { privateKey, publicKey } = generateKeyPair(settings.algorithm);
+    privateKeys.set(kid, privateKey);
+    verificationKeys.push({
+      kid,
+      algorithm: settings.algorithm,
+      publicKey,
+    });
+  }
+
+  const activeKid =
+    settings.activeKid ||
+    (privateKeys.size === 1 ? [...privateKeys.keys()][0] : null);
+
+  if (!activeKid || !privateKeys.has(activeKid)) {
+    throw new Error(
+      "서명에 사용할 JWT 키를 결정할 수 없습니다. JWT_ACTIVE_KID를 개인키 파일 이름(kid)으로 지정하세요"
+    );
+  }
+
+  const active = verificationKeys.find((key) => key.kid === activeKid);
+  if (active.algorithm !== settings.algorithm) {
+    throw new Error(
+      `JWT_ALGORITHM(${settings.algorithm})과 서명 키(${activeKid}, ${active.algorithm}) 형식이 다릅니다`
+    );
+  }
+
+  console.log(
+    `🔑 JWT 서명 키 로드: ${activeKid} (${active.algorithm}), 검증 키 ${verificationKeys.length}개`
+  );
+
+  return {
+    algorithm: settings.algorithm,
+    signingKey: { kid: activeKid, privateKey: privateKeys.get(activeKid) },
+    verificationKeys,
+  };
+}
+
+function getKeyring() {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+}
+
+// 서버 시작 시 키를 미리 읽어 설정 오류를 바로 드러냄
+function initializeKeys() {
+  keyring = loadKeyring();
+  return keyring.signingKey ? keyring.signingKey.kid : null;
+}
+
+/**
+ * 액세스 토큰 서명
+ * 비대칭 알고리즘이면 활성 키의 kid를 헤더에 넣습니다.
+ */
+function signAccessToken(payload, options = {}) {
+  const { algorithm, signingKey } = getKeyring();
+
+  if (!signingKey) {
+    return jwt.sign(payload, getJWTSecret().accessSecret, {
+      ...options,
+      algorithm: "HS256",
+    });
+  }
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    ...options,
+    algorithm,
+    keyid: signingKey.kid,
+  });
+}
+
+/**
+ * 액세스 토큰 검증 (jsonwebtoken 오류를 그대로 던짐)
+ * kid로 검증 키를 찾고, 알고리즘은 키 형식에 맞는 것만 허용합니다.
+ */
+function verifyAccessToken(token) {
+  const { signingKey, verificationKeys } = getKeyring();
+  const settings = getJWTSecret();
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+
+  // HS256 모드이거나, 전환 기간 동안 기존 HS256 토큰을 허용하는 경우
+  if (!signingKey || (settings.acceptHs256 && decoded.header.alg === "HS256")) {
+    return jwt.verify(token, settings.accessSecret, {
+      algorithms: ["HS256"],
+    });
+  }
+
+  const key = verificationKeys.find((item) => item.kid === decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key (kid)");
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+}
+
+// 다른 서비스가 토큰을 검증할 수 있도록 공개키를 JWK 형식으로 제공
+function getJwks() {
+  const { verificationKeys } = getKeyring();
+
+  return {
+    keys: verificationKeys.map(({ kid, algorithm, publicKey }) => ({
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: algorithm,
+      use: "sig",
+    })),
+  };
+}
+
+module.exports = {
+  ASYMMETRIC_ALGORITHMS,
+  getJWTSecret,
+  generateKeyPair,
+  generateKid,
+  initializeKeys,
+  signAccessToken,
+  verifyAccessToken,
+  getJwks,
+};
@@ -0,0 +1,214 @@
+// src/services/loginProtection.js - 로그인 무차별 대입 방지 (실패 횟수/잠금)
+const { config } = require("../config/env");
+const { MemoryStore } = require("../utils/memoryStore");
+
+// 실패 기록 저장소 (기본: 인메모리, 여러 서버 운영 시 공유 저장소로 교체)
+let store = new MemoryStore();
+
+function setAttemptStore(customStore) {
+  store = customStore;
+}
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// n번째 실패 이후 다음 시도까지 기다려야 하는 시간 (지수 백오프)
+function getBackoffMs(failures) {
+  const { backoffBaseMs, backoffMaxMs } = config.loginProtection;
+  if (failures < 2) return 0;
+  return Math.min(backoffBaseMs * 2 ** (failures - 2), backoffMaxMs);
+}
+
+// 하나의 키(계정 또는 IP)에 대해 지금 시도가 막혀 있는지 계산
+function evaluate(record, now) {
+  if (!record) return null;
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return { reason: "locked", until: record.lockedUntil };
+  }
+
+  const nextAllowedAt = record.lastFailureAt + getBackoffMs(record.failures);
+  if (nextAllowedAt > now) {
+    return { reason: "backoff", until: nextAllowedAt };
+  }
+
+  return null;
+}
+
+// 실패 1회를 더한 기록 (store.update용)
+function addFailure(record, maxFailures, now) {
+  const { lockoutMinutes, windowMinutes } = config.loginProtection;
+  const next = record
+    ? { ...record }
+    : { failures: 0, lockedUntil: null, lastFailureAt: now };
+
+  // 잠금이 풀린 뒤 다시 실패하면 카운트를 새로 시작
+  if (next.lockedUntil && next.lockedUntil <= now) {
+    next.failures = 0;
+    next.lockedUntil = null;
+  }
+
+  next.failures += 1;
+  next.lastFailureAt = now;
+  if (next.failures >= maxFailures) {
+    next.lockedUntil = now + lockoutMinutes * 60 * 1000;
+  }
+
+  const ttlMs =
+    Math.max(next.lockedUntil || 0, now) - now + windowMinutes * 60 * 1000;
+  return { value: next, ttlMs };
+}
+
+/**
+ * 하나의 키(계정 또는 IP)가 막혀 있지 않으면 실패 1회를 미리 기록
+ * 확인과 기록을 한 번의 store.update로 처리하므로, 비밀번호 확인 중인 동시 요청도 횟수에 포함됩니다.
+ * 반환값: 막혀 있으면 { reason, until }, 아니면 null
+ */
+async function reserveAttempt(key, maxFailures, now) {
+  let block = null;
+  const stored = await store.update(key, (record) => {
+    block = evaluate(record, now);
+    return block ? null : addFailure(record, maxFailures, now);
+  });
+
+  // 저장소가 가득 차 기록할 수 없으면 제한 없이 시도할 수 없도록 막음
+  if (!stored) {
+    console.warn("⚠️  로그인 실패 기록 저장소가 가득 찼습니다:", key);
+    return {
+      reason: "backoff",
+      until: now + config.loginProtection.backoffMaxMs,
+    };
+  }
+  return block;
+}
+
+// 미리 기록한 실패 1회 취소 (이 시도로 걸린 잠금도 해제)
+async function refundAttempt(key, maxFailures) {
+  await store.update(key, (record) => {
+    if (!record || record.failures === 0) return null;
+    const failures = record.failures - 1;
+    return {
+      value: {
+        ...record,
+        failures,
+        lockedUntil: failures >= maxFailures ? record.lockedUntil : null,
+      },
+    };
+  });
+}
+
+/**
+ * 로그인 시도 전에 호출합니다. 막혀 있으면 응답용 정보를 반환합니다.
+ * 허용된 시도는 실패로 미리 기록하므로, 비밀번호가 맞으면 releaseLoginAttempt로 취소해야 합니다.
+ * 계정 잠금이 IP 제한보다 우선합니다.
+ */
+async function reserveLoginAttempt(email, ip) {
+  const { maxFailures, ipMaxFailures } = config.loginProtection;
+  const now = Date.now();
+
+  const accountBlock = await reserveAttempt(
+    accountKey(email),
+    maxFailures,
+    now
+  );
+  let ipBlock = null;
+  if (!accountBlock) {
+    ipBlock = await reserveAttempt(ipKey(ip), ipMaxFailures, now);
+    if (ipBlock) await refundAttempt(accountKey(email), maxFailures);
+  }
+
+  const block = accountBlock || ipBlock;
+  if (!block) return { allowed: true };
+
+  const retryAfter = Math.max(1, Math.ceil((block.until - now) / 1000));
+  if (block.reason === "locked") {
+    return {
+      allowed: false,
+      status: 423,
+      code: accountBlock ? "ACCOUNT_LOCKED" : "IP_LOCKED",
+      error: accountBlock
+        ? "로그인 실패가 반복되어 계정이 일시적으로 잠겼습니다"
+        : "이 IP에서 로그인 실패가 반복되어 일시적으로 차단되었습니다",
+      retryAfter,
+    };
+  }
+
+  return {
+    allowed: false,
+    status: 429,
+    code: "TOO_MANY_ATTEMPTS",
+    error: "로그인 시도가 너무 잦습니다. 잠시 후 다시 시도해주세요",
+    retryAfter,
+  };
+}
+
+// 비밀번호(또는 2단계 인증 코드)가 맞은 시도의 예약 취소
+async function releaseLoginAttempt(email, ip) {
+  const { maxFailures, ipMaxFailures } = config.loginProtection;
+  await Promise.all([
+    refundAttempt(accountKey(email), maxFailures),
+    refundAttempt(ipKey(ip), ipMaxFailures),
+  ]);
+}
+
+// 로그인 실패 확정 (횟수는 reserveLoginAttempt에서 이미 기록, 존재하지 않는 이메일도 동일)
+async function recordLoginFailure(email, ip) {
+  const accountRecord = await store.get(accountKey(email));
+
+  if (accountRecord?.lockedUntil) {
+    console.warn("⚠️  로그인 실패 누적으로 계정 잠금:", {
+      email,
+      ip,
+      failures: accountRecord.failures,
+      lockedUntil: new Date(accountRecord.lockedUntil).toISOString(),
+    });
+  }
+}
+
+// 로그인 성공 시 계정 기록 초기화 (IP 기록은 다른 계정 공격 탐지를 위해 유지)
+async function recordLoginSuccess(email) {
+  await store.delete(accountKey(email));
+}
+
+function toLockoutInfo(key, record) {
+  return {
+    key,
+    failures: record.failures,
+    lastFailureAt: new Date(record.lastFailureAt).toISOString(),
+    lockedUntil:
+      record.lockedUntil && record.lockedUntil > Date.now()
+        ? new Date(record.lockedUntil).toISOString()
+        : null,
+  };
+}
+
+async function getAccountLockout(email) {
+  const record = await store.get(accountKey(email));
+  return record ? toLockoutInfo(accountKey(email), record) : null;
+}
+
+// 관리자 조회용: 현재 실패 기록이 남아 있는 계정/IP 목록
+async function listLockouts() {
+  const entries = await store.entries();
+  return entries.map(([key, record]) => toLockoutInfo(key, record));
+}
+
+async function clearAccountLockout(email) {
+  await store.delete(accountKey(email));
+}
+
+async function clearIpLockout(ip) {
+  await store.delete(ipKey(ip));
+}
+
+module.exports = {
+  setAttemptStore,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getAccountLockout,
+  listLockouts,
+  clearAccountLockout,
+  clearIpLockout,
+};
@@ -0,0 +1,102 @@
+// src/services/magicLink.js - 매직 링크 로그인 (이메일로 받은 일회용 링크)
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+const { sendMail } = require("./mail");
+const { magicLinkMail } = require("./mailTemplates");
+const { generateRandomToken, hashToken } = require("../utils/token");
+const { MemoryStore } = require("../utils/memoryStore");
+
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// 이메일별 요청 기록 (기본: 인메모리, 여러 서버 운영 시 공유 저장소로 교체)
+let store = new MemoryStore();
+
+function setRequestStore(customStore) {
+  store = customStore;
+}
+
+const requestKey = (email) => `magic:${String(email).trim().toLowerCase()}`;
+
+/**
+ * 이메일당 요청 제한을 확인하고, 허용되면 요청을 기록합니다.
+ * 가입 여부와 관계없이 같은 기준을 적용해 계정 존재 여부가 드러나지 않게 합니다.
+ */
+async function checkMagicLinkRequest(email) {
+  const { requestIntervalSeconds, maxRequestsPerHour } = config.magicLink;
+  const key = requestKey(email);
+  const now = Date.now();
+  const requests = ((await store.get(key)) || []).filter(
+    (requestedAt) => requestedAt > now - RATE_LIMIT_WINDOW_MS
+  );
+
+  const lastRequestedAt = requests[requests.length - 1];
+  const intervalRemaining = lastRequestedAt
+    ? Math.ceil((lastRequestedAt + requestIntervalSeconds * 1000 - now) / 1000)
+    : 0;
+
+  if (intervalRemaining > 0 || requests.length >= maxRequestsPerHour) {
+    // 시간당 제한에 걸린 경우 가장 오래된 요청이 1시간을 넘길 때까지 대기
+    const retryAfter =
+      requests.length >= maxRequestsPerHour
+        ? Math.ceil((requests[0] + RATE_LIMIT_WINDOW_MS - now) / 1000)
+        : intervalRemaining;
+    return { allowed: false, retryAfter: Math.max(1, retryAfter) };
+  }
+
+  requests.push(now);
+  await store.set(key, requests, RATE_LIMIT_WINDOW_MS);
+  return { allowed: true };
+}
+
+// 새 로그인 링크 발급 후 메일 발송 (이전에 발급된 미사용 링크는 무효화)
+async function sendMagicLink(user) {
+  const expiresInMinutes = config.magicLink.tokenExpiryMinutes;
+  const token = generateRandomToken();
+
+  await prisma.magicLinkToken.deleteMany({
+    where: { userId: user.id, usedAt: null },
+  });
+  await prisma.magicLinkToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    },
+  });
+
+  await sendMail({
+    to: user.email,
+    ...magicLinkMail({ nickname: user.nickname, token, expiresInMinutes }),
+  });
+}
+
+/**
+ * 링크 토큰을 사용 처리하고 사용자 ID를 반환합니다.
+ * 만료/사용된 토큰이거나 동시에 같은 토큰으로 요청한 경우 null
+ */
+async function consumeMagicLink(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const record = await prisma.magicLinkToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!record || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+
+  // 조건부 업데이트로 한 번만 사용되도록 보장
+  const { count } = await prisma.magicLinkToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? record.userId : null;
+}
+
+module.exports = {
+  setRequestStore,
+  checkMagicLinkRequest,
+  sendMagicLink,
+  consumeMagicLink,
+};
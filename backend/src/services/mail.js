@@ -0,0 +1,111 @@
+// src/services/mail.js - 메일 발송 (전송 방식 교체 가능)
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config/env");
+
+/**
+ * 전송 방식(transport)은 모두 send(message) 하나만 구현합니다.
+ * - smtp: 실제 메일 서버로 발송 (nodemailer)
+ * - file: 메일을 JSON 파일로 저장 (로컬 개발/테스트용)
+ * - console: 메일 내용을 로그로 출력
+ */
+function createSmtpTransport(smtpConfig) {
+  // SMTP를 쓰지 않는 환경에서는 nodemailer를 불러오지 않음
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: smtpConfig.host,
+    port: smtpConfig.port,
+    secure: smtpConfig.secure,
+    auth: smtpConfig.user
+      ? { user: smtpConfig.user, pass: smtpConfig.pass }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+function createFileTransport(directory) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(directory, `${id}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify(
+          { ...message, sentAt: new Date().toISOString() },
+          null,
+          2
+        )
+      );
+      return { id, filePath };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log("📧 메일 발송 (console transport):");
+      console.log(`   - To: ${message.to}`);
+      console.log(`   - Subject: ${message.subject}`);
+      console.log(message.text);
+      return { id: `console-${Date.now()}` };
+    },
+  };
+}
+
+function createMailTransport(mailConfig = config.mail) {
+  switch (mailConfig.transport) {
+    case "smtp":
+      return createSmtpTransport(mailConfig.smtp);
+    case "file":
+      return createFileTransport(mailConfig.fileDir);
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(
+        `지원하지 않는 메일 전송 방식입니다: ${mailConfig.transport}`
+      );
+  }
+}
+
+let transport = null;
+
+function getMailTransport() {
+  if (!transport) {
+    transport = createMailTransport();
+    console.log(`📧 메일 전송 방식: ${transport.name}`);
+  }
+  return transport;
+}
+
+// 테스트 등에서 전송 방식을 직접 교체할 때 사용
+function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getMailTransport().send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = {
+  createMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+};
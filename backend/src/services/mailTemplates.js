@@ -0,0 +1,89 @@
+// src/services/mailTemplates.js - 메일 본문 템플릿
+const { config } = require("../config/env");
+
+// 사용자 입력(닉네임 등)을 HTML 본문에 넣기 전 이스케이프
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// 프론트엔드 경로에 토큰을 붙인 링크 생성
+function buildAppLink(pathname, params) {
+  const url = new URL(pathname, config.app.frontendUrl);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+}
+
+function passwordResetMail({ nickname, token, expiresInMinutes }) {
+  const link = buildAppLink("/reset-password", { token });
+  return {
+    subject: "[Team Collaboration] 비밀번호 재설정 안내",
+    text: [
+      `${nickname}님, 안녕하세요.`,
+      "",
+      "아래 링크에서 새 비밀번호를 설정해주세요.",
+      link,
+      "",
+      `링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.`,
+      "본인이 요청하지 않았다면 이 메일을 무시하세요.",
+    ].join("\n"),
+    html: `<p>${escapeHtml(nickname)}님, 안녕하세요.</p>
+<p>아래 링크에서 새 비밀번호를 설정해주세요.</p>
+<p><a href="${escapeHtml(link)}">비밀번호 재설정</a></p>
+<p>링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.<br>본인이 요청하지 않았다면 이 메일을 무시하세요.</p>`,
+  };
+}
+
+function emailVerificationMail({ nickname, token, expiresInHours }) {
+  const link = buildAppLink("/verify-email", { token });
+  return {
+    subject: "[Team Collaboration] 이메일 주소를 인증해주세요",
+    text: [
+      `${nickname}님, 가입을 환영합니다.`,
+      "",
+      "아래 링크를 눌러 이메일 주소를 인증해주세요.",
+      link,
+      "",
+      `링크는 ${expiresInHours}시간 동안 유효합니다.`,
+      "본인이 가입하지 않았다면 이 메일을 무시하세요.",
+    ].join("\n"),
+    html: `<p>${escapeHtml(nickname)}님, 가입을 환영합니다.</p>
+<p>아래 링크를 눌러 이메일 주소를 인증해주세요.</p>
+<p><a href="${escapeHtml(link)}">이메일 인증하기</a></p>
+<p>링크는 ${expiresInHours}시간 동안 유효합니다.<br>본인이 가입하지 않았다면 이 메일을 무시하세요.</p>`,
+  };
+}
+
+function magicLinkMail({ nickname, token, expiresInMinutes }) {
+  const link = buildAppLink("/auth/magic-link", { token });
+  return {
+    subject: "[Team Collaboration] 로그인 링크",
+    text: [
+      `${nickname}님, 안녕하세요.`,
+      "",
+      "아래 링크를 누르면 비밀번호 없이 로그인됩니다.",
+      link,
+      "",
+      `링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.`,
+      "본인이 요청하지 않았다면 이 메일을 무시하세요.",
+    ].join("\n"),
+    html: `<p>${escapeHtml(nickname)}님, 안녕하세요.</p>
+<p>아래 링크를 누르면 비밀번호 없이 로그인됩니다.</p>
+<p><a href="${escapeHtml(link)}">로그인하기</a></p>
+<p>링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.<br>본인이 요청하지 않았다면 이 메일을 무시하세요.</p>`,
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  buildAppLink,
+  passwordResetMail,
+  emailVerificationMail,
+  magicLinkMail,
+};
@@ -0,0 +1,326 @@
+// src/services/oidc.js - OpenID Connect 인가 코드 + PKCE 흐름
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { config } = require("../config/env");
+const { MemoryStore } = require("../utils/memoryStore");
+
+const PENDING_TTL_MS = 10 * 60 * 1000; // 인가 요청 ~ 콜백까지 허용 시간
+const TICKET_TTL_MS = 60 * 1000; // 콜백 ~ 프론트엔드 토큰 교환까지 허용 시간
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// 인가 요청을 시작한 브라우저 확인용 쿠키 (콜백 경로로만 전송)
+const BROWSER_BINDING_COOKIE = "oidc_binding";
+
+// 진행 중인 인가 요청(state)과 로그인 티켓 저장소
+let store = new MemoryStore();
+
+function setOidcStore(customStore) {
+  store = customStore;
+}
+
+// 서비스 에러 (라우터에서 code로 응답을 구분)
+function oidcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const base64url = (buffer) => buffer.toString("base64url");
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+function getProvider(providerId) {
+  return (
+    config.oidc.providers.find((provider) => provider.id === providerId) || null
+  );
+}
+
+function listProviders() {
+  return config.oidc.providers.map(({ id, name }) => ({ id, name }));
+}
+
+function getCallbackUrl(providerId) {
+  return new URL(
+    `/auth/oidc/${providerId}/callback`,
+    config.oidc.callbackBaseUrl
+  ).toString();
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw oidcError(
+      "OIDC_PROVIDER_ERROR",
+      `IdP 요청 실패 (${response.status}): ${
+        body?.error_description || body?.error || url
+      }`
+    );
+  }
+  return body;
+}
+
+// 디스커버리 문서와 JWKS는 공급자별로 캐시
+const metadataCache = new Map();
+
+async function getMetadata(provider, { refresh = false } = {}) {
+  const cached = metadataCache.get(provider.id);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const discoveryUrl = `${provider.issuer.replace(
+    /\/$/,
+    ""
+  )}/.well-known/openid-configuration`;
+  const discovery = await fetchJson(discoveryUrl);
+  const jwks = await fetchJson(discovery.jwks_uri);
+
+  const metadata = {
+    discovery,
+    jwks,
+    expiresAt: Date.now() + METADATA_TTL_MS,
+  };
+  metadataCache.set(provider.id, metadata);
+  return metadata;
+}
+
+/**
+ * IdP 인가 페이지 주소를 만듭니다.
+ * mode: "login" (로그인/가입) 또는 "link" (로그인한 사용자에 계정 연결)
+ * 반환된 browserBinding은 setBrowserBinding으로 요청한 브라우저에 쿠키로 저장해야 하며,
+ * 콜백은 같은 쿠키를 가진 브라우저에서만 처리됩니다. (다른 사람에게 인가 주소를 보내
+ * 그 사람의 외부 계정을 내 계정에 연결하거나 내 계정으로 로그인시키는 공격 방지)
+ */
+async function createAuthorizationRequest(
+  provider,
+  { mode, userId = null, loginHint = null }
+) {
+  const { discovery } = await getMetadata(provider);
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(sha256(codeVerifier));
+  const browserBinding = base64url(crypto.randomBytes(32));
+
+  await store.set(
+    `state:${state}`,
+    {
+      providerId: provider.id,
+      mode,
+      userId,
+      nonce,
+      codeVerifier,
+      bindingHash: base64url(sha256(browserBinding)),
+    },
+    PENDING_TTL_MS
+  );
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: getCallbackUrl(provider.id),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  if (loginHint) {
+    url.searchParams.set("login_hint", loginHint);
+  }
+
+  return { authorizationUrl: url.toString(), browserBinding };
+}
+
+// IdP에서 돌아오는 최상위 GET 이동에도 전송되도록 SameSite=Lax
+function bindingCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: config.oidc.callbackBaseUrl.startsWith("https:"),
+    path: "/auth/oidc",
+  };
+}
+
+function setBrowserBinding(res, browserBinding) {
+  res.cookie(BROWSER_BINDING_COOKIE, browserBinding, {
+    ...bindingCookieOptions(),
+    maxAge: PENDING_TTL_MS,
+  });
+}
+
+function clearBrowserBinding(res) {
+  res.clearCookie(BROWSER_BINDING_COOKIE, bindingCookieOptions());
+}
+
+function readBrowserBinding(req) {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (
+      index !== -1 &&
+      pair.slice(0, index).trim() === BROWSER_BINDING_COOKIE
+    ) {
+      return decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+function matchesBrowserBinding(pending, browserBinding) {
+  if (!pending.bindingHash || !browserBinding) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(pending.bindingHash),
+    Buffer.from(base64url(sha256(browserBinding)))
+  );
+}
+
+// ID 토큰 서명/클레임 검증 (키를 못 찾으면 키 교체로 보고 JWKS 한 번 갱신)
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError(
+      "OIDC_INVALID_ID_TOKEN",
+      "ID 토큰 형식이 올바르지 않습니다"
+    );
+  }
+
+  let { discovery, jwks } = await getMetadata(provider);
+  let jwk = jwks.keys.find((key) => key.kid === decoded.header.kid);
+  if (!jwk) {
+    ({ discovery, jwks } = await getMetadata(provider, { refresh: true }));
+    jwk = jwks.keys.find((key) => key.kid === decoded.header.kid);
+  }
+  if (!jwk) {
+    throw oidcError(
+      "OIDC_INVALID_ID_TOKEN",
+      "ID 토큰 서명 키를 찾을 수 없습니다"
+    );
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(
+      idToken,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      {
+        algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+        issuer: discovery.issuer,
+        audience: provider.clientId,
+      }
+    );
+  } catch (error) {
+    throw oidcError(
+      "OIDC_INVALID_ID_TOKEN",
+      `ID 토큰 검증 실패: ${error.message}`
+    );
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError(
+      "OIDC_INVALID_ID_TOKEN",
+      "ID 토큰 nonce가 일치하지 않습니다"
+    );
+  }
+
+  return claims;
+}
+
+/**
+ * IdP 콜백 처리: state와 브라우저 쿠키 확인 → 인가 코드 교환 → ID 토큰 검증
+ * 반환값의 pending에는 인가 요청 시점의 mode/userId가 들어 있습니다.
+ */
+async function handleCallback(provider, { code, state, browserBinding }) {
+  const pending = state ? await store.get(`state:${state}`) : null;
+  if (
+    !pending ||
+    pending.providerId !== provider.id ||
+    !matchesBrowserBinding(pending, browserBinding)
+  ) {
+    throw oidcError(
+      "OIDC_INVALID_STATE",
+      "로그인 요청이 만료되었거나 올바르지 않습니다"
+    );
+  }
+  // state는 한 번만 사용
+  await store.delete(`state:${state}`);
+
+  const { discovery } = await getMetadata(provider);
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: getCallbackUrl(provider.id),
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (provider.clientSecret) {
+    headers.Authorization = `Basic ${Buffer.from(
+      `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(
+        provider.clientSecret
+      )}`
+    ).toString("base64")}`;
+  }
+
+  const tokenResponse = await fetchJson(discovery.token_endpoint, {
+    method: "POST",
+    headers,
+    body: params.toString(),
+  });
+
+  if (!tokenResponse.id_token) {
+    throw oidcError(
+      "OIDC_INVALID_ID_TOKEN",
+      "IdP가 ID 토큰을 반환하지 않았습니다"
+    );
+  }
+
+  const claims = await verifyIdToken(
+    provider,
+    tokenResponse.id_token,
+    pending.nonce
+  );
+
+  return { pending, claims };
+}
+
+// IdP에서 다단계 인증을 거쳤는지 (amr 클레임 기준)
+function isMultiFactor(claims) {
+  const mfaMethods = ["mfa", "otp", "hwk", "swk", "sms", "fpt"];
+  return (
+    Array.isArray(claims.amr) &&
+    claims.amr.some((method) => mfaMethods.includes(method))
+  );
+}
+
+// 콜백 → 프론트엔드로 넘겨줄 일회용 로그인 티켓 (토큰을 URL에 노출하지 않기 위함)
+async function issueLoginTicket(payload) {
+  const ticket = base64url(crypto.randomBytes(32));
+  await store.set(`ticket:${ticket}`, payload, TICKET_TTL_MS);
+  return ticket;
+}
+
+async function redeemLoginTicket(ticket) {
+  if (!ticket) return null;
+  const payload = await store.get(`ticket:${ticket}`);
+  if (payload) {
+    await store.delete(`ticket:${ticket}`);
+  }
+  return payload;
+}
+
+module.exports = {
+  setOidcStore,
+  getProvider,
+  listProviders,
+  getCallbackUrl,
+  createAuthorizationRequest,
+  setBrowserBinding,
+  clearBrowserBinding,
+  readBrowserBinding,
+  handleCallback,
+  isMultiFactor,
+  issueLoginTicket,
+  redeemLoginTicket,
+};
@@ -0,0 +1,178 @@
+// src/services/passwordPolicy.js - 비밀번호 정책 검사 및 재사용 이력 관리
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcrypt");
+const { config } = require("../config/env");
+
+const DENYLIST_PATH = path.join(__dirname, "../data/common-passwords.txt");
+
+let denylist = null;
+
+// 흔한 비밀번호 목록은 처음 검사할 때 한 번만 읽음
+function getDenylist() {
+  if (!denylist) {
+    denylist = new Set(
+      fs
+        .readFileSync(DENYLIST_PATH, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return denylist;
+}
+
+// 클라이언트 안내용 정책 요약
+function describePasswordPolicy() {
+  const { denylistEnabled, ...policy } = config.passwordPolicy;
+  return { ...policy, denylist: denylistEnabled };
+}
+
+/**
+ * 비밀번호가 정책을 만족하는지 검사합니다.
+ * 위반 항목을 모두 모아 [{ code, message }] 배열로 반환합니다 (빈 배열이면 통과).
+ * context.email을 넘기면 이메일 아이디가 포함된 비밀번호도 거부합니다.
+ */
+function validatePassword(password, context = {}) {
+  const policy = config.passwordPolicy;
+  const violations = [];
+
+  if (typeof password !== "string") {
+    return [{ code: "PASSWORD_REQUIRED", message: "비밀번호를 입력해주세요" }];
+  }
+
+  if (password.length < policy.minLength) {
+    violations.push({
+      code: "PASSWORD_TOO_SHORT",
+      message: `비밀번호는 최소 ${policy.minLength}자 이상이어야 합니다`,
+    });
+  }
+
+  if (password.length > policy.maxLength) {
+    violations.push({
+      code: "PASSWORD_TOO_LONG",
+      message: `비밀번호는 최대 ${policy.maxLength}자까지 사용할 수 있습니다`,
+    });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push({
+      code: "PASSWORD_MISSING_LOWERCASE",
+      message: "영문 소문자를 포함해야 합니다",
+    });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push({
+      code: "PASSWORD_MISSING_UPPERCASE",
+      message: "영문 대문자를 포함해야 합니다",
+    });
+  }
+
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    violations.push({
+      code: "PASSWORD_MISSING_DIGIT",
+      message: "숫자를 포함해야 합니다",
+    });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push({
+      code: "PASSWORD_MISSING_SYMBOL",
+      message: "특수문자를 포함해야 합니다",
+    });
+  }
+
+  if (policy.denylistEnabled && getDenylist().has(password.toLowerCase())) {
+    violations.push({
+      code: "PASSWORD_TOO_COMMON",
+      message: "너무 흔하거나 유출된 적이 있는 비밀번호입니다",
+    });
+  }
+
+  const emailName = context.email
+    ? String(context.email).split("@")[0].toLowerCase()
+    : "";
+  if (emailName.length >= 4 && password.toLowerCase().includes(emailName)) {
+    violations.push({
+      code: "PASSWORD_CONTAINS_EMAIL",
+      message: "비밀번호에 이메일 아이디를 포함할 수 없습니다",
+    });
+  }
+
+  return violations;
+}
+
+// 정책 위반 응답 (라우터 공통)
+function sendPolicyViolation(res, violations) {
+  return res.status(400).json({
+    error: violations[0].message,
+    code: "PASSWORD_POLICY_VIOLATION",
+    violations,
+    policy: describePasswordPolicy(),
+  });
+}
+
+/**
+ * 현재 비밀번호와 최근 이력 중 같은 비밀번호가 있는지 확인합니다.
+ * historySize는 현재 비밀번호를 포함한 개수입니다.
+ */
+async function isPasswordReused(db, userId, password, currentHash) {
+  const { historySize } = config.passwordPolicy;
+  if (historySize <= 0) return false;
+
+  if (currentHash && (await bcrypt.compare(password, currentHash))) {
+    return true;
+  }
+
+  if (historySize <= 1) return false;
+
+  const history = await db.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    take: historySize - 1,
+    select: { passwordHash: true },
+  });
+
+  for (const entry of history) {
+    if (await bcrypt.compare(password, entry.passwordHash)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 비밀번호 변경 시 이전 해시를 이력에 남기고 오래된 이력을 정리합니다.
+ * 트랜잭션 안에서 호출할 수 있도록 Prisma 클라이언트(tx)를 받습니다.
+ */
+async function recordPasswordHistory(db, userId, previousHash) {
+  const keep = config.passwordPolicy.historySize - 1;
+
+  if (keep > 0 && previousHash) {
+    await db.passwordHistory.create({
+      data: { userId, passwordHash: previousHash },
+    });
+  }
+
+  const stale = await db.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    skip: Math.max(keep, 0),
+    select: { id: true },
+  });
+
+  if (stale.length > 0) {
+    await db.passwordHistory.deleteMany({
+      where: { id: { in: stale.map((entry) => entry.id) } },
+    });
+  }
+}
+
+module.exports = {
+  describePasswordPolicy,
+  validatePassword,
+  sendPolicyViolation,
+  isPasswordReused,
+  recordPasswordHistory,
+};
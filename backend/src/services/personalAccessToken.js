@@ -0,0 +1,140 @@
+// src/services/personalAccessToken.js - 개인 액세스 토큰 (스크립트/CI용 장기 토큰)
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+const { generateRandomToken, hashToken } = require("../utils/token");
+
+// JWT와 구분하기 위한 접두사
+const PAT_PREFIX = "pat_";
+
+// 발급 가능한 스코프 (write 스코프는 같은 리소스의 read를 포함)
+const PAT_SCOPES = {
+  "users:read": "프로필 조회 및 사용자 검색",
+  "friends:read": "친구 목록 조회",
+  "friends:write": "친구 요청/수락/삭제",
+  "todos:read": "개인 Todo 조회",
+  "todos:write": "개인 Todo 생성/수정/삭제",
+  "workspaces:read": "워크스페이스/멤버 조회",
+  "workspaces:write": "워크스페이스 생성/수정, 멤버 초대",
+  "tasks:read": "워크스페이스 Task 조회",
+  "tasks:write": "워크스페이스 Task 생성/수정/삭제",
+  "chat:read": "채팅 메시지 조회",
+  "chat:write": "채팅 메시지 전송/삭제",
+};
+
+// 마지막 사용 시간은 요청마다 쓰지 않고 이 간격마다 갱신
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+function isPersonalAccessToken(token) {
+  return typeof token === "string" && token.startsWith(PAT_PREFIX);
+}
+
+function isValidScope(scope) {
+  return Object.prototype.hasOwnProperty.call(PAT_SCOPES, scope);
+}
+
+function hasScope(grantedScopes, requiredScope) {
+  if (!Array.isArray(grantedScopes)) return false;
+  if (grantedScopes.includes(requiredScope)) return true;
+
+  const [resource, action] = requiredScope.split(":");
+  return action === "read" && grantedScopes.includes(`${resource}:write`);
+}
+
+// 목록/응답용 필드 (해시는 절대 노출하지 않음)
+const PAT_PUBLIC_SELECT = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+};
+
+/**
+ * 새 토큰을 발급합니다. 평문 토큰은 반환값으로 한 번만 전달되고
+ * DB에는 해시만 저장됩니다.
+ */
+async function createPersonalAccessToken(userId, { name, scopes, expiresAt }) {
+  const token = `${PAT_PREFIX}${generateRandomToken()}`;
+
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      userId,
+      name,
+      scopes,
+      expiresAt,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, PAT_PREFIX.length + 6),
+    },
+    select: PAT_PUBLIC_SELECT,
+  });
+
+  return { token, record };
+}
+
+// 유효한(만료되지 않은) 토큰을 사용자 정보와 함께 조회
+async function findActivePersonalAccessToken(token) {
+  const record = await prisma.personalAccessToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: { id: true, email: true, role: true, isActive: true },
+      },
+    },
+  });
+
+  if (!record) return null;
+  if (record.expiresAt && record.expiresAt < new Date()) return null;
+
+  return record;
+}
+
+// 마지막 사용 시간/IP 기록 (실패해도 요청은 계속 처리)
+async function touchPersonalAccessToken(record, ipAddress) {
+  const lastUsedAt = record.lastUsedAt ? record.lastUsedAt.getTime() : 0;
+  if (
+    Date.now() - lastUsedAt < LAST_USED_UPDATE_INTERVAL_MS &&
+    record.lastUsedIp === ipAddress
+  ) {
+    return;
+  }
+
+  try {
+    await prisma.personalAccessToken.update({
+      where: { id: record.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+    });
+  } catch (error) {
+    console.error("개인 액세스 토큰 사용 기록 실패:", error.message);
+  }
+}
+
+// 생성 요청의 만료 기간(일)을 만료 시각으로 변환 (범위를 벗어나면 null)
+function resolveExpiry(expiresInDays) {
+  const { defaultExpiryDays, maxExpiryDays } = config.personalAccessToken;
+  const days =
+    expiresInDays === undefined || expiresInDays === null
+      ? defaultExpiryDays
+      : Number(expiresInDays);
+
+  if (!Number.isInteger(days) || days < 1 || days > maxExpiryDays) {
+    return null;
+  }
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  PAT_PREFIX,
+  PAT_SCOPES,
+  PAT_PUBLIC_SELECT,
+  isPersonalAccessToken,
+  isValidScope,
+  hasScope,
+  createPersonalAccessToken,
+  findActivePersonalAccessToken,
+  touchPersonalAccessToken,
+  resolveExpiry,
+};
@@ -0,0 +1,248 @@
+// src/services/presence.js - 사용자 접속 상태 (online / away / offline)
+//
+// 사용자는 여러 기기/탭에서 동시에 연결할 수 있으므로 소켓 연결마다 마지막 활동 시각을
+// 저장소에 기록하고, 사용자 상태는 살아 있는 연결들로 계산합니다.
+// - online: 최근 awayAfterMinutes 안에 활동한 연결이 하나라도 있음
+// - away: 연결은 있지만 모두 유휴 상태
+// - offline: 연결 없음
+// 각 서버는 자기에게 연결된 소켓의 정보를 주기적으로 갱신하므로(refreshPresence),
+// 비정상 종료된 서버의 연결은 connectionTtlSeconds가 지나면 사라지고,
+// 남은 서버의 갱신 주기에서 그 사용자들을 offline으로 알립니다.
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+const { MemoryPresenceStore } = require("../utils/presenceStore");
+const { emitToUsers, findFriendIds } = require("./realtime");
+const { BLOCKED, findBlockedRelationIds } = require("./blocks");
+
+let store = new MemoryPresenceStore();
+
+function setPresenceStore(customStore) {
+  store = customStore;
+}
+
+// 이 서버에 연결된 소켓 (socket.id → { userId, lastActiveAt, savedAt })
+const localConnections = new Map();
+
+const connectionTtlMs = () => config.presence.connectionTtlSeconds * 1000;
+const awayAfterMs = () => config.presence.awayAfterMinutes * 60 * 1000;
+const sweepIntervalMs = () => config.presence.sweepIntervalSeconds * 1000;
+
+// 연결 목록으로 사용자 상태 계산
+function resolveState(records, now = Date.now()) {
+  if (records.length === 0) {
+    return { state: "offline", lastActiveAt: null };
+  }
+
+  const lastActiveAt = Math.max(
+    ...records.map((record) => record.lastActiveAt)
+  );
+  return {
+    state: now - lastActiveAt < awayAfterMs() ? "online" : "away",
+    lastActiveAt: new Date(lastActiveAt),
+  };
+}
+
+async function saveLocalConnection(connectionId) {
+  const connection = localConnections.get(connectionId);
+  connection.savedAt = Date.now();
+  await store.setConnection(
+    connection.userId,
+    connectionId,
+    { lastActiveAt: connection.lastActiveAt },
+    connectionTtlMs()
+  );
+}
+
+/**
+ * 사용자 상태를 다시 계산해 바뀌었으면 친구/워크스페이스에 presence_updated 전송
+ * 여러 서버가 동시에 계산해도 저장소의 swapState로 상태를 바꾼 한 곳에서만 알립니다.
+ */
+async function publishState(userId) {
+  const connections = await store.getConnections([userId]);
+  const { state, lastActiveAt } = resolveState(connections.get(userId) || []);
+
+  // offline 상태는 저장소에 남기지 않으므로 이전 상태가 없으면 offline
+  const previous = await store.swapState(userId, state);
+  if ((previous ?? "offline") === state) return;
+
+  let lastSeenAt = null;
+  if (state === "offline") {
+    lastSeenAt = new Date();
+    await prisma.user.updateMany({
+      where: { id: userId },
+      data: { lastSeenAt },
+    });
+  }
+
+  // 워크스페이스 채널 대신 볼 수 있는 사용자에게만 개별 전송 (차단 관계 제외)
+  try {
+    emitToUsers(await findPresenceAudience(userId), "presence_updated", {
+      userId,
+      state,
+      lastActiveAt,
+      lastSeenAt,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("접속 상태 알림 전송 실패:", error.message);
+  }
+}
+
+// 소켓 연결 시 등록
+async function trackConnection(socket) {
+  const userId = socket.user.userId;
+  localConnections.set(socket.id, { userId, lastActiveAt: Date.now() });
+
+  await saveLocalConnection(socket.id);
+  await publishState(userId);
+}
+
+// 소켓 연결 해제 시 제거
+async function untrackConnection(socket) {
+  const connection = localConnections.get(socket.id);
+  if (!connection) return;
+
+  localConnections.delete(socket.id);
+  await store.removeConnection(connection.userId, socket.id);
+  await publishState(connection.userId);
+}
+
+/**
+ * 클라이언트 활동 기록 (소켓으로 이벤트를 받을 때마다 호출)
+ * 자주 호출되므로 저장소는 갱신 주기마다 한 번만 쓰고,
+ * 자리 비움 상태에서 돌아온 경우에만 바로 반영해 알립니다.
+ */
+async function recordActivity(socket) {
+  const connection = localConnections.get(socket.id);
+  if (!connection) return;
+
+  const now = Date.now();
+  const wasIdle = now - connection.lastActiveAt >= awayAfterMs();
+  connection.lastActiveAt = now;
+
+  if (wasIdle) {
+    await saveLocalConnection(socket.id);
+    await publishState(connection.userId);
+  } else if (now - connection.savedAt >= sweepIntervalMs()) {
+    await saveLocalConnection(socket.id);
+  }
+}
+
+/**
+ * 이 서버의 연결 정보 갱신 및 자리 비움 전환 확인 (주기적으로 실행)
+ * 다른 서버가 종료되어 연결이 만료된 사용자도 찾아 offline으로 알립니다.
+ */
+async function refreshPresence() {
+  const userIds = new Set();
+
+  for (const [connectionId, connection] of localConnections) {
+    await saveLocalConnection(connectionId);
+    userIds.add(connection.userId);
+  }
+
+  for (const userId of userIds) {
+    await publishState(userId);
+  }
+
+  const expiredUserIds = await store.expiredUsers();
+  for (const userId of expiredUserIds) {
+    await publishState(userId);
+  }
+
+  return {
+    connections: localConnections.size,
+    users: userIds.size,
+    expired: expiredUserIds.length,
+  };
+}
+
+/**
+ * 여러 사용자의 현재 상태 조회
+ * offline이면 마지막 접속 시각(lastSeenAt)을 함께 반환합니다.
+ */
+async function getPresence(userIds) {
+  const [connections, users] = await Promise.all([
+    store.getConnections(userIds),
+    prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, lastSeenAt: true },
+    }),
+  ]);
+  const lastSeen = new Map(users.map((user) => [user.id, user.lastSeenAt]));
+
+  return userIds.map((userId) => {
+    const { state, lastActiveAt } = resolveState(connections.get(userId) || []);
+    return {
+      userId,
+      state,
+      lastActiveAt,
+      lastSeenAt: state === "offline" ? lastSeen.get(userId) || null : null,
+    };
+  });
+}
+
+// 소유자이거나 수락한 멤버인 워크스페이스 조건
+const memberOf = (userId) => ({
+  OR: [{ ownerId: userId }, { members: { some: { userId, accepted: true } } }],
+});
+
+/**
+ * 접속 상태 변경을 받을 사용자: 본인, 친구, 같은 워크스페이스 멤버 (차단 관계는 제외)
+ * canViewPresence와 같은 기준입니다.
+ */
+async function findPresenceAudience(userId) {
+  const [friendIds, workspaces, blockedIds] = await Promise.all([
+    findFriendIds(userId),
+    prisma.workspace.findMany({
+      where: memberOf(userId),
+      select: {
+        ownerId: true,
+        members: { where: { accepted: true }, select: { userId: true } },
+      },
+    }),
+    findBlockedRelationIds(userId),
+  ]);
+
+  const audience = new Set([userId, ...friendIds]);
+  for (const workspace of workspaces) {
+    audience.add(workspace.ownerId);
+    for (const member of workspace.members) audience.add(member.userId);
+  }
+  for (const blockedId of blockedIds) audience.delete(blockedId);
+
+  return [...audience];
+}
+
+// 접속 상태를 볼 수 있는지: 본인, 친구, 같은 워크스페이스 멤버 (차단 관계는 제외)
+async function canViewPresence(viewerId, userId) {
+  if (viewerId === userId) return true;
+
+  const [friendship, sharedWorkspace] = await Promise.all([
+    prisma.friend.findFirst({
+      where: {
+        OR: [
+          { userId: viewerId, friendId: userId },
+          { userId, friendId: viewerId },
+        ],
+      },
+      select: { status: true },
+    }),
+    prisma.workspace.findFirst({
+      where: { AND: [memberOf(viewerId), memberOf(userId)] },
+      select: { id: true },
+    }),
+  ]);
+
+  if (friendship?.status === BLOCKED) return false;
+  return friendship?.status === "accepted" || !!sharedWorkspace;
+}
+
+module.exports = {
+  setPresenceStore,
+  trackConnection,
+  untrackConnection,
+  recordActivity,
+  refreshPresence,
+  getPresence,
+  canViewPresence,
+};
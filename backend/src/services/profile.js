@@ -0,0 +1,231 @@
+// src/services/profile.js - 프로필 추가 정보(시간대, 언어, 소개) 및 상태 메시지
+const { prisma } = require("../config/database");
+const { broadcastToContacts } = require("./realtime");
+
+const PROFILE_TEXT_LIMITS = {
+  bio: 500,
+  jobTitle: 100,
+  department: 100,
+};
+const STATUS_TEXT_MAX_LENGTH = 100;
+const STATUS_EMOJI_MAX_LENGTH = 32;
+
+// 다른 사용자에게 보여줄 프로필 필드
+const PROFILE_SELECT = {
+  timezone: true,
+  locale: true,
+  bio: true,
+  jobTitle: true,
+  department: true,
+  statusText: true,
+  statusEmoji: true,
+  statusExpiresAt: true,
+};
+
+const SUPPORTED_TIMEZONES = new Set(Intl.supportedValuesOf("timeZone"));
+
+// IANA 시간대 이름을 정규화 (지원하지 않으면 null)
+function normalizeTimezone(value) {
+  try {
+    const timezone = new Intl.DateTimeFormat("en-US", {
+      timeZone: value,
+    }).resolvedOptions().timeZone;
+    return SUPPORTED_TIMEZONES.has(timezone) || timezone === "UTC"
+      ? timezone
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// BCP 47 언어 태그를 정규화 (예: ko-kr → ko-KR, 잘못된 태그면 null)
+function normalizeLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(value)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 상태 메시지 입력 검증
+ * body.status: null(삭제) 또는 { text, emoji, expiresAt | expiresInMinutes }
+ * 반환값 { data } 또는 { error }
+ */
+function parseStatus(status) {
+  if (status === null) {
+    return {
+      data: { statusText: null, statusEmoji: null, statusExpiresAt: null },
+    };
+  }
+
+  if (typeof status !== "object" || Array.isArray(status)) {
+    return { error: "status는 객체 또는 null 이어야 합니다" };
+  }
+
+  const text = typeof status.text === "string" ? status.text.trim() : "";
+  const emoji = typeof status.emoji === "string" ? status.emoji.trim() : "";
+
+  if (!text && !emoji) {
+    return { error: "상태 메시지나 이모지 중 하나는 입력해야 합니다" };
+  }
+  if (text.length > STATUS_TEXT_MAX_LENGTH) {
+    return {
+      error: `상태 메시지는 ${STATUS_TEXT_MAX_LENGTH}자 이하여야 합니다`,
+    };
+  }
+  if (emoji.length > STATUS_EMOJI_MAX_LENGTH) {
+    return { error: "상태 이모지가 너무 깁니다" };
+  }
+
+  let expiresAt = null;
+  if (
+    status.expiresInMinutes !== undefined &&
+    status.expiresInMinutes !== null
+  ) {
+    const minutes = Number(status.expiresInMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return { error: "expiresInMinutes는 1 이상의 정수여야 합니다" };
+    }
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  } else if (status.expiresAt) {
+    expiresAt = new Date(status.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: "expiresAt은 미래의 날짜여야 합니다" };
+    }
+  }
+
+  return {
+    data: {
+      statusText: text || null,
+      statusEmoji: emoji || null,
+      statusExpiresAt: expiresAt,
+    },
+  };
+}
+
+/**
+ * PATCH /users/me 의 프로필 필드 검증
+ * 빈 문자열 또는 null이면 해당 값을 삭제합니다.
+ * 반환값 { data, statusChanged } 또는 { error }
+ */
+function parseProfileUpdate(body) {
+  const data = {};
+
+  if (body.timezone !== undefined) {
+    if (body.timezone === null || body.timezone === "") {
+      data.timezone = null;
+    } else {
+      const timezone =
+        typeof body.timezone === "string"
+          ? normalizeTimezone(body.timezone)
+          : null;
+      if (!timezone) {
+        return {
+          error: "timezone은 IANA 시간대 이름이어야 합니다 (예: Asia/Seoul)",
+        };
+      }
+      data.timezone = timezone;
+    }
+  }
+
+  if (body.locale !== undefined) {
+    if (body.locale === null || body.locale === "") {
+      data.locale = null;
+    } else {
+      const locale =
+        typeof body.locale === "string" ? normalizeLocale(body.locale) : null;
+      if (!locale) {
+        return { error: "locale은 BCP 47 언어 태그여야 합니다 (예: ko-KR)" };
+      }
+      data.locale = locale;
+    }
+  }
+
+  for (const [field, maxLength] of Object.entries(PROFILE_TEXT_LIMITS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value !== null && typeof value !== "string") {
+      return { error: `${field}는 문자열이어야 합니다` };
+    }
+
+    const trimmed = value === null ? "" : value.trim();
+    if (trimmed.length > maxLength) {
+      return { error: `${field}는 ${maxLength}자 이하여야 합니다` };
+    }
+    data[field] = trimmed || null;
+  }
+
+  if (body.status !== undefined) {
+    const status = parseStatus(body.status);
+    if (status.error) return { error: status.error };
+    Object.assign(data, status.data);
+  }
+
+  return { data, statusChanged: body.status !== undefined };
+}
+
+// 응답용 상태 객체 (만료되었거나 없으면 null)
+function serializeStatus(user) {
+  if (!user.statusText && !user.statusEmoji) return null;
+  if (user.statusExpiresAt && user.statusExpiresAt <= new Date()) return null;
+
+  return {
+    text: user.statusText,
+    emoji: user.statusEmoji,
+    expiresAt: user.statusExpiresAt,
+  };
+}
+
+// DB 필드를 응답 형태로 변환 (status 필드로 묶음)
+function formatProfile(user) {
+  const { statusText, statusEmoji, statusExpiresAt, ...rest } = user;
+  return {
+    ...rest,
+    status: serializeStatus({ statusText, statusEmoji, statusExpiresAt }),
+  };
+}
+
+// 친구와 같은 워크스페이스 사용자에게 상태 변경 알림
+function broadcastStatus(userId, status) {
+  return broadcastToContacts(userId, "user_status_updated", {
+    userId,
+    status,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// 만료된 상태 메시지 정리 후 알림 (주기적으로 실행)
+async function clearExpiredStatuses() {
+  const now = new Date();
+  const users = await prisma.user.findMany({
+    where: { statusExpiresAt: { lte: now } },
+    select: { id: true },
+  });
+
+  if (users.length === 0) return { clearedStatuses: 0 };
+
+  // 그 사이 새 상태를 설정한 사용자는 제외되도록 만료 조건을 다시 걸어 정리
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: { in: users.map((user) => user.id) },
+      statusExpiresAt: { lte: now },
+    },
+    data: { statusText: null, statusEmoji: null, statusExpiresAt: null },
+  });
+
+  for (const user of users) {
+    await broadcastStatus(user.id, null);
+  }
+
+  return { clearedStatuses: count };
+}
+
+module.exports = {
+  PROFILE_SELECT,
+  parseProfileUpdate,
+  formatProfile,
+  broadcastStatus,
+  clearExpiredStatuses,
+};
@@ -0,0 +1,82 @@
+// src/services/realtime.js - HTTP 라우트에서 Socket.IO 이벤트를 보내기 위한 연결부
+//
+// API 서버와 Socket.IO 서버는 같은 프로세스에서 실행되므로 initializeSocket에서
+// io 인스턴스를 등록해두고 라우트/서비스에서 사용합니다.
+// io가 등록되지 않은 경우(스크립트 실행 등) 이벤트는 조용히 무시됩니다.
+const { prisma } = require("../config/database");
+
+let io = null;
+
+function setIO(instance) {
+  io = instance;
+}
+
+// 사용자 개인 채널로 이벤트 전송
+function emitToUsers(userIds, event, payload) {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map((userId) => `user_${userId}`)).emit(event, payload);
+}
+
+// 워크스페이스 채널로 이벤트 전송
+function emitToWorkspaces(workspaceIds, event, payload) {
+  if (!io || workspaceIds.length === 0) return;
+  io.to(workspaceIds.map((wsId) => `workspace_${wsId}`)).emit(event, payload);
+}
+
+// 사용자의 친구(수락된 관계) ID 목록
+async function findFriendIds(userId) {
+  const friendships = await prisma.friend.findMany({
+    where: {
+      status: "accepted",
+      OR: [{ userId }, { friendId: userId }],
+    },
+    select: { userId: true, friendId: true },
+  });
+
+  return friendships.map((friendship) =>
+    friendship.userId === userId ? friendship.friendId : friendship.userId
+  );
+}
+
+// 사용자가 소유하거나 참여 중인 워크스페이스 ID 목록
+async function findWorkspaceIds(userId) {
+  const workspaces = await prisma.workspace.findMany({
+    where: {
+      OR: [
+        { ownerId: userId },
+        { members: { some: { userId, accepted: true } } },
+      ],
+    },
+    select: { id: true },
+  });
+
+  return workspaces.map((workspace) => workspace.id);
+}
+
+/**
+ * 사용자와 관련된 사람들(친구 + 같은 워크스페이스)에게 이벤트를 보냅니다.
+ * 실패해도 호출한 요청은 계속 처리되도록 오류는 로그만 남깁니다.
+ */
+async function broadcastToContacts(userId, event, payload) {
+  if (!io) return;
+
+  try {
+    const [friendIds, workspaceIds] = await Promise.all([
+      findFriendIds(userId),
+      findWorkspaceIds(userId),
+    ]);
+
+    emitToUsers(friendIds, event, payload);
+    emitToWorkspaces(workspaceIds, event, payload);
+  } catch (error) {
+    console.error(`실시간 이벤트 전송 실패 (${event}):`, error.message);
+  }
+}
+
+module.exports = {
+  setIO,
+  emitToUsers,
+  emitToWorkspaces,
+  findFriendIds,
+  broadcastToContacts,
+};
@@ -0,0 +1,383 @@
+// src/services/recurringTodos.js - 반복 개인 Todo (RRULE)
+//
+// 반복 Todo는 시리즈(personal_todo_series)에 규칙과 템플릿(제목, 설명, 우선순위, 공개 범위)을 저장하고,
+// 실제 Todo는 한 회차씩 만듭니다. 회차를 완료(또는 삭제)하면 다음 회차가 생성되며,
+// 아직 만들어지지 않은 회차는 GET /me/todos?from&to 조회 시 계산해서 보여줍니다.
+// 회차 시각은 startDate가 있으면 startDate, 없으면 dueDate 기준이고 나머지 날짜는 오프셋으로 저장합니다.
+const crypto = require("crypto");
+const { prisma } = require("../config/database");
+const {
+  parseRRule,
+  nextOccurrence,
+  occurrencesFrom,
+} = require("../utils/rrule");
+
+// 수정/삭제 범위: 이 회차만 / 시리즈 전체
+const EDIT_SCOPES = ["occurrence", "series"];
+
+// 시리즈 전체 수정 시 다른 회차에도 반영하는 필드
+const SERIES_TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "visibility",
+];
+
+// 한 번의 조회에서 계산하는 최대 회차 수
+const OCCURRENCE_EXPANSION_LIMIT = 500;
+
+// 회차를 계산하는 조회 기간(from ~ to)의 최대 일수
+const OCCURRENCE_RANGE_MAX_DAYS = 366;
+
+// 사용자당 최대 반복 시리즈 수 (완료하지 않은 회차가 남아 있는 시리즈만 셈)
+const SERIES_LIMIT = 100;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * 회차 기준 시각과 시작/마감일 오프셋
+ * 반환값 { dtstart, startOffsetMinutes, dueOffsetMinutes } 또는 { error }
+ */
+function seriesSchedule(startDate, dueDate) {
+  const anchor = startDate || dueDate;
+  if (!anchor) {
+    return { error: "반복 Todo는 startDate 또는 dueDate가 필요합니다" };
+  }
+  return {
+    dtstart: anchor,
+    startOffsetMinutes: startDate ? 0 : null,
+    dueOffsetMinutes: dueDate
+      ? Math.round((dueDate.getTime() - anchor.getTime()) / MINUTE_MS)
+      : null,
+  };
+}
+
+// 회차 시각으로 시작/마감일 계산
+function occurrenceDates(series, occurrenceDate) {
+  const at = (offset) =>
+    offset === null
+      ? null
+      : new Date(occurrenceDate.getTime() + offset * MINUTE_MS);
+  return {
+    startDate: at(series.startOffsetMinutes),
+    dueDate: at(series.dueOffsetMinutes),
+  };
+}
+
+// 요청의 recurrence 값 검증 (null은 반복 해제)
+function parseRecurrence(recurrence) {
+  if (recurrence === null) return { rrule: null };
+
+  const parsed = parseRRule(recurrence);
+  if (parsed.error) {
+    return { error: parsed.error, code: "INVALID_RRULE" };
+  }
+  return { rrule: parsed.rrule };
+}
+
+/**
+ * 새 시리즈 데이터 (회차 Todo에서 seriesId로 참조할 수 있도록 ID를 미리 생성)
+ * 요일/날짜 계산은 사용자의 시간대 기준이며, 시간대를 설정하지 않았으면 UTC입니다.
+ * 반환값 { series } 또는 { error, code } (시리즈 수 초과)
+ */
+async function buildSeriesData(userId, rrule, schedule, template) {
+  const [user, seriesCount] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { timezone: true },
+    }),
+    prisma.personalTodoSeries.count({
+      where: {
+        userId,
+        todos: { some: { status: { not: "completed" } } },
+      },
+    }),
+  ]);
+  if (seriesCount >= SERIES_LIMIT) {
+    return {
+      error: `반복 Todo는 최대 ${SERIES_LIMIT}개까지 만들 수 있습니다`,
+      code: "SERIES_LIMIT_EXCEEDED",
+    };
+  }
+
+  const series = {
+    id: crypto.randomUUID(),
+    userId,
+    rrule,
+    timezone: user?.timezone || "UTC",
+    ...schedule,
+    title: template.title,
+    description: template.description ?? null,
+    priority: template.priority,
+    visibility: template.visibility,
+  };
+  return { series };
+}
+
+/**
+ * 시리즈 전체 수정 작업 목록 ($transaction 배열용)
+ * updateData: 이 회차에 적용할 변경 (날짜는 Date로 변환된 상태)
+ * recurrence: { rrule } (undefined이면 규칙 유지, rrule이 null이면 반복 해제)
+ * 날짜나 규칙이 바뀌면 이 회차를 첫 회차로 시리즈를 다시 시작하므로 COUNT도 여기서부터 셉니다.
+ * 이때 이전 일정으로 만든 완료하지 않은 회차는 삭제하고, 이 회차 이후의 완료한 회차는 일반 Todo로 남겨
+ * 다음 회차가 새 일정으로 생성되도록 합니다 (restarted: true).
+ * 반환값 { operations, restarted } 또는 { error }
+ */
+async function buildSeriesEdit(todo, updateData, shares, recurrence) {
+  if (recurrence && recurrence.rrule === null) {
+    return {
+      operations: [
+        prisma.personalTodoSeries.delete({ where: { id: todo.seriesId } }),
+      ],
+    };
+  }
+
+  const template = {};
+  for (const field of SERIES_TEMPLATE_FIELDS) {
+    if (updateData[field] !== undefined) template[field] = updateData[field];
+  }
+
+  const seriesUpdate = { ...template };
+  const restarted =
+    !!recurrence || "startDate" in updateData || "dueDate" in updateData;
+  if (restarted) {
+    const schedule = seriesSchedule(
+      "startDate" in updateData ? updateData.startDate : todo.startDate,
+      "dueDate" in updateData ? updateData.dueDate : todo.dueDate
+    );
+    if (schedule.error) return { error: schedule.error };
+
+    Object.assign(seriesUpdate, schedule);
+    if (recurrence) seriesUpdate.rrule = recurrence.rrule;
+    updateData.occurrenceDate = schedule.dtstart;
+  }
+
+  const operations = [
+    prisma.personalTodoSeries.update({
+      where: { id: todo.seriesId },
+      data: seriesUpdate,
+    }),
+  ];
+
+  // 같은 시리즈의 완료되지 않은 다른 회차 (일정이 바뀌면 삭제, 아니면 변경 내용 반영)
+  const others = await prisma.personalTodo.findMany({
+    where: {
+      seriesId: todo.seriesId,
+      id: { not: todo.id },
+      status: { not: "completed" },
+    },
+    select: { id: true },
+  });
+  const otherIds = others.map((other) => other.id);
+
+  if (restarted) {
+    operations.push(
+      prisma.personalTodo.deleteMany({ where: { id: { in: otherIds } } }),
+      prisma.personalTodo.updateMany({
+        where: {
+          seriesId: todo.seriesId,
+          id: { not: todo.id },
+          occurrenceDate: { gt: updateData.occurrenceDate },
+        },
+        data: { seriesId: null },
+      })
+    );
+    return { operations, restarted };
+  }
+
+  if (otherIds.length > 0 && Object.keys(template).length > 0) {
+    operations.push(
+      prisma.personalTodo.updateMany({
+        where: { id: { in: otherIds } },
+        data: template,
+      })
+    );
+  }
+  if (otherIds.length > 0 && shares) {
+    operations.push(
+      prisma.personalTodoShare.deleteMany({
+        where: { todoId: { in: otherIds } },
+      }),
+      prisma.personalTodoShare.createMany({
+        data: otherIds.flatMap((todoId) =>
+          shares.map((share) => ({ todoId, ...share }))
+        ),
+      })
+    );
+  }
+
+  return { operations, restarted };
+}
+
+/**
+ * 회차를 완료하거나 삭제했을 때 다음 회차 생성
+ * 이미 뒤의 회차가 있거나(이전 회차를 늦게 완료한 경우) 규칙이 끝났으면 만들지 않습니다.
+ * 다음 회차 생성은 부가 작업이므로 실패해도 호출한 요청은 계속 처리되도록 오류는 로그만 남깁니다.
+ */
+async function generateNextOccurrence(todo) {
+  if (!todo.seriesId || !todo.occurrenceDate) return null;
+
+  try {
+    const series = await prisma.personalTodoSeries.findUnique({
+      where: { id: todo.seriesId },
+    });
+    if (!series) return null;
+
+    const later = await prisma.personalTodo.findFirst({
+      where: {
+        seriesId: series.id,
+        occurrenceDate: { gt: todo.occurrenceDate },
+      },
+      select: { id: true },
+    });
+    if (later) return null;
+
+    const { rule } = parseRRule(series.rrule);
+    const next = nextOccurrence(
+      rule,
+      series.dtstart,
+      series.timezone,
+      todo.occurrenceDate
+    );
+    if (!next) return null;
+
+    // 지정한 친구/그룹에만 공개하는 시리즈는 이전 회차의 공유 대상을 이어받음
+    const shares =
+      series.visibility === "custom"
+        ? await prisma.personalTodoShare.findMany({
+            where: { todoId: todo.id },
+            select: { userId: true, groupId: true },
+          })
+        : [];
+
+    return await prisma.personalTodo.create({
+      data: {
+        userId: series.userId,
+        seriesId: series.id,
+        occurrenceDate: next,
+        title: series.title,
+        description: series.description,
+        priority: series.priority,
+        visibility: series.visibility,
+        ...occurrenceDates(series, next),
+        ...(shares.length > 0 && { shares: { create: shares } }),
+      },
+    });
+  } catch (error) {
+    // 동시에 같은 회차를 만든 경우
+    if (error.code === "P2002") return null;
+    console.error("다음 반복 회차 생성 실패:", error.message);
+    return null;
+  }
+}
+
+/**
+ * 회차 하나 삭제 (건너뛰고 다음 회차 생성)
+ * 마지막 회차까지 삭제한 시리즈는 어떤 API로도 다시 접근할 수 없으므로 함께 삭제합니다.
+ */
+async function deleteOccurrence(todo) {
+  await generateNextOccurrence(todo);
+  await prisma.personalTodo.delete({ where: { id: todo.id } });
+
+  if (todo.seriesId) {
+    await prisma.personalTodoSeries.deleteMany({
+      where: { id: todo.seriesId, todos: { none: {} } },
+    });
+  }
+}
+
+/**
+ * 시리즈 전체 삭제 (todo: 삭제를 요청한 회차)
+ * 요청한 회차와 완료되지 않은 회차는 함께 삭제하고, 나머지 완료한 회차는 일반 Todo로 남깁니다.
+ */
+function deleteSeries(todo) {
+  return prisma.$transaction([
+    prisma.personalTodo.deleteMany({
+      where: {
+        seriesId: todo.seriesId,
+        OR: [{ id: todo.id }, { status: { not: "completed" } }],
+      },
+    }),
+    prisma.personalTodoSeries.delete({ where: { id: todo.seriesId } }),
+  ]);
+}
+
+/**
+ * [from, to] 범위에서 아직 생성되지 않은 회차 목록 (회차 시각순, 최대 OCCURRENCE_EXPANSION_LIMIT개)
+ * 마지막으로 생성된 회차 이후만 계산하므로, 삭제해서 건너뛴 회차는 다시 나타나지 않습니다.
+ * 시리즈마다 다음 회차를 하나씩 두고 가장 이른 회차부터 꺼내므로(k-way merge),
+ * 개수 제한에 걸려도 앞쪽 시리즈가 뒤쪽 시리즈의 이른 회차를 밀어내지 않습니다.
+ * filters.priority를 주면 그 우선순위의 시리즈만 계산합니다.
+ */
+async function expandOccurrences(userId, from, to, filters = {}) {
+  const seriesList = await prisma.personalTodoSeries.findMany({
+    where: {
+      userId,
+      ...(filters.priority && { priority: filters.priority }),
+    },
+    include: {
+      todos: {
+        select: { occurrenceDate: true },
+        orderBy: { occurrenceDate: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  // 시리즈별 회차 계산기와 아직 꺼내지 않은 다음 회차
+  const cursors = [];
+  for (const series of seriesList) {
+    const latest = series.todos[0]?.occurrenceDate;
+    const { rule } = parseRRule(series.rrule);
+    if (!latest || !rule) continue;
+
+    const dates = occurrencesFrom(
+      rule,
+      series.dtstart,
+      series.timezone,
+      new Date(Math.max(from.getTime(), latest.getTime() + 1))
+    );
+    cursors.push({ series, dates, next: dates.next().value });
+  }
+
+  const occurrences = [];
+  while (occurrences.length < OCCURRENCE_EXPANSION_LIMIT) {
+    let earliest = null;
+    for (const cursor of cursors) {
+      if (!cursor.next || cursor.next > to) continue;
+      if (!earliest || cursor.next < earliest.next) earliest = cursor;
+    }
+    if (!earliest) break;
+
+    const { series, next: date } = earliest;
+    occurrences.push({
+      id: null,
+      seriesId: series.id,
+      occurrenceDate: date,
+      title: series.title,
+      description: series.description,
+      status: "pending",
+      priority: series.priority,
+      visibility: series.visibility,
+      ...occurrenceDates(series, date),
+      recurrence: series.rrule,
+      isVirtual: true,
+    });
+    earliest.next = earliest.dates.next().value;
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  EDIT_SCOPES,
+  OCCURRENCE_RANGE_MAX_DAYS,
+  seriesSchedule,
+  parseRecurrence,
+  buildSeriesData,
+  buildSeriesEdit,
+  generateNextOccurrence,
+  deleteOccurrence,
+  deleteSeries,
+  expandOccurrences,
+};
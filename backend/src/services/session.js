@@ -0,0 +1,92 @@
+// src/services/session.js - 로그인 세션(리프레시 토큰 패밀리) 발급
+const { prisma } = require("../config/database");
+const { generateTokens } = require("../middleware/auth");
+const { getClientInfo } = require("../utils/device");
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 인증을 마친 사용자에게 새 로그인 세션을 발급합니다.
+ * 비밀번호 로그인, 2단계 인증 등 모든 로그인 경로가 이 함수를 거칩니다.
+ * 리프레시 토큰 저장에 실패해도 액세스 토큰만으로 로그인은 진행됩니다.
+ */
+async function createLoginSession(req, user, options = {}) {
+  // 마지막 로그인 시간 업데이트 - 에러가 발생해도 로그인은 계속 진행
+  try {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() },
+    });
+    console.log("로그인 시간 업데이트 성공");
+  } catch (updateError) {
+    console.error(
+      "로그인 시간 업데이트 실패 (무시하고 계속 진행):",
+      updateError.message
+    );
+  }
+
+  console.log("토큰 생성 시작...");
+  const { accessToken, refreshToken, familyId } = generateTokens(
+    user.id,
+    user.email,
+    user.role,
+    options
+  );
+
+  console.log("리프레시 토큰 데이터베이스 저장 중...");
+
+  // 만료된 리프레시 토큰만 정리하고 새 세션 생성 (다른 기기의 세션은 유지)
+  try {
+    await prisma.refreshToken.deleteMany({
+      where: { userId: user.id, expiresAt: { lt: new Date() } },
+    });
+
+    await prisma.refreshToken.create({
+      data: {
+        token: refreshToken,
+        userId: user.id,
+        familyId,
+        ...getClientInfo(req),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      },
+    });
+    console.log("새 리프레시 토큰 저장 완료");
+  } catch (refreshTokenError) {
+    console.error("리프레시 토큰 저장 실패:", refreshTokenError);
+    console.log("리프레시 토큰 저장 실패했지만 로그인 계속 진행");
+    return { accessToken, refreshToken: null, familyId };
+  }
+
+  return { accessToken, refreshToken, familyId };
+}
+
+// 로그인 성공 응답 본문 구성
+function buildLoginResponse(user, tokens) {
+  const responseData = {
+    user: {
+      id: user.id,
+      email: user.email,
+      nickname: user.nickname,
+      role: user.role,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      // 탈퇴 유예 중이면 예정 시각 (프론트엔드에서 취소 안내)
+      deletionScheduledAt: user.deletionScheduledAt ?? null,
+    },
+    accessToken: tokens.accessToken,
+  };
+
+  // 리프레시 토큰이 성공적으로 저장된 경우만 포함
+  if (tokens.refreshToken) {
+    responseData.refreshToken = tokens.refreshToken;
+  }
+
+  return responseData;
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  createLoginSession,
+  buildLoginResponse,
+};
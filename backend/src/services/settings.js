@@ -0,0 +1,57 @@
+// src/services/settings.js - 관리자가 변경 가능한 시스템 설정
+const { prisma } = require("../config/database");
+const { config } = require("../config/env");
+
+// 설정 키와 기본값 (DB에 값이 없으면 환경 변수 기본값 사용)
+const SETTING_DEFAULTS = {
+  requireAdminTwoFactor: config.security.requireAdminTwoFactor,
+};
+
+// 값은 JSON 문자열로 저장
+async function getSetting(key) {
+  if (!(key in SETTING_DEFAULTS)) {
+    throw new Error(`알 수 없는 설정 키입니다: ${key}`);
+  }
+
+  const row = await prisma.systemSetting.findUnique({ where: { key } });
+  if (!row) return SETTING_DEFAULTS[key];
+
+  try {
+    return JSON.parse(row.value);
+  } catch (error) {
+    console.error(`설정 값 파싱 실패 (${key}), 기본값 사용:`, error.message);
+    return SETTING_DEFAULTS[key];
+  }
+}
+
+async function setSetting(key, value) {
+  if (!(key in SETTING_DEFAULTS)) {
+    throw new Error(`알 수 없는 설정 키입니다: ${key}`);
+  }
+
+  const serialized = JSON.stringify(value);
+  await prisma.systemSetting.upsert({
+    where: { key },
+    update: { value: serialized },
+    create: { key, value: serialized },
+  });
+
+  return value;
+}
+
+async function getAllSettings() {
+  const entries = await Promise.all(
+    Object.keys(SETTING_DEFAULTS).map(async (key) => [
+      key,
+      await getSetting(key),
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+module.exports = {
+  SETTING_DEFAULTS,
+  getSetting,
+  setSetting,
+  getAllSettings,
+};
@@ -0,0 +1,118 @@
+// src/services/socketSessions.js - 사용자별 실시간 소켓 연결 목록 (강제 연결 해제용)
+//
+// Socket.IO는 핸드셰이크 때 한 번만 토큰을 확인하므로, 로그아웃/비활성화 등으로
+// 세션이 무효화되면 HTTP 라우트에서 이 모듈을 통해 해당 소켓을 끊습니다.
+// 단일 서버 기준 인메모리 목록입니다. 여러 서버를 띄우는 경우
+// Socket.IO 어댑터(Redis 등)로 연결 해제 요청을 전달하도록 교체해야 합니다.
+
+// 연결 해제 사유 코드 → 클라이언트에 보낼 안내 메시지
+const REVOCATION_REASONS = {
+  LOGGED_OUT: "로그아웃되었습니다.",
+  SESSION_REVOKED: "세션이 종료되었습니다. 다시 로그인해주세요.",
+  ACCOUNT_DEACTIVATED: "비활성화된 계정입니다.",
+  ROLE_CHANGED: "권한이 변경되었습니다. 다시 연결해주세요.",
+  PASSWORD_CHANGED: "비밀번호가 변경되어 다시 로그인이 필요합니다.",
+  PASSWORD_RESET: "비밀번호가 재설정되어 다시 로그인이 필요합니다.",
+  ACCOUNT_DELETION_SCHEDULED: "회원 탈퇴가 예약되어 연결이 종료되었습니다.",
+  TOKEN_EXPIRED:
+    "액세스 토큰이 만료되었습니다. 토큰을 갱신한 뒤 다시 연결해주세요.",
+};
+
+// setTimeout 최대 지연 시간 (약 24.8일)
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// userId → Set<socket>
+const socketsByUser = new Map();
+
+// 토큰 만료 시각에 연결을 다시 확인하도록 타이머 설정
+function scheduleTokenExpiry(socket) {
+  clearTimeout(socket.data.tokenExpiryTimer);
+  if (!socket.user.exp) return;
+
+  const delay = socket.user.exp * 1000 - Date.now();
+  socket.data.tokenExpiryTimer = setTimeout(
+    () => {
+      // 그 사이 reauthenticate로 새 토큰을 받았다면 다시 예약
+      if (socket.user.exp * 1000 > Date.now()) {
+        scheduleTokenExpiry(socket);
+        return;
+      }
+      unregisterSocket(socket);
+      disconnectSocket(socket, "TOKEN_EXPIRED");
+    },
+    Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS)
+  );
+}
+
+function registerSocket(socket) {
+  const userId = socket.user.userId;
+  if (!socketsByUser.has(userId)) {
+    socketsByUser.set(userId, new Set());
+  }
+  socketsByUser.get(userId).add(socket);
+  scheduleTokenExpiry(socket);
+}
+
+function unregisterSocket(socket) {
+  clearTimeout(socket.data.tokenExpiryTimer);
+
+  const sockets = socketsByUser.get(socket.user.userId);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    socketsByUser.delete(socket.user.userId);
+  }
+}
+
+// 연결 중에 갱신한 액세스 토큰으로 소켓 사용자 정보 교체
+function updateSocketUser(socket, decoded) {
+  socket.user = decoded;
+  scheduleTokenExpiry(socket);
+}
+
+// 사유를 알린 뒤 연결 종료
+function disconnectSocket(socket, reason) {
+  socket.emit("session_revoked", {
+    reason,
+    message: REVOCATION_REASONS[reason] || REVOCATION_REASONS.SESSION_REVOKED,
+  });
+  socket.disconnect(true);
+  console.log(
+    `🔌 Socket 강제 연결 해제: ${socket.id} (사용자 ID: ${socket.user.userId}, 사유: ${reason})`
+  );
+}
+
+/**
+ * 사용자의 소켓 연결을 끊습니다.
+ * - sessionId: 해당 로그인 세션(리프레시 토큰 패밀리)의 소켓만
+ * - exceptSessionId: 해당 세션을 제외한 나머지 소켓만 (예: 현재 기기 유지)
+ * 반환값: 끊은 소켓 수
+ */
+function disconnectUserSockets(userId, reason, options = {}) {
+  const sockets = socketsByUser.get(userId);
+  if (!sockets) return 0;
+
+  let count = 0;
+  for (const socket of [...sockets]) {
+    const sessionId = socket.user.sessionId;
+    if (options.sessionId && sessionId !== options.sessionId) continue;
+    if (options.exceptSessionId && sessionId === options.exceptSessionId) {
+      continue;
+    }
+
+    unregisterSocket(socket);
+    disconnectSocket(socket, reason);
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = {
+  REVOCATION_REASONS,
+  registerSocket,
+  unregisterSocket,
+  updateSocketUser,
+  disconnectUserSockets,
+};
@@ -0,0 +1,215 @@
+// src/services/todoVisibility.js - 개인 Todo 공개 범위
+//
+// - private: 나만 보기
+// - friends: 모든 친구에게 공개
+// - custom: 지정한 친구 / 친구 그룹에만 공개 (personal_todo_shares)
+// 어떤 경우든 수락된 친구 관계가 아니면(친구 삭제, 차단 등) 볼 수 없습니다.
+const { prisma } = require("../config/database");
+const { findFriendIds } = require("./realtime");
+const { findGroupFriendIds } = require("./friendGroups");
+
+const TODO_VISIBILITIES = ["private", "friends", "custom"];
+
+// 새 Todo의 기본 공개 범위로 설정할 수 있는 값 (custom은 대상이 필요하므로 제외)
+const DEFAULT_TODO_VISIBILITIES = ["private", "friends"];
+
+const TODO_SHARE_INCLUDE = {
+  shares: { select: { userId: true, groupId: true } },
+};
+
+// 친구 Todo 목록 페이지 크기
+const SHARED_TODO_DEFAULT_LIMIT = 50;
+const SHARED_TODO_MAX_LIMIT = 100;
+
+// 다른 사용자에게 보여줄 Todo 필드
+const SHARED_TODO_SELECT = {
+  id: true,
+  title: true,
+  description: true,
+  status: true,
+  priority: true,
+  startDate: true,
+  dueDate: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// 응답 형태로 변환 (shares → sharedWith)
+function formatTodo({ shares, ...todo }) {
+  if (!shares) return todo;
+  return {
+    ...todo,
+    sharedWith: {
+      userIds: shares
+        .filter((share) => share.userId)
+        .map((share) => share.userId),
+      groupIds: shares
+        .filter((share) => share.groupId)
+        .map((share) => share.groupId),
+    },
+  };
+}
+
+const isIdArray = (value) =>
+  Array.isArray(value) && value.every((id) => typeof id === "string" && id);
+
+/**
+ * 공개 범위 입력 검증 (POST/PATCH /me/todos)
+ * body.visibility, body.sharedWith: { userIds, groupIds } (custom일 때 필수)
+ * current: 수정하는 Todo의 현재 공개 범위 (생성이면 생략)
+ * 반환값 { data, shares } 또는 { error, code }
+ * shares가 undefined이면 공유 대상을 바꾸지 않습니다.
+ */
+async function parseVisibilityInput(userId, body, current) {
+  const data = {};
+  if (body.visibility !== undefined) {
+    if (!TODO_VISIBILITIES.includes(body.visibility)) {
+      return {
+        error: `visibility는 ${TODO_VISIBILITIES.join(", ")} 중 하나여야 합니다`,
+      };
+    }
+    data.visibility = body.visibility;
+  }
+
+  const visibility = data.visibility || current;
+  if (visibility !== "custom") {
+    if (body.sharedWith !== undefined && body.sharedWith !== null) {
+      return {
+        error: "sharedWith는 visibility가 custom일 때만 지정할 수 있습니다",
+      };
+    }
+    // custom에서 다른 범위로 바꾸면 공유 대상 삭제
+    return { data, shares: current === "custom" ? [] : undefined };
+  }
+
+  if (body.sharedWith === undefined && current === "custom") {
+    return { data, shares: undefined };
+  }
+
+  const { userIds = [], groupIds = [] } = body.sharedWith || {};
+  if (!isIdArray(userIds) || !isIdArray(groupIds)) {
+    return { error: "sharedWith.userIds, groupIds는 ID 배열이어야 합니다" };
+  }
+  if (userIds.length === 0 && groupIds.length === 0) {
+    return { error: "공개할 친구나 친구 그룹을 하나 이상 지정해주세요" };
+  }
+
+  const friends = new Set(await findFriendIds(userId));
+  if (userIds.some((id) => !friends.has(id))) {
+    return {
+      error: "친구에게만 공개할 수 있습니다",
+      code: "NOT_FRIENDS",
+    };
+  }
+
+  const uniqueGroupIds = [...new Set(groupIds)];
+  const ownedGroups = await prisma.friendGroup.count({
+    where: { id: { in: uniqueGroupIds }, ownerId: userId },
+  });
+  if (ownedGroups !== uniqueGroupIds.length) {
+    return {
+      error: "친구 그룹을 찾을 수 없습니다",
+      code: "FRIEND_GROUP_NOT_FOUND",
+    };
+  }
+
+  return {
+    data,
+    shares: [
+      ...[...new Set(userIds)].map((id) => ({ userId: id })),
+      ...uniqueGroupIds.map((id) => ({ groupId: id })),
+    ],
+  };
+}
+
+// 공유 대상 교체
+function replaceShares(todoId, shares) {
+  return [
+    prisma.personalTodoShare.deleteMany({ where: { todoId } }),
+    prisma.personalTodoShare.createMany({
+      data: shares.map((share) => ({ todoId, ...share })),
+    }),
+  ];
+}
+
+/**
+ * 친구(viewerId)가 볼 수 있는 Todo 조건
+ * 친구 관계 확인은 호출하는 쪽에서 합니다.
+ * 예: prisma.personalTodo.findMany({ where: { userId, ...visibleTodoWhere(me) } })
+ */
+function visibleTodoWhere(viewerId) {
+  return {
+    OR: [
+      { visibility: "friends" },
+      {
+        visibility: "custom",
+        shares: {
+          some: {
+            OR: [
+              { userId: viewerId },
+              { group: { members: { some: { userId: viewerId } } } },
+            ],
+          },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Todo를 볼 수 있는 친구 ID 목록 (실시간 알림 대상)
+ * todo.shares가 없으면 조회합니다.
+ */
+async function findTodoAudience(todo) {
+  if (todo.visibility === "friends") return findFriendIds(todo.userId);
+  if (todo.visibility !== "custom") return [];
+
+  const shares =
+    todo.shares ||
+    (await prisma.personalTodoShare.findMany({
+      where: { todoId: todo.id },
+      select: { userId: true, groupId: true },
+    }));
+  const groupIds = shares
+    .filter((share) => share.groupId)
+    .map((share) => share.groupId);
+
+  const [friendIds, groupFriendIds] = await Promise.all([
+    findFriendIds(todo.userId),
+    groupIds.length > 0 ? findGroupFriendIds(todo.userId, groupIds) : [],
+  ]);
+
+  const friends = new Set(friendIds);
+  return [
+    ...new Set([
+      ...shares
+        .filter((share) => share.userId && friends.has(share.userId))
+        .map((share) => share.userId),
+      ...groupFriendIds,
+    ]),
+  ];
+}
+
+// 다른 사용자에게 보낼 Todo 정보
+function toSharedTodo(todo) {
+  const shared = {};
+  for (const field of Object.keys(SHARED_TODO_SELECT)) {
+    shared[field] = todo[field];
+  }
+  return shared;
+}
+
+module.exports = {
+  TODO_VISIBILITIES,
+  DEFAULT_TODO_VISIBILITIES,
+  TODO_SHARE_INCLUDE,
+  SHARED_TODO_DEFAULT_LIMIT,
+  SHARED_TODO_MAX_LIMIT,
+  SHARED_TODO_SELECT,
+  formatTodo,
+  parseVisibilityInput,
+  replaceShares,
+  visibleTodoWhere,
+  findTodoAudience,
+  toSharedTodo,
+};
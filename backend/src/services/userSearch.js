@@ -0,0 +1,417 @@
+// src/services/userSearch.js - 사용자 검색 (순위 매기기, 커서 페이지네이션, 관계 정보)
+const { prisma } = require("../config/database");
+const { decompose, extractChosung, isChosungOnly } = require("../utils/hangul");
+const { excludeBlockersWhere } = require("./blocks");
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_QUERY_MAX_LENGTH = 50;
+
+// 오타 허용 단계는 편집 거리를 애플리케이션에서 계산하므로 한 요청에서 확인하는 후보 수를 제한
+const FUZZY_BATCH_SIZE = 100;
+const FUZZY_SCAN_LIMIT = 500;
+
+// 일치 종류 (숫자가 작을수록 상위)
+const MATCH_TYPES = ["exact", "prefix", "contains", "fuzzy"];
+const FUZZY_TIER = 3;
+
+// 같은 일치 종류 안에서의 정렬 (커서도 같은 순서)
+const CANDIDATE_ORDER = [{ nickname: "asc" }, { id: "asc" }];
+
+// 비교용 정규화: 소문자, 공백 제거
+function normalize(text) {
+  return text.normalize("NFC").toLowerCase().replace(/\s+/g, "");
+}
+
+// 닉네임을 저장할 때 함께 저장하는 검색용 필드 (자모 분해, 초성)
+function nicknameSearchFields(nickname) {
+  const normalized = normalize(nickname);
+  return {
+    nicknameJamo: decompose(normalized).slice(0, 768),
+    nicknameChosung: extractChosung(normalized).slice(0, 191),
+  };
+}
+
+// 검색어 길이(자모 기준)에 따라 허용하는 오타 수
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+}
+
+// 글자 단위로 나눈 두 글자 묶음 (오타 허용 후보 검색용)
+function bigrams(text) {
+  const chars = Array.from(text);
+  const result = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    result.add(chars[i] + chars[i + 1]);
+  }
+  return [...result];
+}
+
+/**
+ * pattern과 text의 부분 문자열 사이 최소 편집 거리
+ * (text 안 어느 위치에서든 pattern과 가장 비슷한 구간을 찾음)
+ */
+function substringDistance(pattern, text) {
+  const source = Array.from(pattern);
+  let previous = source.map((_, index) => index + 1);
+  previous.unshift(0);
+  let best = previous[source.length];
+
+  for (const char of text) {
+    const current = [0];
+    for (let i = 1; i <= source.length; i++) {
+      current[i] = Math.min(
+        previous[i] + 1,
+        current[i - 1] + 1,
+        previous[i - 1] + (source[i - 1] === char ? 0 : 1)
+      );
+    }
+    best = Math.min(best, current[source.length]);
+    previous = current;
+  }
+
+  return best;
+}
+
+function parseQuery(rawQuery) {
+  const text = normalize(rawQuery);
+  const jamo = decompose(text);
+  const chosung = isChosungOnly(text);
+
+  return {
+    raw: rawQuery.trim(),
+    text,
+    jamo,
+    chosung,
+    maxTypos: chosung ? 0 : allowedTypos(Array.from(jamo).length),
+  };
+}
+
+/**
+ * 일치 종류별 조건 (정확 → 접두어 → 포함)
+ * 닉네임은 정규화 후 자모로 분해해 저장한 nicknameJamo로 비교합니다.
+ */
+function tierConditions(query) {
+  const exact = [
+    { nicknameJamo: query.jamo },
+    { email: query.text },
+    { email: { startsWith: `${query.text}@` } },
+  ];
+  const prefix = [
+    { nicknameJamo: { startsWith: query.jamo } },
+    { email: { startsWith: query.text } },
+  ];
+  const contains = [
+    { nicknameJamo: { contains: query.jamo } },
+    { email: { contains: query.text } },
+  ];
+  if (query.chosung) {
+    prefix.push({ nicknameChosung: { startsWith: query.text } });
+    contains.push({ nicknameChosung: { contains: query.text } });
+  }
+  return [exact, prefix, contains];
+}
+
+/**
+ * 오타 허용 후보 조건: 검색어의 두 글자 묶음 중 하나라도 포함하는 사용자
+ * (허용 오타 수보다 묶음이 충분히 많아 오타가 있어도 하나는 남음)
+ */
+function fuzzyConditions(query) {
+  return [
+    ...bigrams(query.jamo).map((gram) => ({
+      nicknameJamo: { contains: gram },
+    })),
+    ...bigrams(query.text).map((gram) => ({ email: { contains: gram } })),
+  ];
+}
+
+// 오타 허용 후보의 편집 거리 (닉네임 자모, 이메일 아이디 중 가까운 쪽)
+function fuzzyDistance(user, query) {
+  const jamo = decompose(normalize(user.nickname));
+  const localPart = user.email.toLowerCase().split("@")[0];
+  return Math.min(
+    substringDistance(query.jamo, jamo),
+    substringDistance(query.text, localPart)
+  );
+}
+
+// 커서: 마지막으로 확인한 후보의 [일치 종류, 닉네임, id]
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+// 잘못된 커서면 null
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const valid =
+      Array.isArray(position) &&
+      position.length === 3 &&
+      Number.isInteger(position[0]) &&
+      position[0] >= 0 &&
+      position[0] <= FUZZY_TIER &&
+      position.slice(1).every((value) => typeof value === "string");
+    return valid ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 검색 대상 조건: 활성 사용자, 자기 자신과 나를 차단한 사용자 제외
+function searchableWhere(callerId) {
+  return {
+    id: { not: callerId },
+    isActive: true,
+    ...excludeBlockersWhere(callerId),
+  };
+}
+
+const CANDIDATE_SELECT = {
+  id: true,
+  email: true,
+  nickname: true,
+  avatar: true,
+};
+
+/**
+ * 한 일치 종류의 후보 조건 (상위 종류에 이미 일치한 사용자는 제외)
+ * position이 같은 종류를 가리키면 그 뒤부터 조회합니다.
+ */
+function tierWhere(callerId, tiers, tier, conditions, position) {
+  const and = [{ OR: conditions }];
+  if (tier > 0) {
+    and.push({ NOT: tiers.slice(0, tier).map((upper) => ({ OR: upper })) });
+  }
+  if (position && position[0] === tier) {
+    const [, nickname, id] = position;
+    and.push({
+      OR: [{ nickname: { gt: nickname } }, { nickname, id: { gt: id } }],
+    });
+  }
+  return { ...searchableWhere(callerId), AND: and };
+}
+
+/**
+ * 일치 종류 순서대로 DB에서 정렬해 가져오며, 커서 이후의 후보만 조회합니다.
+ * 반환값 { hits: [{ user, tier }], position, exhausted }
+ */
+async function findHits(callerId, query, limit, after) {
+  const tiers = tierConditions(query);
+  const hits = [];
+  let position = after;
+
+  for (let tier = after ? after[0] : 0; tier < tiers.length; tier++) {
+    const users = await prisma.user.findMany({
+      where: tierWhere(callerId, tiers, tier, tiers[tier], position),
+      select: CANDIDATE_SELECT,
+      orderBy: CANDIDATE_ORDER,
+      take: limit - hits.length + 1,
+    });
+
+    for (const user of users) {
+      if (hits.length === limit) {
+        return { hits, position, exhausted: false };
+      }
+      hits.push({ user, tier });
+      position = [tier, user.nickname, user.id];
+    }
+  }
+
+  if (query.maxTypos === 0) {
+    return { hits, position, exhausted: true };
+  }
+
+  // 오타 허용: 두 글자 묶음 후보를 순서대로 확인하며 편집 거리로 거름
+  const conditions = fuzzyConditions(query);
+  for (let scanned = 0; scanned < FUZZY_SCAN_LIMIT;) {
+    const users = await prisma.user.findMany({
+      where: tierWhere(callerId, tiers, FUZZY_TIER, conditions, position),
+      select: CANDIDATE_SELECT,
+      orderBy: CANDIDATE_ORDER,
+      take: FUZZY_BATCH_SIZE,
+    });
+
+    for (const user of users) {
+      if (hits.length === limit) {
+        return { hits, position, exhausted: false };
+      }
+      scanned++;
+      position = [FUZZY_TIER, user.nickname, user.id];
+      if (fuzzyDistance(user, query) <= query.maxTypos) {
+        hits.push({ user, tier: FUZZY_TIER });
+      }
+    }
+
+    if (users.length < FUZZY_BATCH_SIZE) {
+      return { hits, position, exhausted: true };
+    }
+  }
+
+  // 확인 한도에 도달하면 다음 페이지에서 이어서 확인
+  return { hits, position, exhausted: false };
+}
+
+/**
+ * 검색 결과 사용자들과 나의 관계
+ * - status: friend | pending | blocked | none
+ * - isInitiator: 내가 요청을 보낸 쪽인지 (관계가 없으면 null)
+ * - sharedWorkspaces: 둘 다 소유자이거나 수락한 멤버인 워크스페이스
+ */
+async function describeRelationships(callerId, userIds) {
+  if (userIds.length === 0) return new Map();
+
+  const [friendships, workspaces] = await Promise.all([
+    prisma.friend.findMany({
+      where: {
+        OR: [
+          { userId: callerId, friendId: { in: userIds } },
+          { userId: { in: userIds }, friendId: callerId },
+        ],
+      },
+      select: { id: true, userId: true, friendId: true, status: true },
+    }),
+    prisma.workspace.findMany({
+      where: {
+        AND: [
+          {
+            OR: [
+              { ownerId: callerId },
+              { members: { some: { userId: callerId, accepted: true } } },
+            ],
+          },
+          {
+            OR: [
+              { ownerId: { in: userIds } },
+              {
+                members: {
+                  some: { userId: { in: userIds }, accepted: true },
+                },
+              },
+            ],
+          },
+        ],
+      },
+      select: {
+        id: true,
+        name: true,
+        ownerId: true,
+        members: {
+          where: { userId: { in: userIds }, accepted: true },
+          select: { userId: true },
+        },
+      },
+    }),
+  ]);
+
+  const relationships = new Map(
+    userIds.map((userId) => [
+      userId,
+      {
+        status: "none",
+        friendshipId: null,
+        isInitiator: null,
+        sharedWorkspaces: [],
+      },
+    ])
+  );
+
+  for (const friendship of friendships) {
+    const isInitiator = friendship.userId === callerId;
+    const relationship = relationships.get(
+      isInitiator ? friendship.friendId : friendship.userId
+    );
+    relationship.status =
+      friendship.status === "accepted" ? "friend" : friendship.status;
+    relationship.friendshipId = friendship.id;
+    relationship.isInitiator = isInitiator;
+  }
+
+  for (const workspace of workspaces) {
+    const memberIds = new Set([
+      workspace.ownerId,
+      ...workspace.members.map((member) => member.userId),
+    ]);
+    for (const userId of memberIds) {
+      relationships
+        .get(userId)
+        ?.sharedWorkspaces.push({ id: workspace.id, name: workspace.name });
+    }
+  }
+
+  return relationships;
+}
+
+/**
+ * 사용자 검색
+ * 정확히 일치 → 접두어 일치 → 포함 → 오타 허용 순으로, 같은 일치 종류 안에서는 닉네임순으로 정렬합니다.
+ * 한글 닉네임은 자모 단위로 비교하고 초성만 입력한 검색어(예: "ㅎㄱㄷ")도 지원합니다.
+ * 반환값 { users, nextCursor } 또는 { error, code }
+ */
+async function searchUsers(callerId, rawQuery, { limit, cursor }) {
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) {
+      return { error: "유효하지 않은 커서입니다", code: "INVALID_CURSOR" };
+    }
+  }
+
+  const query = parseQuery(rawQuery);
+  const { hits, position, exhausted } = await findHits(
+    callerId,
+    query,
+    limit,
+    after
+  );
+
+  const relationships = await describeRelationships(
+    callerId,
+    hits.map((hit) => hit.user.id)
+  );
+
+  return {
+    users: hits.map((hit) => ({
+      ...hit.user,
+      match: MATCH_TYPES[hit.tier],
+      relationship: relationships.get(hit.user.id),
+    })),
+    nextCursor: exhausted ? null : encodeCursor(position),
+  };
+}
+
+// 검색용 필드가 비어 있는 사용자 채우기 (서버 시작 시 실행)
+async function backfillNicknameSearchFields(batchSize = 500) {
+  let updated = 0;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: { nicknameJamo: null },
+      select: { id: true, nickname: true },
+      take: batchSize,
+    });
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: nicknameSearchFields(user.nickname),
+      });
+    }
+    updated += users.length;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  SEARCH_QUERY_MAX_LENGTH,
+  nicknameSearchFields,
+  searchUsers,
+  backfillNicknameSearchFields,
+};
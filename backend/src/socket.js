@@ -2,6 +2,25 @@
 const socketIo = require("socket.io");
 const jwt = require("jsonwebtoken");
 const { PrismaClient } = require("@prisma/client");
+const { verifyAccessToken } = require("./services/jwtKeys");
+const {
+  registerSocket,
+  unregisterSocket,
+  updateSocketUser,
+} = require("./services/socketSessions");
+const { setIO } = require("./services/realtime");
+const { findGroupFriendIds } = require("./services/friendGroups");
+const {
+  TODO_SHARE_INCLUDE,
+  findTodoAudience,
+  toSharedTodo,
+} = require("./services/todoVisibility");
+const { isBlockedBetween } = require("./services/blocks");
+const {
+  trackConnection,
+  untrackConnection,
+  recordActivity,
+} = require("./services/presence");
 
 const prisma = new PrismaClient();
 
@@ -13,25 +32,24 @@ function initializeSocket(server) {
     },
   });
 
+  // HTTP 라우트에서 실시간 이벤트를 보낼 수 있도록 등록
+  setIO(io);
+
   // Socket.IO 인증 미들웨어
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
 
     if (!token) {
       return next(new Error("인증 오류: 토큰이 제공되지 않았습니다."));
     }
 
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || "secret_key",
-      (err, decoded) => {
-        if (err) {
-          return next(new Error("인증 오류: 유효하지 않은 토큰입니다."));
-        }
-        socket.user = decoded;
-        next();
-      }
-    );
+    const result = await verifySocketToken(token);
+    if (result.error) {
+      return next(new Error(`인증 오류: ${result.error}`));
+    }
+
+    socket.user = result.decoded;
+    next();
   });
 
   io.on("connection", (socket) => {
@@ -39,6 +57,39 @@ function initializeSocket(server) {
       `💬 Socket 연결: ${socket.id} (사용자 ID: ${socket.user.userId}, 이메일: ${socket.user.email})`
     );
 
+    // 로그아웃/비활성화 시 강제 연결 해제, 토큰 만료 시 재확인 대상으로 등록
+    registerSocket(socket);
+
+    // 접속 상태: 연결마다 마지막 활동 시각을 기록 (클라이언트가 보내는 모든 이벤트를 활동으로 간주)
+    // 사용자가 화면을 사용하는 동안 클라이언트는 presence_activity를 주기적으로 보냅니다.
+    trackConnection(socket).catch((error) => {
+      console.error("접속 상태 등록 오류:", error);
+    });
+    socket.onAny(() => {
+      recordActivity(socket).catch((error) => {
+        console.error("접속 상태 갱신 오류:", error);
+      });
+    });
+
+    // 연결을 유지한 채 갱신한 액세스 토큰 전달 (만료 전에 호출하면 연결 유지)
+    socket.on("reauthenticate", async (token) => {
+      const result = await verifySocketToken(token);
+
+      if (result.error || result.decoded.userId !== socket.user.userId) {
+        return socket.emit("error", {
+          message: `토큰 갱신 실패: ${result.error || "다른 사용자의 토큰입니다."}`,
+          code: "REAUTHENTICATION_FAILED",
+        });
+      }
+
+      updateSocketUser(socket, result.decoded);
+      socket.emit("reauthenticated", {
+        expiresAt: result.decoded.exp
+          ? new Date(result.decoded.exp * 1000).toISOString()
+          : null,
+      });
+    });
+
     // 워크스페이스 입장
     socket.on("join_workspace", async (wsId) => {
       try {
@@ -143,10 +194,11 @@ function initializeSocket(server) {
       }
     });
 
-    // 개인 Todo 업데이트 알림 (친구들에게)
+    // 개인 Todo 업데이트 알림 (Todo 공개 범위 안의 친구들에게, groupIds를 주면 그중 해당 친구 그룹에만)
+    // 전달하는 Todo 정보와 받는 사람은 클라이언트가 보낸 값이 아니라 저장된 Todo로 정합니다.
     socket.on("todo_update", async (data) => {
       try {
-        const { todoId, action, todoData } = data;
+        const { todoId, action, groupIds } = data;
         const userId = socket.user.userId;
 
         if (!todoId) {
@@ -155,27 +207,40 @@ function initializeSocket(server) {
           });
         }
 
-        // 친구 목록 조회
-        const friends = await prisma.friend.findMany({
-          where: {
-            OR: [
-              { userId: userId, status: "accepted" },
-              { friendId: userId, status: "accepted" },
-            ],
-          },
-          include: {
-            user: true,
-            friend: true,
-          },
+        if (
+          groupIds !== undefined &&
+          (!Array.isArray(groupIds) || groupIds.length === 0)
+        ) {
+          return socket.emit("error", {
+            message: "groupIds는 친구 그룹 ID 배열이어야 합니다.",
+          });
+        }
+
+        const todo = await prisma.personalTodo.findFirst({
+          where: { id: todoId, userId },
+          include: TODO_SHARE_INCLUDE,
         });
 
-        // 친구들에게 알림 전송
-        friends.forEach((friendship) => {
-          const friendId =
-            friendship.userId === userId
-              ? friendship.friendId
-              : friendship.userId;
+        if (!todo) {
+          return socket.emit("error", {
+            message: "Todo를 찾을 수 없습니다.",
+          });
+        }
 
+        // 받을 친구 목록 (그룹을 지정하면 그 그룹에 넣어둔 친구만)
+        let friendIds = await findTodoAudience(todo);
+        if (groupIds) {
+          const groupFriendIds = new Set(
+            await findGroupFriendIds(userId, groupIds)
+          );
+          friendIds = friendIds.filter((friendId) =>
+            groupFriendIds.has(friendId)
+          );
+        }
+        const todoData = toSharedTodo(todo);
+
+        // 친구들에게 알림 전송
+        friendIds.forEach((friendId) => {
           io.to(`user_${friendId}`).emit("friend_todo_updated", {
             todoId,
             action: action || "updated",
@@ -208,6 +273,9 @@ function initializeSocket(server) {
           });
         }
 
+        // 차단 관계면 알리지 않음 (차단 여부는 보낸 사람에게 드러내지 않음)
+        if (await isBlockedBetween(userId, targetUserId)) return;
+
         // 대상 사용자에게 알림
         io.to(`user_${targetUserId}`).emit("friend_request_received", {
           fromUserId: userId,
@@ -260,6 +328,11 @@ function initializeSocket(server) {
 
     // 연결 해제 처리
     socket.on("disconnect", () => {
+      unregisterSocket(socket);
+      untrackConnection(socket).catch((error) => {
+        console.error("접속 상태 해제 오류:", error);
+      });
+
       console.log(
         `👋 Socket 연결 해제: ${socket.id} (사용자: ${socket.user.email})`
       );
@@ -280,6 +353,77 @@ function initializeSocket(server) {
   return io;
 }
 
+/**
+ * 액세스 토큰 검증 (핸드셰이크, 연결 중 토큰 갱신 공용)
+ * HTTP API와 같은 키로 서명을 확인하고, 비활성화된 사용자와 종료된 세션의 토큰은 거부합니다.
+ * 반환값 { decoded } 또는 { error }
+ */
+async function verifySocketToken(token) {
+  if (!token || typeof token !== "string") {
+    return { error: "토큰이 제공되지 않았습니다." };
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return { error: "유효하지 않은 토큰입니다." };
+  }
+
+  if (decoded.type && decoded.type !== "access") {
+    return { error: "잘못된 토큰 타입입니다." };
+  }
+
+  // 관리자 대리 접속은 감사 로그가 남는 HTTP API로만 허용
+  if (decoded.impersonation) {
+    return { error: "대리 접속 토큰으로는 실시간 연결을 사용할 수 없습니다." };
+  }
+
+  // 세션(리프레시 토큰 패밀리)을 확인할 수 없는 이전 버전 토큰은 다시 로그인 필요
+  if (!decoded.sessionId) {
+    return { error: "세션 정보가 없는 토큰입니다. 다시 로그인해주세요." };
+  }
+
+  try {
+    const [user, session] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: decoded.userId },
+        select: { isActive: true, role: true },
+      }),
+      prisma.refreshToken.findFirst({
+        where: {
+          familyId: decoded.sessionId,
+          userId: decoded.userId,
+          revokedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        select: { token: true },
+      }),
+    ]);
+
+    if (!user || !user.isActive) {
+      return { error: "비활성화된 사용자입니다." };
+    }
+
+    // 로그아웃, 세션 종료, 비밀번호 변경/재설정 등으로 삭제·폐기된 세션의 액세스 토큰은
+    // 만료 전이라도 다시 연결할 수 없음
+    if (!session) {
+      return { error: "종료된 세션입니다." };
+    }
+
+    // 역할이나 2단계 인증 여부가 현재 사용자/세션과 다르면 토큰을 갱신한 뒤 연결
+    const sessionMfa = !!jwt.decode(session.token)?.mfa;
+    if (decoded.role !== user.role || !!decoded.mfa !== sessionMfa) {
+      return { error: "세션 정보가 변경되었습니다. 토큰을 갱신해주세요." };
+    }
+  } catch (error) {
+    console.error("소켓 사용자 확인 오류:", error);
+    return { error: "사용자 확인에 실패했습니다." };
+  }
+
+  return { decoded };
+}
+
 // 워크스페이스 멤버십 확인 함수
 async function checkWorkspaceMembership(userId, wsId) {
   try {
@@ -0,0 +1,61 @@
+// src/utils/device.js - 요청 정보에서 기기/접속 정보 추출
+
+// User-Agent에서 브라우저 이름 추출 (순서 중요: Edge/Opera는 Chrome 문자열도 포함)
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Whale", /Whale\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+
+// User-Agent에서 운영체제 이름 추출
+const OPERATING_SYSTEMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+function matchName(userAgent, table) {
+  const found = table.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+}
+
+// "Chrome on Windows" 같은 사람이 읽기 쉬운 기기 이름 생성
+function getDeviceLabel(userAgent) {
+  if (!userAgent) return "알 수 없는 기기";
+
+  const browser = matchName(userAgent, BROWSERS);
+  const os = matchName(userAgent, OPERATING_SYSTEMS);
+
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+
+  // 브라우저가 아닌 클라이언트 (curl, 스크립트 등)는 제품명만 사용
+  return userAgent.split(/[\s/]/)[0].slice(0, 50) || "알 수 없는 기기";
+}
+
+// 요청에서 세션 메타데이터 추출 (클라이언트가 보낸 deviceName이 있으면 우선 사용)
+function getClientInfo(req) {
+  const userAgent = req.headers["user-agent"] || null;
+  const deviceName =
+    typeof req.body?.deviceName === "string" ? req.body.deviceName.trim() : "";
+
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ipAddress: req.ip || req.socket?.remoteAddress || null,
+    deviceLabel: deviceName
+      ? deviceName.slice(0, 100)
+      : getDeviceLabel(userAgent),
+  };
+}
+
+module.exports = {
+  getDeviceLabel,
+  getClientInfo,
+};
@@ -0,0 +1,93 @@
+// src/utils/hangul.js - 한글 자모 분해 및 초성 추출 (검색용)
+
+const HANGUL_START = 0xac00; // 가
+const HANGUL_END = 0xd7a3; // 힣
+
+const CHOSUNG = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const JUNGSUNG = "ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ";
+const JONGSUNG = [
+  "",
+  ..."ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ",
+];
+
+// 겹모음/겹받침은 키보드로 입력하는 순서대로 풀어서 저장
+// (예: "과"를 입력하는 도중의 "고"도 접두어로 일치하도록)
+const COMPOUND_JAMO = {
+  ㅘ: "ㅗㅏ",
+  ㅙ: "ㅗㅐ",
+  ㅚ: "ㅗㅣ",
+  ㅝ: "ㅜㅓ",
+  ㅞ: "ㅜㅔ",
+  ㅟ: "ㅜㅣ",
+  ㅢ: "ㅡㅣ",
+  ㄳ: "ㄱㅅ",
+  ㄵ: "ㄴㅈ",
+  ㄶ: "ㄴㅎ",
+  ㄺ: "ㄹㄱ",
+  ㄻ: "ㄹㅁ",
+  ㄼ: "ㄹㅂ",
+  ㄽ: "ㄹㅅ",
+  ㄾ: "ㄹㅌ",
+  ㄿ: "ㄹㅍ",
+  ㅀ: "ㄹㅎ",
+  ㅄ: "ㅂㅅ",
+};
+
+function isHangulSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= HANGUL_START && code <= HANGUL_END;
+}
+
+// 호환용 자음(ㄱ~ㅎ)으로만 이루어진 문자열인지 (초성 검색어 판별)
+function isChosungOnly(text) {
+  return /^[ㄱ-ㅎ]+$/.test(text);
+}
+
+function splitCompound(jamo) {
+  return COMPOUND_JAMO[jamo] || jamo;
+}
+
+/**
+ * 문자열을 자모 단위로 분해합니다. 한글이 아닌 문자는 그대로 둡니다.
+ * 예: "홍길동" → "ㅎㅗㅇㄱㅣㄹㄷㅗㅇ"
+ */
+function decompose(text) {
+  let result = "";
+  for (const char of text.normalize("NFC")) {
+    if (!isHangulSyllable(char)) {
+      result += splitCompound(char);
+      continue;
+    }
+
+    const offset = char.charCodeAt(0) - HANGUL_START;
+    const cho = Math.floor(offset / (21 * 28));
+    const jung = Math.floor((offset % (21 * 28)) / 28);
+    const jong = offset % 28;
+
+    result +=
+      CHOSUNG[cho] +
+      splitCompound(JUNGSUNG[jung]) +
+      splitCompound(JONGSUNG[jong]);
+  }
+  return result;
+}
+
+/**
+ * 한글 음절의 초성만 추출합니다. 한글이 아닌 문자는 그대로 둡니다.
+ * 예: "홍길동" → "ㅎㄱㄷ"
+ */
+function extractChosung(text) {
+  let result = "";
+  for (const char of text.normalize("NFC")) {
+    result += isHangulSyllable(char)
+      ? CHOSUNG[Math.floor((char.charCodeAt(0) - HANGUL_START) / (21 * 28))]
+      : char;
+  }
+  return result;
+}
+
+module.exports = {
+  isChosungOnly,
+  decompose,
+  extractChosung,
+};
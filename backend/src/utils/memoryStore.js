@@ -0,0 +1,93 @@
+// src/utils/memoryStore.js - TTL을 지원하는 인메모리 키-값 저장소
+
+// 기본 최대 항목 수 / 만료 항목 정리 주기
+const DEFAULT_MAX_ENTRIES = 100000;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 단일 서버용 기본 저장소입니다. 인터페이스 (모두 async):
+ * - get(key) → value | null
+ * - set(key, value, ttlMs) → 저장 여부 (가득 차서 새 키를 받지 못하면 false)
+ * - update(key, updater) → 저장 여부. updater(value | null)가 { value, ttlMs }를 반환하면 저장하고
+ *   null이면 그대로 둡니다. ttlMs를 생략하면 기존 만료 시각을 유지합니다.
+ *   읽기와 쓰기 사이에 다른 요청이 끼어들지 않아야 합니다 (Redis는 Lua 스크립트 등으로 구현).
+ * - delete(key)
+ * - entries() → [key, value][]
+ * 서버를 여러 대 띄우는 경우 같은 인터페이스로 Redis 등을 구현해 교체합니다.
+ *
+ * 다시 조회되지 않는 키(임의의 이메일로 로그인 시도 등)가 쌓이지 않도록 만료 항목을 주기적으로 정리합니다.
+ * 최대 항목 수에 도달하면 만료되지 않은 항목(로그인 잠금 기록 등)을 지우는 대신 새 키를 받지 않습니다.
+ */
+class MemoryStore {
+  constructor({
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+  } = {}) {
+    this.records = new Map();
+    this.maxEntries = maxEntries;
+
+    // 정리 타이머가 프로세스 종료를 막지 않도록 unref
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  async get(key) {
+    return this.read(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    return this.store(key, value, Date.now() + ttlMs);
+  }
+
+  // 읽기부터 쓰기까지 await 없이 처리해 다른 요청이 끼어들지 않도록 함
+  async update(key, updater) {
+    const entry = this.read(key);
+    const next = updater(entry ? entry.value : null);
+    if (!next) return true;
+
+    const expiresAt =
+      next.ttlMs === undefined && entry
+        ? entry.expiresAt
+        : Date.now() + next.ttlMs;
+    return this.store(key, next.value, expiresAt);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async entries() {
+    this.sweep();
+    return [...this.records].map(([key, entry]) => [key, entry.value]);
+  }
+
+  // 만료되지 않은 항목 ({ value, expiresAt } | null)
+  read(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  store(key, value, expiresAt) {
+    if (!this.records.has(key) && this.records.size >= this.maxEntries) {
+      this.sweep();
+      if (this.records.size >= this.maxEntries) return false;
+    }
+    this.records.set(key, { value, expiresAt });
+    return true;
+  }
+
+  // 만료된 항목 삭제
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+module.exports = { MemoryStore };
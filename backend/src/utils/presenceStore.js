@@ -0,0 +1,93 @@
+// src/utils/presenceStore.js - 접속 상태(presence) 저장소
+
+/**
+ * 단일 서버용 기본 저장소입니다. 인터페이스 (모두 async):
+ * - setConnection(userId, connectionId, record, ttlMs) → 연결 정보 저장/갱신
+ * - removeConnection(userId, connectionId)
+ * - getConnections(userIds) → Map<userId, record[]> (만료되지 않은 연결만)
+ * - swapState(userId, state) → 이전 상태 (없으면 null, offline이면 상태를 삭제)
+ * - expiredUsers() → 상태가 남아 있지만 살아 있는 연결이 없는 사용자 ID 목록
+ * 서버를 여러 대 띄우는 경우 같은 인터페이스로 Redis 등을 구현해 교체합니다.
+ * (예: 사용자별 해시에 연결을 저장하고 swapState는 GETSET/GETDEL로 구현)
+ * 서버가 비정상 종료되어도 갱신이 멈춘 연결은 ttl이 지나면 사라지고,
+ * 다른 서버가 expiredUsers로 찾아 offline으로 알립니다.
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.connections = new Map(); // userId → Map<connectionId, { record, expiresAt }>
+    this.states = new Map(); // userId → state
+  }
+
+  async setConnection(userId, connectionId, record, ttlMs) {
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Map());
+    }
+    this.connections
+      .get(userId)
+      .set(connectionId, { record, expiresAt: Date.now() + ttlMs });
+  }
+
+  async removeConnection(userId, connectionId) {
+    const connections = this.connections.get(userId);
+    if (!connections) return;
+
+    connections.delete(connectionId);
+    if (connections.size === 0) {
+      this.connections.delete(userId);
+    }
+  }
+
+  // 만료된 연결을 지우고 살아 있는 연결 정보 반환
+  liveRecords(userId, now = Date.now()) {
+    const connections = this.connections.get(userId);
+    const records = [];
+
+    for (const [connectionId, entry] of connections || []) {
+      if (entry.expiresAt <= now) {
+        connections.delete(connectionId);
+      } else {
+        records.push(entry.record);
+      }
+    }
+    if (connections && connections.size === 0) {
+      this.connections.delete(userId);
+    }
+
+    return records;
+  }
+
+  async getConnections(userIds) {
+    const now = Date.now();
+    const result = new Map();
+
+    for (const userId of userIds) {
+      result.set(userId, this.liveRecords(userId, now));
+    }
+
+    return result;
+  }
+
+  async swapState(userId, state) {
+    const previous = this.states.get(userId) ?? null;
+    if (state === "offline") {
+      this.states.delete(userId);
+    } else {
+      this.states.set(userId, state);
+    }
+    return previous;
+  }
+
+  async expiredUsers() {
+    const now = Date.now();
+    const userIds = new Set([
+      ...this.connections.keys(),
+      ...this.states.keys(),
+    ]);
+    return [...userIds].filter(
+      (userId) =>
+        this.liveRecords(userId, now).length === 0 && this.states.has(userId)
+    );
+  }
+}
+
+module.exports = { MemoryPresenceStore };
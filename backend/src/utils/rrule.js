@@ -0,0 +1,381 @@
+// src/utils/rrule.js - iCalendar(RFC 5545) RRULE 반복 규칙 (개인 Todo 반복용)
+//
+// 지원하는 규칙:
+// - FREQ=DAILY | WEEKLY | MONTHLY, INTERVAL
+// - BYDAY=MO,WE,... (WEEKLY), BYMONTHDAY=1,15,-1 (MONTHLY)
+// - UNTIL (YYYYMMDD, YYYYMMDDTHHMMSS, YYYYMMDDTHHMMSSZ) 또는 COUNT
+// 요일/날짜는 사용자의 시간대 기준으로 계산하며, 주의 시작은 월요일(WKST=MO)입니다.
+// 첫 회차는 항상 시작 시각(dtstart)이고 COUNT에 포함됩니다.
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+const MAX_INTERVAL = 366;
+const MAX_COUNT = 1000;
+
+// 시작일로부터 이 기간이 지나면 반복 계산을 멈춤
+const MAX_YEARS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RRULE 문자열 파싱 ("RRULE:" 접두어는 생략 가능)
+ * 반환값 { rule, rrule (정규화한 문자열) } 또는 { error }
+ */
+function parseRRule(input) {
+  if (typeof input !== "string" || !input.trim()) {
+    return { error: "반복 규칙(RRULE)을 입력해주세요" };
+  }
+
+  const rrule = input
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .toUpperCase();
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    until: null,
+    count: null,
+  };
+  const seen = new Set();
+
+  for (const part of rrule.split(";")) {
+    const [name, value] = part.split("=");
+    if (!name || value === undefined || value === "") {
+      return { error: `잘못된 RRULE 형식입니다: ${part}` };
+    }
+    if (seen.has(name)) {
+      return { error: `${name}이 중복되었습니다` };
+    }
+    seen.add(name);
+
+    switch (name) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value)) {
+          return {
+            error: `FREQ는 ${FREQUENCIES.join(", ")} 중 하나여야 합니다`,
+          };
+        }
+        rule.freq = value;
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        if (
+          !/^\d+$/.test(value) ||
+          rule.interval < 1 ||
+          rule.interval > MAX_INTERVAL
+        ) {
+          return {
+            error: `INTERVAL은 1 이상 ${MAX_INTERVAL} 이하의 정수여야 합니다`,
+          };
+        }
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        if (!/^\d+$/.test(value) || rule.count < 1 || rule.count > MAX_COUNT) {
+          return {
+            error: `COUNT는 1 이상 ${MAX_COUNT} 이하의 정수여야 합니다`,
+          };
+        }
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        if (!rule.until) {
+          return {
+            error: "UNTIL은 YYYYMMDD 또는 YYYYMMDDTHHMMSSZ 형식이어야 합니다",
+          };
+        }
+        break;
+      case "BYDAY":
+        rule.byDay = [];
+        for (const day of value.split(",")) {
+          if (!(day in WEEKDAYS)) {
+            return { error: `지원하지 않는 BYDAY 값입니다: ${day}` };
+          }
+          rule.byDay.push(WEEKDAYS[day]);
+        }
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = [];
+        for (const day of value.split(",")) {
+          const number = Number(day);
+          if (
+            !/^-?\d+$/.test(day) ||
+            number === 0 ||
+            number < -31 ||
+            number > 31
+          ) {
+            return { error: `잘못된 BYMONTHDAY 값입니다: ${day}` };
+          }
+          rule.byMonthDay.push(number);
+        }
+        break;
+      case "WKST":
+        if (value !== "MO") {
+          return { error: "WKST는 MO만 지원합니다" };
+        }
+        break;
+      default:
+        return { error: `지원하지 않는 RRULE 항목입니다: ${name}` };
+    }
+  }
+
+  if (!rule.freq) {
+    return { error: "FREQ는 필수입니다" };
+  }
+  if (rule.until && rule.count) {
+    return { error: "UNTIL과 COUNT는 함께 사용할 수 없습니다" };
+  }
+  if (rule.byDay && rule.freq !== "WEEKLY") {
+    return { error: "BYDAY는 FREQ=WEEKLY에서만 사용할 수 있습니다" };
+  }
+  if (rule.byMonthDay && rule.freq !== "MONTHLY") {
+    return { error: "BYMONTHDAY는 FREQ=MONTHLY에서만 사용할 수 있습니다" };
+  }
+
+  return { rule, rrule };
+}
+
+function parseUntil(value) {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    // 날짜만 있으면 그날 전체를 포함
+    hour: hour === undefined ? 23 : Number(hour),
+    minute: minute === undefined ? 59 : Number(minute),
+    second: second === undefined ? 59 : Number(second),
+    ms: hour === undefined ? 999 : 0,
+  };
+
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (
+    check.getUTCMonth() !== parts.month - 1 ||
+    parts.hour > 23 ||
+    parts.minute > 59 ||
+    parts.second > 59
+  ) {
+    return null;
+  }
+
+  return { ...parts, utc: !!utc };
+}
+
+// ===============================================
+//   시간대 변환
+// ===============================================
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// UTC 시각 → 해당 시간대의 날짜/시각
+function toZoned(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    ms: date.getUTCMilliseconds(),
+  };
+}
+
+const zonedToUtcMs = (parts) =>
+  Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.ms
+  );
+
+// 해당 시각의 UTC 오프셋 (ms)
+function offsetAt(utcMs, timeZone) {
+  return zonedToUtcMs(toZoned(new Date(utcMs), timeZone)) - utcMs;
+}
+
+// 시간대의 날짜/시각 → UTC 시각 (서머타임 전환 시각도 처리)
+function fromZoned(parts, timeZone) {
+  const local = zonedToUtcMs(parts);
+  const guess = local - offsetAt(local, timeZone);
+  return new Date(local - offsetAt(guess, timeZone));
+}
+
+// ===============================================
+//   회차 계산
+// ===============================================
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const dayParts = (dayMs) => {
+  const date = new Date(dayMs);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+const mondayIndex = (weekday) => (weekday + 6) % 7;
+
+// 반복 주기(period)마다 후보 날짜 목록 (시간대 기준 날짜, 오름차순)
+function candidateDays(rule, start, period) {
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  if (rule.freq === "DAILY") {
+    return [dayParts(startDay + period * DAY_MS)];
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const weekStart =
+      startDay -
+      mondayIndex(new Date(startDay).getUTCDay()) * DAY_MS +
+      period * 7 * DAY_MS;
+    const weekdays = rule.byDay || [new Date(startDay).getUTCDay()];
+    return [...new Set(weekdays.map(mondayIndex))]
+      .sort((a, b) => a - b)
+      .map((index) => dayParts(weekStart + index * DAY_MS));
+  }
+
+  // MONTHLY
+  const monthIndex = start.month - 1 + period;
+  const year = start.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const lastDay = daysInMonth(year, month);
+  const days = (rule.byMonthDay || [start.day])
+    .map((day) => (day > 0 ? day : lastDay + day + 1))
+    .filter((day) => day >= 1 && day <= lastDay);
+  return [...new Set(days)]
+    .sort((a, b) => a - b)
+    .map((day) => ({ year, month, day }));
+}
+
+/**
+ * from이 속한 주기의 바로 앞 주기 (INTERVAL 배수)
+ * 시간대 경계에서 놓치는 회차가 없도록 한 주기 앞에서 시작합니다.
+ */
+function periodBefore(rule, start, from, timeZone) {
+  const day = toZoned(from, timeZone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  const days = Math.floor(
+    (Date.UTC(day.year, day.month - 1, day.day) - startDay) / DAY_MS
+  );
+
+  let units = days;
+  if (rule.freq === "WEEKLY") {
+    units = Math.floor(
+      (days + mondayIndex(new Date(startDay).getUTCDay())) / 7
+    );
+  } else if (rule.freq === "MONTHLY") {
+    units = (day.year - start.year) * 12 + (day.month - start.month);
+  }
+
+  return Math.max(0, (Math.floor(units / rule.interval) - 1) * rule.interval);
+}
+
+/**
+ * 회차 (dtstart부터 시간순)
+ * COUNT/UNTIL이 없으면 MAX_YEARS까지 계산합니다.
+ * from을 주면 그 이전 주기는 계산하지 않고 건너뜁니다 (앞쪽 회차가 일부 섞일 수 있음).
+ * COUNT는 dtstart부터 세야 하므로 COUNT가 있으면 처음부터 계산합니다 (최대 MAX_COUNT회).
+ */
+function* occurrences(rule, dtstart, timeZone, from = null) {
+  const start = toZoned(dtstart, timeZone);
+  const until = rule.until
+    ? rule.until.utc
+      ? new Date(zonedToUtcMs(rule.until))
+      : fromZoned(rule.until, timeZone)
+    : null;
+  const time = {
+    hour: start.hour,
+    minute: start.minute,
+    second: start.second,
+    ms: start.ms,
+  };
+
+  let count = 0;
+  const emit = (date) => {
+    if (until && date > until) return false;
+    if (rule.count && count >= rule.count) return false;
+    count++;
+    return true;
+  };
+
+  const firstPeriod =
+    from && !rule.count ? periodBefore(rule, start, from, timeZone) : 0;
+
+  if (firstPeriod === 0) {
+    if (!emit(dtstart)) return;
+    yield dtstart;
+  }
+
+  for (let period = firstPeriod; ; period += rule.interval) {
+    const days = candidateDays(rule, start, period);
+    if (days[0] && days[0].year > start.year + MAX_YEARS) return;
+
+    for (const day of days) {
+      const date = fromZoned({ ...day, ...time }, timeZone);
+      if (date <= dtstart) continue;
+      if (!emit(date)) return;
+      yield date;
+    }
+
+    // 빈 주기(예: 31일이 없는 달)만 이어져도 멈추도록 기간으로 확인
+    if (days.length === 0 && period > MAX_YEARS * 12) return;
+  }
+}
+
+// after 이후의 첫 회차 (없으면 null)
+function nextOccurrence(rule, dtstart, timeZone, after) {
+  for (const date of occurrences(rule, dtstart, timeZone, after)) {
+    if (date > after) return date;
+  }
+  return null;
+}
+
+// from 이후(from 포함)의 회차 (시간순, 필요한 만큼만 계산)
+function* occurrencesFrom(rule, dtstart, timeZone, from) {
+  for (const date of occurrences(rule, dtstart, timeZone, from)) {
+    if (date >= from) yield date;
+  }
+}
+
+module.exports = {
+  parseRRule,
+  nextOccurrence,
+  occurrencesFrom,
+};
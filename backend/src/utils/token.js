@@ -0,0 +1,17 @@
+// src/utils/token.js - 일회용 토큰 생성/해시 헬퍼
+const crypto = require("crypto");
+
+// URL에 그대로 넣을 수 있는 무작위 토큰 (기본 256비트)
+function generateRandomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+// DB에는 평문 대신 SHA-256 해시만 저장
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+};